@@ -1,56 +1,842 @@
 const vscode = require('vscode');
 const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
 
 /**
- * Helper function to recursively extract text content from an object
- * @param {object} obj - The object to extract text from
- * @param {number} depth - Current recursion depth (to prevent infinite recursion)
- * @returns {string|null} - Extracted text content or null if none found
+ * Extract the server's error message from a JSON error body
+ * @param {*} data - The parsed response body
+ * @returns {string|null} - The error message, or null if the body carries none
  */
-function extractTextContent(obj, depth = 0) {
-  // Prevent infinite recursion
-  if (depth > 5) return null;
+function errorMessageFromBody(data) {
+  if (!data || typeof data !== 'object' || !data.error) return null;
+  return typeof data.error === 'string' ? data.error : data.error.message || JSON.stringify(data.error);
+}
 
-  // Handle null or undefined
-  if (obj == null) return null;
+/**
+ * Flatten a conversation into a single prompt for completion-style endpoints
+ * @param {Array<{role: string, content: string}>} conversation - The user and assistant turns, without the system prompt
+ * @returns {string} - The prompt
+ */
+function flattenConversation(conversation) {
+  if (conversation.length === 1) {
+    return conversation[0].content;
+  }
+  return conversation.map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`).join('\n\n') + '\n\nAssistant:';
+}
 
-  // If it's a string, return it directly
-  if (typeof obj === 'string') return obj;
+/**
+ * Adapter for OpenAI-compatible chat completion APIs, also used for the SebGuru API
+ */
+const openAIAdapter = {
+  label: 'OpenAI-compatible',
+  defaultPath: '/v1/chat/completions',
+  modelsPath: '/v1/models',
+
+  buildRequest(messages, options, settings) {
+    const payload = {
+      model: settings.model,
+      messages: messages,
+      max_tokens: options.maxTokens || settings.maxTokens,
+      temperature: options.temperature !== undefined ? options.temperature : 0.7,
+      stream: !!options.onToken
+    };
 
-  // If it's an array, check each element
-  if (Array.isArray(obj)) {
-    for (const item of obj) {
-      const text = extractTextContent(item, depth + 1);
-      if (text) return text;
+    if (options.tools) {
+      payload.tools = options.tools;
     }
-    return null;
+
+    return payload;
+  },
+
+  parseResponse(data) {
+    const choice = data && data.choices && data.choices[0];
+    if (!choice) return null;
+    return choice.message ? choice.message.content : choice.text;
+  },
+
+  parseStreamChunk(chunk) {
+    const choice = chunk.choices && chunk.choices[0];
+    if (!choice) return null;
+    if (choice.delta) return choice.delta.content || null;
+    return choice.text || null;
+  },
+
+  parseToolResponse(data) {
+    const choice = data && data.choices && data.choices[0];
+    if (!choice || !choice.message) return null;
+    return {
+      message: choice.message,
+      content: choice.message.content || '',
+      toolCalls: (choice.message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: call.function.arguments || '{}'
+      }))
+    };
+  },
+
+  toolResultMessage(call, content) {
+    return { role: 'tool', tool_call_id: call.id, content };
+  },
+
+  completionPath: '/v1/completions',
+
+  buildCompletionRequest(prompt, options, settings) {
+    return {
+      model: settings.model,
+      prompt: prompt,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      stop: options.stop,
+      stream: false
+    };
+  },
+
+  parseCompletionResponse(data) {
+    const choice = data && data.choices && data.choices[0];
+    return choice ? choice.text : null;
+  },
+
+  parseError: errorMessageFromBody,
+
+  parseModels(data) {
+    return (data.data || []).map(model => ({
+      name: model.id,
+      detail: model.owned_by || ''
+    }));
+  },
+
+  embeddingsPath: '/v1/embeddings',
+  embeddingBatchSize: 16,
+
+  buildEmbeddingRequest(texts, settings) {
+    return { model: settings.model, input: texts };
+  },
+
+  parseEmbeddings(data) {
+    if (!data || !Array.isArray(data.data)) return null;
+    return [...data.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
   }
+};
 
-  // If it's an object, look for common text fields
-  if (typeof obj === 'object') {
-    // Check common field names that might contain text
-    const textFields = ['content', 'text', 'message', 'response', 'output', 'result', 'answer', 'generated_text'];
-    for (const field of textFields) {
-      if (obj[field]) {
-        if (typeof obj[field] === 'string') {
-          return obj[field];
-        } else {
-          const text = extractTextContent(obj[field], depth + 1);
-          if (text) return text;
+/**
+ * Raw completions for both Ollama adapters. `raw` skips the model's chat template,
+ * so fill-in-the-middle prompts reach the model unchanged.
+ */
+const ollamaCompletion = {
+  completionPath: '/api/generate',
+
+  buildCompletionRequest(prompt, options, settings) {
+    return {
+      model: settings.model,
+      prompt: prompt,
+      raw: true,
+      stream: false,
+      options: {
+        num_ctx: settings.contextWindow,
+        num_predict: options.maxTokens,
+        temperature: options.temperature,
+        stop: options.stop
+      }
+    };
+  },
+
+  parseCompletionResponse(data) {
+    return data ? data.response : null;
+  }
+};
+
+/**
+ * Embeddings for both Ollama adapters. `/api/embeddings` takes one text per request.
+ */
+const ollamaEmbeddings = {
+  embeddingsPath: '/api/embeddings',
+  embeddingBatchSize: 1,
+
+  buildEmbeddingRequest(texts, settings) {
+    return { model: settings.model, prompt: texts[0] };
+  },
+
+  parseEmbeddings(data) {
+    // Models that can't embed return an empty vector
+    return data && Array.isArray(data.embedding) && data.embedding.length > 0 ? [data.embedding] : null;
+  }
+};
+
+/**
+ * Adapters for the local LLM servers we support, keyed by the `provider` setting.
+ * Each adapter builds its own request payload, parses its own responses (whole and streamed)
+ * and embeddings, and extracts the server's error messages. Adapters for servers with native tool calling
+ * also parse tool calls and build the messages that carry tool results back.
+ */
+const PROVIDER_ADAPTERS = {
+  'ollama-chat': {
+    ...ollamaCompletion,
+    ...ollamaEmbeddings,
+    label: 'Ollama',
+    defaultPath: '/api/chat',
+    modelsPath: '/api/tags',
+
+    buildRequest(messages, options, settings) {
+      const payload = {
+        model: settings.model,
+        messages: messages,
+        stream: !!options.onToken,
+        options: {
+          // Ollama silently truncates to its own default window otherwise
+          num_ctx: settings.contextWindow
+        }
+      };
+
+      // Only add options if they're specified
+      if (options.temperature !== undefined || options.maxTokens) {
+        if (options.maxTokens || settings.maxTokens) {
+          payload.options.num_predict = options.maxTokens || settings.maxTokens;
+        }
+
+        if (options.temperature !== undefined) {
+          payload.options.temperature = options.temperature;
         }
       }
+
+      if (options.tools) {
+        payload.tools = options.tools;
+      }
+
+      return payload;
+    },
+
+    parseResponse(data) {
+      return data && data.message ? data.message.content : null;
+    },
+
+    parseStreamChunk(chunk) {
+      return chunk.message ? chunk.message.content || null : null;
+    },
+
+    parseToolResponse(data) {
+      if (!data || !data.message) return null;
+      // Ollama doesn't give tool calls IDs, and sends the arguments as an object
+      return {
+        message: data.message,
+        content: data.message.content || '',
+        toolCalls: (data.message.tool_calls || []).map((call, index) => ({
+          id: `call_${index}`,
+          name: call.function.name,
+          arguments: call.function.arguments || {}
+        }))
+      };
+    },
+
+    toolResultMessage(call, content) {
+      return { role: 'tool', tool_name: call.name, content };
+    },
+
+    parseError: errorMessageFromBody,
+
+    parseModels(data) {
+      return (data.models || []).map(model => ({
+        name: model.name,
+        detail: [
+          model.details && model.details.parameter_size,
+          model.size ? `${(model.size / 1e9).toFixed(1)} GB` : ''
+        ].filter(Boolean).join(' · ')
+      }));
     }
+  },
+
+  'ollama-generate': {
+    ...ollamaCompletion,
+    ...ollamaEmbeddings,
+    label: 'Ollama (generate)',
+    defaultPath: '/api/generate',
+    modelsPath: '/api/tags',
+
+    buildRequest(messages, options, settings) {
+      // /api/generate takes a single prompt, so flatten multi-turn conversations
+      const payload = {
+        model: settings.model,
+        prompt: flattenConversation(messages.slice(1)),
+        system: messages[0].content,
+        stream: !!options.onToken,
+        options: {
+          num_ctx: settings.contextWindow
+        }
+      };
+
+      if (options.temperature !== undefined || options.maxTokens) {
+        if (options.maxTokens || settings.maxTokens) {
+          payload.options.num_predict = options.maxTokens || settings.maxTokens;
+        }
 
-    // If no common fields found, check all fields
-    for (const key in obj) {
-      if (obj.hasOwnProperty(key)) {
-        const text = extractTextContent(obj[key], depth + 1);
-        if (text) return text;
+        if (options.temperature !== undefined) {
+          payload.options.temperature = options.temperature;
+        }
       }
+
+      return payload;
+    },
+
+    parseResponse(data) {
+      return data ? data.response : null;
+    },
+
+    parseStreamChunk(chunk) {
+      return chunk.response || null;
+    },
+
+    parseError: errorMessageFromBody,
+
+    parseModels(data) {
+      return PROVIDER_ADAPTERS['ollama-chat'].parseModels(data);
     }
+  },
+
+  'openai': openAIAdapter,
+
+  'llamacpp': {
+    label: 'llama.cpp server',
+    defaultPath: '/completion',
+    modelsPath: '/v1/models',
+
+    buildRequest(messages, options, settings) {
+      // The native llama.cpp endpoint takes a raw prompt, so the system prompt goes in front
+      return {
+        prompt: `${messages[0].content}\n\n${flattenConversation(messages.slice(1))}`,
+        n_predict: options.maxTokens || settings.maxTokens || -1,
+        temperature: options.temperature !== undefined ? options.temperature : 0.7,
+        cache_prompt: true,
+        stream: !!options.onToken
+      };
+    },
+
+    parseResponse(data) {
+      return data ? data.content : null;
+    },
+
+    parseStreamChunk(chunk) {
+      return chunk.content || null;
+    },
+
+    completionPath: '/completion',
+
+    buildCompletionRequest(prompt, options) {
+      return {
+        prompt: prompt,
+        n_predict: options.maxTokens,
+        temperature: options.temperature,
+        stop: options.stop,
+        cache_prompt: true,
+        stream: false
+      };
+    },
+
+    parseCompletionResponse(data) {
+      return data ? data.content : null;
+    },
+
+    parseError: errorMessageFromBody,
+
+    parseModels: openAIAdapter.parseModels,
+
+    // Needs the server to be started with --embeddings
+    embeddingsPath: '/v1/embeddings',
+    embeddingBatchSize: openAIAdapter.embeddingBatchSize,
+    buildEmbeddingRequest: openAIAdapter.buildEmbeddingRequest,
+    parseEmbeddings: openAIAdapter.parseEmbeddings
+  },
+
+  'lmstudio': {
+    ...openAIAdapter,
+    label: 'LM Studio'
   }
+};
 
-  return null;
+/**
+ * Extract the text delta from a single line of a streamed LLM response.
+ * Handles SSE `data:` framing as well as plain NDJSON; the adapter reads the chunk itself.
+ * @param {string} line - A single line from the response stream
+ * @param {object} adapter - The provider adapter that knows the chunk format
+ * @returns {string|null} - The text delta, or null if the line carries no text
+ */
+function parseStreamLine(line, adapter) {
+  let data = line.trim();
+  if (!data || data.startsWith(':') || data.startsWith('event:')) return null;
+
+  // SSE framing used by OpenAI-compatible and llama.cpp servers
+  if (data.startsWith('data:')) {
+    data = data.slice(5).trim();
+    if (data === '[DONE]') return null;
+  }
+
+  let chunk;
+  try {
+    chunk = JSON.parse(data);
+  } catch (error) {
+    console.warn('Skipping unparseable stream line:', data);
+    return null;
+  }
+
+  const errorMessage = adapter.parseError(chunk);
+  if (errorMessage) {
+    throw new Error(errorMessage);
+  }
+
+  return adapter.parseStreamChunk(chunk);
+}
+
+/**
+ * Read the server's error message from a failed request, including streamed error bodies
+ * @param {Error} error - The axios error
+ * @param {object} adapter - The provider adapter that knows the error format
+ * @returns {Promise<string|null>} - The server's error message, or null if it sent none
+ */
+async function readServerError(error, adapter) {
+  if (!error.response || error.response.data == null) return null;
+
+  let data = error.response.data;
+  try {
+    if (typeof data.on === 'function') {
+      // Streaming requests hand us the error body as a stream
+      let body = '';
+      for await (const chunk of data) {
+        body += chunk;
+      }
+      data = body;
+    }
+    if (typeof data === 'string') {
+      data = JSON.parse(data);
+    }
+  } catch (parseError) {
+    return typeof data === 'string' && data.trim() ? data.trim() : null;
+  }
+
+  return adapter.parseError(data);
+}
+
+/**
+ * Roughly estimate the number of tokens in a piece of text.
+ * Uses the ~4 characters per token rule of thumb, which is close enough for budgeting.
+ * @param {string} text - The text to measure
+ * @returns {number} - The estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Drop the oldest messages of a conversation until it fits in a token budget.
+ * The most recent message is always kept, and the result never starts with an assistant turn.
+ * @param {Array<{role: string, content: string}>} messages - The conversation, oldest first
+ * @param {number} budget - The number of tokens available for the messages
+ * @returns {Array<{role: string, content: string}>} - The trimmed conversation
+ */
+function trimMessagesToBudget(messages, budget) {
+  const trimmed = [...messages];
+  let total = trimmed.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+
+  while (trimmed.length > 1 && total > budget) {
+    total -= estimateTokens(trimmed.shift().content);
+  }
+
+  while (trimmed.length > 1 && trimmed[0].role === 'assistant') {
+    trimmed.shift();
+  }
+
+  return trimmed;
+}
+
+/**
+ * Run a streaming request, failing if no token arrives within the idle window.
+ * Unlike a plain Promise.race timeout, long answers that keep streaming are not cut off.
+ * @param {function(function(): void): Promise<*>} run - Starts the request; receives a callback to call on every token
+ * @param {number} timeoutMs - Maximum time to wait between tokens
+ * @returns {Promise<*>} - The result of the request
+ */
+function raceWithIdleTimeout(run, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    let timer;
+    const touch = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => reject(new Error(`Request timed out after ${timeoutMs / 1000} seconds`)), timeoutMs);
+    };
+
+    touch();
+    run(touch).then(
+      result => {
+        clearTimeout(timer);
+        resolve(result);
+      },
+      error => {
+        clearTimeout(timer);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Create an AbortSignal that fires when a VS Code cancellation token is cancelled
+ * @param {vscode.CancellationToken} token - The cancellation token, e.g. from withProgress
+ * @returns {AbortSignal} - A signal that can be passed to LLMClient requests
+ */
+function abortSignalFromToken(token) {
+  const controller = new AbortController();
+  if (token.isCancellationRequested) {
+    controller.abort();
+  } else {
+    token.onCancellationRequested(() => controller.abort());
+  }
+  return controller.signal;
+}
+
+/**
+ * How much text at the start of a response is held back while it could still be reasoning whose
+ * opening tag was in the prompt. Longer reasoning without an opening tag is shown as the answer.
+ */
+const REASONING_UNDECIDED_MAX_CHARS = 4000;
+
+/**
+ * Splits `<think>...</think>` reasoning, as emitted by deepseek-r1 style models, from the answer.
+ * Text can be pushed in arbitrary chunks; tags split across chunks are held back until complete.
+ * Some chat templates put the opening tag in the prompt, so only the closing tag comes back: the
+ * start of the response is held back until either tag shows up, the response ends, or there is
+ * more of it than `maxUndecided`.
+ */
+class ReasoningSplitter {
+  /**
+   * @param {function(string): void} onAnswer - Called with each piece of answer text
+   * @param {function(string): void} onReasoning - Called with each piece of reasoning text
+   * @param {number} [maxUndecided] - Most characters to hold back before treating them as the answer
+   */
+  constructor(onAnswer, onReasoning, maxUndecided = REASONING_UNDECIDED_MAX_CHARS) {
+    this.onAnswer = onAnswer;
+    this.onReasoning = onReasoning;
+    this.maxUndecided = maxUndecided;
+    this._decided = false;
+    this._inReasoning = false;
+    this._answerStarted = false;
+    this._pending = '';
+  }
+
+  /**
+   * Add the next chunk of response text
+   * @param {string} text - The chunk
+   */
+  push(text) {
+    let buffer = this._pending + text;
+    this._pending = '';
+
+    if (!this._decided) {
+      const open = buffer.indexOf('<think>');
+      const close = buffer.indexOf('</think>');
+      if (close !== -1 && (open === -1 || close < open)) {
+        // The opening tag was in the prompt
+        this._inReasoning = true;
+      } else if (open === -1 && buffer.length < this.maxUndecided) {
+        this._pending = buffer;
+        return;
+      }
+      this._decided = true;
+    }
+
+    while (buffer) {
+      const tag = this._inReasoning ? '</think>' : '<think>';
+      const index = buffer.indexOf(tag);
+
+      if (index !== -1) {
+        this._emit(buffer.slice(0, index));
+        buffer = buffer.slice(index + tag.length);
+        this._inReasoning = !this._inReasoning;
+        continue;
+      }
+
+      // Hold back anything that could be the start of the tag
+      let keep = tag.length - 1;
+      while (keep > 0 && !buffer.endsWith(tag.slice(0, keep))) {
+        keep--;
+      }
+      this._emit(buffer.slice(0, buffer.length - keep));
+      this._pending = buffer.slice(buffer.length - keep);
+      break;
+    }
+  }
+
+  /**
+   * Flush any text held back at the end of the response
+   */
+  end() {
+    this._decided = true;
+    this._emit(this._pending);
+    this._pending = '';
+  }
+
+  _emit(text) {
+    if (!text) return;
+
+    if (this._inReasoning) {
+      this.onReasoning(text);
+      return;
+    }
+
+    // The answer usually follows the reasoning after a blank line
+    if (!this._answerStarted) {
+      text = text.replace(/^\s+/, '');
+      if (!text) return;
+      this._answerStarted = true;
+    }
+    this.onAnswer(text);
+  }
+}
+
+/**
+ * Split a complete response into its reasoning and its answer
+ * @param {string} text - The response text
+ * @returns {{reasoning: string, answer: string}} - The reasoning (empty if none) and the answer
+ */
+function splitReasoning(text) {
+  let reasoning = '';
+  let answer = '';
+  // The whole response is here, so there's no need to limit how much of it is held back
+  const splitter = new ReasoningSplitter(chunk => { answer += chunk; }, chunk => { reasoning += chunk; }, Infinity);
+  splitter.push(text || '');
+  splitter.end();
+  return { reasoning: reasoning.trim(), answer: answer.trimEnd() };
+}
+
+/**
+ * Open an untitled document beside the active editor that text can be streamed into
+ * @param {string} language - The language of the document
+ * @param {string} initialContent - Content to show before any text arrives
+ * @returns {Promise<{document: vscode.TextDocument, append: function(string): Promise<void>}>}
+ */
+async function openStreamingDocument(language, initialContent = '') {
+  const document = await vscode.workspace.openTextDocument({
+    content: initialContent,
+    language: language
+  });
+
+  await vscode.window.showTextDocument(document, { viewColumn: vscode.ViewColumn.Beside, preview: false });
+
+  // Tokens that arrive while an edit is in flight are coalesced into the next edit
+  let buffered = '';
+  let pending = Promise.resolve();
+
+  return {
+    document,
+    append(text) {
+      buffered += text;
+      pending = pending.then(async () => {
+        if (!buffered) return;
+        const chunk = buffered;
+        buffered = '';
+
+        const edit = new vscode.WorkspaceEdit();
+        edit.insert(document.uri, document.positionAt(document.getText().length), chunk);
+        await vscode.workspace.applyEdit(edit);
+      });
+      return pending;
+    }
+  };
+}
+
+/**
+ * In-memory file system that holds proposed file contents while they are reviewed in a diff view.
+ * Proposals are writable, so the user can edit them before accepting.
+ */
+class ProposalFileSystem {
+  constructor() {
+    this._files = new Map();
+    this._nextId = 1;
+    this._onDidChangeFile = new vscode.EventEmitter();
+    this.onDidChangeFile = this._onDidChangeFile.event;
+  }
+
+  /**
+   * Store a proposal for a file
+   * @param {vscode.Uri} fileUri - The file the proposal is for
+   * @param {string} content - The proposed content
+   * @returns {vscode.Uri} - The URI of the proposal, ending in the file's own name so the language is detected
+   */
+  createProposal(fileUri, content) {
+    const fileName = fileUri.path.split('/').pop();
+    const uri = vscode.Uri.from({ scheme: ProposalFileSystem.SCHEME, path: `/${this._nextId++}/${fileName}` });
+    this.writeFile(uri, new TextEncoder().encode(content));
+    return uri;
+  }
+
+  watch() {
+    return new vscode.Disposable(() => {});
+  }
+
+  stat(uri) {
+    const file = this._files.get(uri.path);
+    if (!file) {
+      // The proposal's parent folder
+      if ([...this._files.keys()].some(filePath => filePath.startsWith(uri.path + '/'))) {
+        return { type: vscode.FileType.Directory, ctime: 0, mtime: 0, size: 0 };
+      }
+      throw vscode.FileSystemError.FileNotFound(uri);
+    }
+    return { type: vscode.FileType.File, ctime: file.ctime, mtime: file.mtime, size: file.data.length };
+  }
+
+  readDirectory() {
+    return [];
+  }
+
+  createDirectory() {}
+
+  readFile(uri) {
+    const file = this._files.get(uri.path);
+    if (!file) {
+      throw vscode.FileSystemError.FileNotFound(uri);
+    }
+    return file.data;
+  }
+
+  writeFile(uri, content) {
+    const existing = this._files.get(uri.path);
+    const now = Date.now();
+    this._files.set(uri.path, { data: content, ctime: existing ? existing.ctime : now, mtime: now });
+    this._onDidChangeFile.fire([{ type: existing ? vscode.FileChangeType.Changed : vscode.FileChangeType.Created, uri }]);
+  }
+
+  delete(uri) {
+    this._files.delete(uri.path);
+    this._onDidChangeFile.fire([{ type: vscode.FileChangeType.Deleted, uri }]);
+  }
+
+  rename() {
+    throw vscode.FileSystemError.NoPermissions('Proposals cannot be renamed');
+  }
+}
+
+ProposalFileSystem.SCHEME = 'sebguru-proposal';
+
+const proposalFileSystem = new ProposalFileSystem();
+
+// Reviews waiting for a decision, keyed by proposal URI
+const pendingReviews = new Map();
+
+/**
+ * Show a proposed change to a file in a diff view and wait for the user to accept or reject it.
+ * The right-hand side of the diff can be edited; the edited text is what gets accepted.
+ * Closing the diff without deciding counts as a rejection.
+ * @param {vscode.Uri} fileUri - The file that would change
+ * @param {string} proposedContent - The proposed new content
+ * @param {string} [title] - Title for the diff view
+ * @returns {Promise<string|undefined>} - The accepted content, or undefined if rejected
+ */
+async function reviewProposedChange(fileUri, proposedContent, title) {
+  const proposalUri = proposalFileSystem.createProposal(fileUri, proposedContent);
+  const fileName = fileUri.path.split('/').pop();
+
+  const decision = new Promise(resolve => pendingReviews.set(proposalUri.toString(), resolve));
+
+  await vscode.commands.executeCommand('vscode.diff', fileUri, proposalUri, title || `${fileName} ↔ AI proposal`, { preview: false });
+
+  // Closing the diff tab is the same as rejecting
+  const tabListener = vscode.window.tabGroups.onDidChangeTabs(event => {
+    const closed = event.closed.some(tab =>
+      tab.input instanceof vscode.TabInputTextDiff && tab.input.modified.toString() === proposalUri.toString());
+    if (closed) {
+      settleReview(proposalUri, false);
+    }
+  });
+
+  // The notification offers the same choices as the diff editor's title bar buttons
+  const promptForDecision = async (message) => {
+    const choice = await vscode.window.showInformationMessage(message, 'Accept', 'Edit', 'Reject');
+    if (choice === 'Accept') {
+      settleReview(proposalUri, true);
+    } else if (choice === 'Reject') {
+      settleReview(proposalUri, false);
+    } else if (choice === 'Edit' && pendingReviews.has(proposalUri.toString())) {
+      // Put the cursor in the proposal, then ask again once the user is done editing
+      const proposalEditor = vscode.window.visibleTextEditors.find(editor => editor.document.uri.toString() === proposalUri.toString());
+      if (proposalEditor) {
+        await vscode.window.showTextDocument(proposalEditor.document, proposalEditor.viewColumn);
+      }
+      promptForDecision(`Edit the proposed changes to ${fileName} on the right, then accept them.`);
+    }
+  };
+  promptForDecision(`Review the AI's proposed changes to ${fileName}.`);
+
+  const accepted = await decision;
+  tabListener.dispose();
+
+  let acceptedContent;
+  if (accepted) {
+    // Include edits the user hasn't saved
+    const proposalDocument = vscode.workspace.textDocuments.find(document => document.uri.toString() === proposalUri.toString());
+    acceptedContent = proposalDocument
+      ? proposalDocument.getText()
+      : new TextDecoder().decode(proposalFileSystem.readFile(proposalUri));
+  }
+
+  await closeDiffTabs(proposalUri);
+  proposalFileSystem.delete(proposalUri);
+  return acceptedContent;
+}
+
+/**
+ * Finish a pending review
+ * @param {vscode.Uri} proposalUri - The proposal being reviewed
+ * @param {boolean} accepted - Whether the change was accepted
+ */
+function settleReview(proposalUri, accepted) {
+  const resolve = pendingReviews.get(proposalUri.toString());
+  if (resolve) {
+    pendingReviews.delete(proposalUri.toString());
+    resolve(accepted);
+  }
+}
+
+/**
+ * Close any diff tabs showing a proposal, discarding unsaved edits to it
+ * @param {vscode.Uri} proposalUri - The proposal
+ */
+async function closeDiffTabs(proposalUri) {
+  const tabs = vscode.window.tabGroups.all
+    .flatMap(group => group.tabs)
+    .filter(tab => tab.input instanceof vscode.TabInputTextDiff && tab.input.modified.toString() === proposalUri.toString());
+
+  // Saving to the in-memory file system lets the diff close without a "save changes?" prompt
+  const proposalDocument = vscode.workspace.textDocuments.find(document => document.uri.toString() === proposalUri.toString());
+  if (proposalDocument && proposalDocument.isDirty) {
+    await proposalDocument.save();
+  }
+
+  if (tabs.length > 0) {
+    await vscode.window.tabGroups.close(tabs);
+  }
+}
+
+/**
+ * Replace the whole content of a file through a WorkspaceEdit, so the change can be undone,
+ * and save it to disk
+ * @param {vscode.Uri} fileUri - The file to change
+ * @param {string} content - The new content
+ * @returns {Promise<vscode.TextDocument>} - The changed document
+ */
+async function replaceDocumentContent(fileUri, content) {
+  const document = await vscode.workspace.openTextDocument(fileUri);
+  const fullRange = new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length));
+
+  const edit = new vscode.WorkspaceEdit();
+  edit.replace(fileUri, fullRange, content);
+  if (!await vscode.workspace.applyEdit(edit)) {
+    throw new Error(`Could not apply the changes to ${fileUri.fsPath}`);
+  }
+
+  await document.save();
+  return document;
 }
 
 /**
@@ -61,11 +847,14 @@ class LLMClient {
     this.useLocalLLM = config.useLocalLLM;
     this.localLLMUrl = config.localLLMUrl;
     this.localLLMPath = config.localLLMPath;
+    this.provider = config.provider || 'ollama-chat';
     this.apiHostname = config.apiHostname || 'localhost:3000';
     this.apiVersion = config.apiVersion || 'v1';
     this.apiKey = config.apiKey;
     this.model = config.model;
     this.maxTokens = config.maxTokens;
+    this.contextWindow = config.contextWindow || 8192;
+    this.streamResponses = config.streamResponses !== false;
     this.baseUrl = `https://${this.apiHostname}/${this.apiVersion}`;
   }
 
@@ -77,6 +866,7 @@ class LLMClient {
     this.useLocalLLM = config.useLocalLLM;
     this.localLLMUrl = config.localLLMUrl;
     this.localLLMPath = config.localLLMPath;
+    this.provider = config.provider || 'ollama-chat';
 
     // Update API hostname and version if provided
     if (config.apiHostname) {
@@ -94,6 +884,8 @@ class LLMClient {
     this.apiKey = config.apiKey;
     this.model = config.model;
     this.maxTokens = config.maxTokens;
+    this.contextWindow = config.contextWindow || 8192;
+    this.streamResponses = config.streamResponses !== false;
   }
 
   /**
@@ -113,220 +905,473 @@ class LLMClient {
   }
 
   /**
-   * Make a request to either the local LLM server or the SebGuru API
-   * @param {string} prompt - The prompt to send
-   * @param {object} options - Additional options for the request
-   * @returns {Promise<string>} - The response from the LLM
+   * List the models available on the configured server, using the provider's model list endpoint
+   * @param {object} options - Additional options; `options.signal` aborts the request
+   * @returns {Promise<Array<{name: string, detail: string}>>} - The available models, sorted by name
    */
-  async makeRequest(prompt, options = {}) {
+  async listModels(options = {}) {
+    let adapter = openAIAdapter;
+    let url = `${this.baseUrl}/models`;
+    const headers = {};
+
     if (this.useLocalLLM) {
-      return this.makeLocalRequest(prompt, options);
+      adapter = this.adapter;
+      url = this.localUrl(adapter.modelsPath);
+    } else if (!this.apiKey) {
+      throw new Error('SebGuru API key not set. Please set your API key in the extension settings or switch to using a local LLM.');
     } else {
-      return this.makeSebGuruRequest(prompt, options);
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    try {
+      const response = await axios.get(url, { headers, signal: options.signal, timeout: 10000 });
+      return adapter.parseModels(response.data).sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        throw error;
+      }
+      console.error('Error listing models:', error);
+      const serverError = await readServerError(error, adapter);
+      throw new Error(`Failed to list models: ${serverError || error.message}`);
     }
   }
 
   /**
-   * Make a request to the local LLM server
-   * @param {string} prompt - The prompt to send
-   * @param {object} options - Additional options for the request
-   * @returns {Promise<string>} - The response from the local LLM
+   * The settings an adapter builds a request from, with a per-request model override applied
+   * @param {object} options - The request options; `options.model` overrides the configured model
+   * @returns {object} - The settings
    */
-  async makeLocalRequest(prompt, options = {}) {
-    try {
-      // Ensure we don't have double slashes in the URL
-      const baseUrl = this.localLLMUrl.endsWith('/') ? this.localLLMUrl.slice(0, -1) : this.localLLMUrl;
-      const path = this.localLLMPath.startsWith('/') ? this.localLLMPath : '/' + this.localLLMPath;
-      const url = `${baseUrl}${path}`;
-      console.log(`Making request to local LLM at: ${url}`);
-
-      // Prepare request payload based on API endpoint
-      let payload;
-      if (this.localLLMPath === '/api/generate') {
-        // Ollama /api/generate endpoint format
-        payload = {
-          model: this.model,
-          prompt: prompt,
-          system: options.systemPrompt || 'You are a helpful AI coding assistant.',
-          stream: false
-        };
-
-        // Only add options if they're specified
-        if (options.temperature || options.maxTokens) {
-          if (options.maxTokens || this.maxTokens) {
-            payload.num_predict = options.maxTokens || this.maxTokens;
-          }
+  requestSettings(options) {
+    return options.model ? { ...this, model: options.model } : this;
+  }
 
-          if (options.temperature) {
-            payload.temperature = options.temperature;
-          }
-        }
-      } else if (this.localLLMPath === '/api/chat') {
-        // Ollama /api/chat endpoint format
-        payload = {
-          model: this.model,
-          messages: [
-            { role: 'system', content: options.systemPrompt || 'You are a helpful AI coding assistant.' },
-            { role: 'user', content: prompt }
-          ],
-          stream: false
-        };
+  /**
+   * The adapter for the configured local LLM server
+   * @returns {object} - The provider adapter
+   */
+  get adapter() {
+    const adapter = PROVIDER_ADAPTERS[this.provider];
+    if (!adapter) {
+      throw new Error(`Unknown LLM provider "${this.provider}". Choose one of: ${Object.keys(PROVIDER_ADAPTERS).join(', ')}`);
+    }
+    return adapter;
+  }
 
-        // Only add options if they're specified
-        if (options.temperature || options.maxTokens) {
-          payload.options = {};
+  /**
+   * Build a URL on the local LLM server
+   * @param {string} endpointPath - The endpoint path
+   * @returns {string} - The full URL
+   */
+  localUrl(endpointPath) {
+    // Ensure we don't have double slashes in the URL
+    const baseUrl = this.localLLMUrl.endsWith('/') ? this.localLLMUrl.slice(0, -1) : this.localLLMUrl;
+    return `${baseUrl}${endpointPath.startsWith('/') ? endpointPath : '/' + endpointPath}`;
+  }
 
-          if (options.maxTokens || this.maxTokens) {
-            payload.options.num_predict = options.maxTokens || this.maxTokens;
-          }
+  /**
+   * Make a request to either the local LLM server or the SebGuru API.
+   * Pass `options.onToken` to receive the response incrementally as it is generated,
+   * and `options.signal` (an AbortSignal) to abort the underlying HTTP request.
+   * Aborted requests reject with an error for which `axios.isCancel` returns true.
+   * `<think>` reasoning is never part of the result; pass `options.onReasoning` to receive it.
+   * `options.model` uses another model than the configured one for this request.
+   * @param {string} prompt - The prompt to send
+   * @param {object} options - Additional options for the request
+   * @returns {Promise<string>} - The response from the LLM
+   */
+  async makeRequest(prompt, options = {}) {
+    return this.makeChatRequest([{ role: 'user', content: prompt }], options);
+  }
 
-          if (options.temperature) {
-            payload.options.temperature = options.temperature;
-          }
-        }
-      } else {
-        // OpenAI-compatible API format
-        payload = {
-          model: this.model,
-          messages: [
-            { role: 'system', content: options.systemPrompt || 'You are a helpful AI coding assistant.' },
-            { role: 'user', content: prompt }
-          ],
-          max_tokens: options.maxTokens || this.maxTokens,
-          temperature: options.temperature || 0.7,
-        };
+  /**
+   * Make a request with a whole conversation, so the model can see earlier turns.
+   * The oldest turns are dropped when the conversation doesn't fit in the context window.
+   * Accepts the same options as makeRequest.
+   * @param {Array<{role: string, content: string}>} messages - The user and assistant turns, oldest first
+   * @param {object} options - Additional options for the request
+   * @returns {Promise<string>} - The response from the LLM
+   */
+  async makeChatRequest(messages, options = {}) {
+    const systemPrompt = options.systemPrompt || 'You are a helpful AI coding assistant.';
+
+    // Leave room for the system prompt and the response itself
+    const budget = this.contextWindow - estimateTokens(systemPrompt) - (options.maxTokens || this.maxTokens || 0);
+    const conversation = trimMessagesToBudget(
+      messages.map(message => ({ role: message.role, content: message.content })),
+      Math.max(budget, 0)
+    );
+
+    if (conversation.length < messages.length) {
+      console.log(`Trimmed ${messages.length - conversation.length} oldest messages to fit the context window`);
+    }
+
+    const fullMessages = [{ role: 'system', content: systemPrompt }, ...conversation];
+    const { onToken, onReasoning, ...requestOptions } = options;
+    const send = sendOptions => this.useLocalLLM
+      ? this.makeLocalRequest(fullMessages, sendOptions)
+      : this.makeSebGuruRequest(fullMessages, sendOptions);
+
+    // Without streaming, callers that asked for tokens still get them, just all at once
+    if (!onToken || !this.streamResponses) {
+      const { reasoning, answer } = splitReasoning(await send(requestOptions));
+      if (reasoning && onReasoning) onReasoning(reasoning);
+      if (onToken) onToken(answer);
+      return answer;
+    }
+
+    // Stream reasoning and answer tokens to their own callbacks
+    let answer = '';
+    const splitter = new ReasoningSplitter(
+      text => {
+        answer += text;
+        onToken(text);
+      },
+      text => {
+        if (onReasoning) onReasoning(text);
       }
+    );
+    await send({ ...requestOptions, onToken: text => splitter.push(text) });
+    splitter.end();
+    return answer.trimEnd();
+  }
 
-      console.log(`Request payload: ${JSON.stringify(payload)}`);
+  /**
+   * Make a raw text completion request, without a chat template or system prompt.
+   * Used for fill-in-the-middle code completion.
+   * @param {string} prompt - The prompt to complete
+   * @param {object} options - `model`, `maxTokens`, `temperature`, `stop` (an array of stop sequences) and `signal`
+   * @returns {Promise<string>} - The completion
+   */
+  async makeCompletionRequest(prompt, options = {}) {
+    let adapter = openAIAdapter;
+    let url = `${this.baseUrl}/completions`;
+    const headers = { 'Content-Type': 'application/json' };
 
-      const response = await axios.post(
-        url,
-        payload,
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: 120000 // 120 seconds (2 minutes) timeout
+    if (this.useLocalLLM) {
+      adapter = this.adapter;
+      url = this.localUrl(adapter.completionPath);
+    } else if (!this.apiKey) {
+      throw new Error('SebGuru API key not set. Please set your API key in the extension settings or switch to using a local LLM.');
+    } else {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const payload = adapter.buildCompletionRequest(prompt, {
+      maxTokens: options.maxTokens || 128,
+      temperature: options.temperature !== undefined ? options.temperature : 0.2,
+      stop: options.stop
+    }, this.requestSettings(options));
+
+    try {
+      const response = await axios.post(url, payload, { headers, signal: options.signal, timeout: 30000 });
+      const completion = adapter.parseCompletionResponse(response.data);
+      if (typeof completion !== 'string') {
+        throw new Error(`Unexpected completion response format from ${adapter.label}`);
+      }
+      return completion;
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        throw error;
+      }
+      const serverError = await readServerError(error, adapter);
+      throw new Error(`Failed to get completion from ${adapter.label}: ${serverError || error.message}`);
+    }
+  }
+
+  /**
+   * Get embedding vectors for texts from the embeddings endpoint: Ollama's `/api/embeddings`, or
+   * `/v1/embeddings` for OpenAI-compatible servers and the SebGuru API. Texts are sent in batches
+   * as large as the server takes.
+   * @param {Array<string>} texts - The texts to embed
+   * @param {object} options - `model` (an embedding model, in place of the chat model) and `signal`
+   * @returns {Promise<Array<Array<number>>>} - One vector per text, in the same order
+   */
+  async makeEmbeddingRequest(texts, options = {}) {
+    let adapter = openAIAdapter;
+    let url = `${this.baseUrl}/embeddings`;
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.useLocalLLM) {
+      adapter = this.adapter;
+      if (!adapter.embeddingsPath) {
+        throw new Error(`${adapter.label} doesn't support embeddings`);
+      }
+      url = this.localUrl(adapter.embeddingsPath);
+    } else if (!this.apiKey) {
+      throw new Error('SebGuru API key not set. Please set your API key in the extension settings or switch to using a local LLM.');
+    } else {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const settings = this.requestSettings(options);
+    const vectors = [];
+    try {
+      for (let start = 0; start < texts.length; start += adapter.embeddingBatchSize) {
+        const batch = texts.slice(start, start + adapter.embeddingBatchSize);
+        const response = await axios.post(url, adapter.buildEmbeddingRequest(batch, settings), { headers, signal: options.signal, timeout: 60000 });
+
+        const errorMessage = adapter.parseError(response.data);
+        if (errorMessage) {
+          throw new Error(errorMessage);
         }
-      );
 
-      // Log the response for debugging
-      console.log('Response from local LLM:', JSON.stringify(response.data, null, 2));
-      console.log('Response status:', response.status);
-      console.log('Response headers:', JSON.stringify(response.headers, null, 2));
+        const embeddings = adapter.parseEmbeddings(response.data);
+        if (!embeddings || embeddings.length !== batch.length) {
+          throw new Error(`Unexpected embeddings response from ${adapter.label}. Check that ${settings.model} is an embedding model`);
+        }
+        vectors.push(...embeddings);
+      }
+      return vectors;
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        throw error;
+      }
+      const serverError = await readServerError(error, adapter);
+      throw new Error(`Failed to get embeddings from ${adapter.label}: ${serverError || error.message}`);
+    }
+  }
+
+  /**
+   * Whether the configured server supports native tool calling
+   * @returns {boolean}
+   */
+  get supportsTools() {
+    return !this.useLocalLLM || !!this.adapter.parseToolResponse;
+  }
+
+  /**
+   * Make a chat request that offers the model tools to call. The messages are sent as they are,
+   * without a system prompt or trimming, so tool call and tool result messages reach the server
+   * in its own format. Only for servers where `supportsTools` is true.
+   * @param {Array<object>} messages - The messages to send, starting with the system prompt
+   * @param {Array<object>} tools - The tools, as OpenAI-style function definitions
+   * @param {object} options - `model`, `temperature`, `maxTokens` and `signal`
+   * @returns {Promise<{message: object, content: string, reasoning: string, toolCalls: Array<{id: string, name: string, arguments: *}>}>}
+   *   The assistant message to add to the conversation, its text without reasoning, and the tool calls it asks for
+   */
+  async makeToolRequest(messages, tools, options = {}) {
+    let adapter = openAIAdapter;
+    let url = `${this.baseUrl}/chat/completions`;
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.useLocalLLM) {
+      adapter = this.adapter;
+      url = this.localUrl(this.localLLMPath || adapter.defaultPath);
+    } else if (!this.apiKey) {
+      throw new Error('SebGuru API key not set. Please set your API key in the extension settings or switch to using a local LLM.');
+    } else {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    if (!adapter.parseToolResponse) {
+      throw new Error(`${adapter.label} doesn't support tool calling`);
+    }
+
+    const payload = adapter.buildRequest(messages, {
+      tools,
+      maxTokens: options.maxTokens,
+      temperature: options.temperature !== undefined ? options.temperature : 0.2
+    }, this.requestSettings(options));
+
+    try {
+      const response = await axios.post(url, payload, { headers, signal: options.signal, timeout: 120000 });
+
+      const errorMessage = adapter.parseError(response.data);
+      if (errorMessage) {
+        throw new Error(errorMessage);
+      }
+
+      const result = adapter.parseToolResponse(response.data);
+      if (!result) {
+        console.error(`Unexpected response format from ${adapter.label}:`, response.data);
+        throw new Error(`Unexpected response format from ${adapter.label}`);
+      }
+
+      const { reasoning, answer } = splitReasoning(result.content);
+      return { ...result, content: answer, reasoning };
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        throw error;
+      }
+      const serverError = await readServerError(error, adapter);
+      throw new Error(`Failed to get response from ${adapter.label}: ${serverError || error.message}`);
+    }
+  }
+
+  /**
+   * Build the message that returns a tool's result to the model, in the server's format
+   * @param {{id: string, name: string}} call - The tool call being answered
+   * @param {string} content - The tool's result
+   * @returns {object} - The message
+   */
+  toolResultMessage(call, content) {
+    const adapter = this.useLocalLLM ? this.adapter : openAIAdapter;
+    return adapter.toolResultMessage(call, content);
+  }
 
-      // Log specific fields to help diagnose the issue
-      if (response.data) {
-        console.log('Response data type:', typeof response.data);
-        console.log('Response data keys:', Object.keys(response.data));
+  /**
+   * POST a streaming request and feed each text delta to a callback
+   * @param {string} url - The URL to post to
+   * @param {object} payload - The request payload
+   * @param {object} headers - The request headers
+   * @param {object} adapter - The provider adapter that parses the streamed chunks
+   * @param {function(string): void} onToken - Called with each text delta
+   * @param {AbortSignal} [signal] - Aborts the request, including a stream in progress
+   * @returns {Promise<string>} - The full concatenated response
+   */
+  async streamRequest(url, payload, headers, adapter, onToken, signal) {
+    const response = await axios.post(url, payload, {
+      headers,
+      responseType: 'stream',
+      signal,
+      timeout: 120000 // Only applies until the response headers arrive
+    });
 
-        if (response.data.message) {
-          console.log('Message field type:', typeof response.data.message);
-          console.log('Message field keys:', Object.keys(response.data.message));
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        response.data.destroy();
+        reject(new axios.CanceledError());
+      };
+      // A signal can outlive the request, so it must not keep a listener for a finished stream
+      const removeAbortListener = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
         }
+        signal.addEventListener('abort', onAbort, { once: true });
       }
 
-      try {
-        // Handle different response formats from various local LLM servers
-        if (response.data.choices && response.data.choices.length > 0) {
-          if (response.data.choices[0].message) {
-            return response.data.choices[0].message.content;
-          } else if (response.data.choices[0].text) {
-            return response.data.choices[0].text;
-          }
-        } else if (response.data.message && response.data.message.content) {
-          // Ollama API format
-          return response.data.message.content;
-        } else if (response.data.response) {
-          return response.data.response;
-        } else if (response.data.output) {
-          return response.data.output;
-        } else if (typeof response.data === 'string') {
-          return response.data;
-        }
-
-        // If we can't find a recognized format, try to extract content from the response
-        if (response.data && typeof response.data === 'object') {
-          // Try to find any field that might contain the response content
-          for (const key of ['content', 'text', 'result', 'answer', 'generated_text']) {
-            if (response.data[key] && typeof response.data[key] === 'string') {
-              return response.data[key];
-            }
-          }
+      const decoder = new StringDecoder('utf8');
+      let buffer = '';
+      let fullText = '';
 
-          // If there's a message object, try to extract content from it
-          if (response.data.message && typeof response.data.message === 'object') {
-            for (const key of ['content', 'text', 'value']) {
-              if (response.data.message[key] && typeof response.data.message[key] === 'string') {
-                return response.data.message[key];
-              }
-            }
-          }
+      const handleLine = (line) => {
+        const token = parseStreamLine(line, adapter);
+        if (token) {
+          fullText += token;
+          onToken(token);
+        }
+      };
 
-          // Last resort: stringify the entire response if it's an object
-          if (Object.keys(response.data).length > 0) {
-            // Check if there's any text content in the object
-            const jsonString = JSON.stringify(response.data);
-            if (jsonString.length > 2) { // More than just "{}"
-              // Extract any text content from the response
-              const textContent = extractTextContent(response.data);
-              if (textContent) {
-                return textContent;
-              }
-              // If no text content found, return the stringified object
-              return `AI response (raw format): ${jsonString}`;
-            }
+      response.data.on('data', (chunk) => {
+        try {
+          buffer += decoder.write(chunk);
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+          lines.forEach(handleLine);
+        } catch (error) {
+          removeAbortListener();
+          response.data.destroy();
+          reject(error);
+        }
+      });
+
+      response.data.on('end', () => {
+        removeAbortListener();
+        try {
+          buffer += decoder.end();
+          if (buffer) {
+            handleLine(buffer);
           }
+          resolve(fullText);
+        } catch (error) {
+          reject(error);
         }
+      });
+
+      response.data.on('error', error => {
+        removeAbortListener();
+        reject(error);
+      });
+      response.data.on('close', removeAbortListener);
+    });
+  }
+
+  /**
+   * Make a request to the local LLM server
+   * @param {Array<{role: string, content: string}>} messages - The messages to send, starting with the system prompt
+   * @param {object} options - Additional options for the request
+   * @returns {Promise<string>} - The response from the local LLM
+   */
+  async makeLocalRequest(messages, options = {}) {
+    const adapter = this.adapter;
+    const url = this.localUrl(this.localLLMPath || adapter.defaultPath);
+    console.log(`Making request to ${adapter.label} at: ${url}`);
+
+    try {
+      const payload = adapter.buildRequest(messages, options, this.requestSettings(options));
+      console.log(`Request payload: ${JSON.stringify(payload)}`);
 
-        console.error('Unexpected response format from local LLM:', response.data);
-        throw new Error('Unexpected response format from local LLM');
-      } catch (parseError) {
-        console.error('Error parsing LLM response:', parseError);
-        // Return a fallback response
-        return "I encountered an error processing the response. Please try again or check the server logs.";
+      const headers = { 'Content-Type': 'application/json' };
+
+      if (options.onToken) {
+        return await this.streamRequest(url, payload, headers, adapter, options.onToken, options.signal);
+      }
+
+      const response = await axios.post(url, payload, {
+        headers,
+        signal: options.signal,
+        timeout: 120000 // 120 seconds (2 minutes) timeout
+      });
+
+      const errorMessage = adapter.parseError(response.data);
+      if (errorMessage) {
+        throw new Error(errorMessage);
+      }
+
+      const content = adapter.parseResponse(response.data);
+      if (typeof content !== 'string') {
+        console.error(`Unexpected response format from ${adapter.label}:`, response.data);
+        throw new Error(`Unexpected response format from ${adapter.label}. Check that the provider setting matches your server`);
       }
+
+      return content;
     } catch (error) {
+      if (axios.isCancel(error)) {
+        throw error;
+      }
       console.error('Error making request to local LLM:', error);
-      throw new Error(`Failed to get response from local LLM: ${error.message}. Make sure your local LLM server is running at ${this.localLLMUrl}`);
+      const serverError = await readServerError(error, adapter);
+      throw new Error(`Failed to get response from ${adapter.label}: ${serverError || error.message}. Make sure your local LLM server is running at ${this.localLLMUrl}`);
     }
   }
 
   /**
    * Make a request to the SebGuru API
-   * @param {string} prompt - The prompt to send to SebGuru
+   * @param {Array<{role: string, content: string}>} messages - The messages to send, starting with the system prompt
    * @param {object} options - Additional options for the request
    * @returns {Promise<string>} - The response from SebGuru
    */
-  async makeSebGuruRequest(prompt, options = {}) {
+  async makeSebGuruRequest(messages, options = {}) {
     if (!this.apiKey) {
       throw new Error('SebGuru API key not set. Please set your API key in the extension settings or switch to using a local LLM.');
     }
 
     try {
-      const response = await axios.post(
-        `${this.baseUrl}/chat/completions`,
-        {
-          model: this.model,
-          messages: [
-            { role: 'system', content: options.systemPrompt || 'You are a helpful AI coding assistant.' },
-            { role: 'user', content: prompt }
-          ],
-          max_tokens: options.maxTokens || this.maxTokens,
-          temperature: options.temperature || 0.7,
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const url = `${this.baseUrl}/chat/completions`;
+      const payload = openAIAdapter.buildRequest(messages, options, this.requestSettings(options));
+      const headers = {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      };
+
+      if (options.onToken) {
+        return await this.streamRequest(url, payload, headers, openAIAdapter, options.onToken, options.signal);
+      }
+
+      const response = await axios.post(url, payload, { headers, signal: options.signal });
 
-      return response.data.choices[0].message.content;
+      return openAIAdapter.parseResponse(response.data);
     } catch (error) {
+      if (axios.isCancel(error)) {
+        throw error;
+      }
       console.error('Error making request to SebGuru API:', error);
-      throw new Error(`Failed to get response from SebGuru: ${error.message}`);
+      const serverError = await readServerError(error, openAIAdapter);
+      throw new Error(`Failed to get response from SebGuru: ${serverError || error.message}`);
     }
   }
 
@@ -345,684 +1390,5888 @@ class LLMClient {
 }
 
 /**
- * Chat view provider for the AI assistant chat interface
+ * Persists named chat sessions in the workspace state so conversations survive
+ * closing the chat panel and reloading the window
  */
-class AIChatViewProvider {
-  constructor(client) {
-    this.client = client;
-    this._view = null;
-    this.chatHistory = [];
+class ChatSessionStore {
+  /**
+   * @param {vscode.Memento} memento - Where to store the sessions, normally context.workspaceState
+   */
+  constructor(memento) {
+    this.memento = memento;
+    this._onDidChange = new vscode.EventEmitter();
+    // Fires with { type: 'saved' | 'renamed' | 'deleted', sessionId }
+    this.onDidChange = this._onDidChange.event;
   }
 
-  resolveWebviewView(webviewView) {
-    console.log('AIChatViewProvider.resolveWebviewView called');
-    this._view = webviewView;
-    webviewView.webview.options = {
-      enableScripts: true,
-      localResourceRoots: []
-    };
-
-    console.log('Updating webview with HTML content');
-    this._updateWebview();
-    console.log('Webview HTML content updated');
-
-    webviewView.webview.onDidReceiveMessage(async (data) => {
-      console.log('AIChatViewProvider received message:', data);
-
-      if (data.type === 'sendMessage') {
-        try {
-          const userMessage = data.value;
-          console.log('User message received:', userMessage);
-
-          // Add user message to chat history
-          this.chatHistory.push({ role: 'user', content: userMessage });
-          this._updateWebview();
-          console.log('Chat history updated with user message');
+  /**
+   * List all saved sessions
+   * @returns {Array<object>} - The sessions, most recently updated first
+   */
+  list() {
+    return this._read().sort((a, b) => b.updatedAt - a.updatedAt);
+  }
 
-          // Show loading indicator
-          webviewView.webview.postMessage({ type: 'setLoading', value: true });
-          console.log('Loading indicator shown');
+  /**
+   * Get a saved session
+   * @param {string} id - The session ID
+   * @returns {object|null} - A copy of the session, or null if it doesn't exist
+   */
+  get(id) {
+    return this._read().find(session => session.id === id) || null;
+  }
 
-          // Set a timeout for the request
-          const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Request timed out after 60 seconds')), 60000);
-          });
+  /**
+   * Create a new, empty session. It is only stored once it has messages.
+   * @param {string} model - The model the session is started with
+   * @returns {object} - The new session
+   */
+  create(model) {
+    const now = Date.now();
+    return {
+      id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      title: ChatSessionStore.DEFAULT_TITLE,
+      createdAt: now,
+      updatedAt: now,
+      model: model,
+      messages: []
+    };
+  }
 
-          console.log('Making request to LLM...');
-          // Get response from LLM with timeout
-          const response = await Promise.race([
-            this.client.makeRequest(userMessage, {
-              systemPrompt: `You are SebGuru, an AI coding assistant. Help the user with their coding tasks and questions.
+  /**
+   * Save a session, naming it after its first user message if it has no title yet
+   * @param {object} session - The session to save
+   * @returns {Promise<void>}
+   */
+  async save(session) {
+    if (session.messages.length === 0) {
+      return;
+    }
 
-              When asked to create a Python script or any other code, provide ONLY the complete code without any explanations or markdown formatting.
-              For example, if asked to create a Python script that prints "Hello World", respond with just:
+    session.updatedAt = Date.now();
+    if (session.title === ChatSessionStore.DEFAULT_TITLE) {
+      const firstUserMessage = session.messages.find(message => message.role === 'user');
+      if (firstUserMessage) {
+        const title = firstUserMessage.content.replace(/\s+/g, ' ').trim();
+        session.title = title.length > 50 ? `${title.substring(0, 50)}...` : title;
+      }
+    }
 
-              print("Hello World")
+    const sessions = this._read().filter(existing => existing.id !== session.id);
+    sessions.push(session);
+    await this.memento.update(ChatSessionStore.STORAGE_KEY, sessions);
+    this._onDidChange.fire({ type: 'saved', sessionId: session.id });
+  }
 
-              Do not include explanations like "I don't have access to your system" - you are integrated into VS Code
-              and can provide code that the user can copy and paste into their files.
+  /**
+   * Rename a saved session
+   * @param {string} id - The session ID
+   * @param {string} title - The new title
+   * @returns {Promise<void>}
+   */
+  async rename(id, title) {
+    const sessions = this._read();
+    const session = sessions.find(existing => existing.id === id);
+    if (!session) {
+      return;
+    }
 
-              Always provide complete, working solutions that directly address the user's request.`,
-            }),
-            timeoutPromise
-          ]);
+    session.title = title;
+    await this.memento.update(ChatSessionStore.STORAGE_KEY, sessions);
+    this._onDidChange.fire({ type: 'renamed', sessionId: id, title: title });
+  }
 
-          console.log('Received response from LLM:', response ? response.substring(0, 100) + '...' : 'null or empty');
+  /**
+   * Delete a saved session
+   * @param {string} id - The session ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    const sessions = this._read().filter(existing => existing.id !== id);
+    await this.memento.update(ChatSessionStore.STORAGE_KEY, sessions);
+    this._onDidChange.fire({ type: 'deleted', sessionId: id });
+  }
 
-          // Add response to chat history
-          this.chatHistory.push({ role: 'assistant', content: response });
-          console.log('Chat history updated with assistant response');
+  _read() {
+    // Return copies so callers can't mutate the stored state without saving
+    return JSON.parse(JSON.stringify(this.memento.get(ChatSessionStore.STORAGE_KEY, [])));
+  }
+}
 
-          // Hide loading indicator and update webview
-          webviewView.webview.postMessage({ type: 'setLoading', value: false });
-          console.log('Loading indicator hidden');
+ChatSessionStore.STORAGE_KEY = 'sebguru-assistant.chatSessions';
+ChatSessionStore.DEFAULT_TITLE = 'New Chat';
 
-          this._updateWebview();
-          console.log('Webview updated with new chat history');
+/**
+ * Let the user pick a chat session to open, with inline buttons to rename or delete sessions
+ * @param {ChatSessionStore} sessionStore - The session store
+ * @returns {Promise<{sessionId: string|null}|undefined>} - The picked session (null for a new chat), or undefined if dismissed
+ */
+function pickChatSession(sessionStore) {
+  return new Promise((resolve) => {
+    const quickPick = vscode.window.createQuickPick();
+    const renameButton = { iconPath: new vscode.ThemeIcon('edit'), tooltip: 'Rename Session' };
+    const deleteButton = { iconPath: new vscode.ThemeIcon('trash'), tooltip: 'Delete Session' };
+    // Set while an input box or dialog temporarily hides the quick pick
+    let editing = false;
+
+    const refreshItems = () => {
+      quickPick.items = [
+        { label: '$(add) New Chat', sessionId: null, alwaysShow: true },
+        ...sessionStore.list().map(session => ({
+          label: session.title,
+          description: session.model,
+          detail: `${session.messages.length} messages, last updated ${new Date(session.updatedAt).toLocaleString()}`,
+          sessionId: session.id,
+          buttons: [renameButton, deleteButton]
+        }))
+      ];
+    };
 
-        } catch (error) {
-          console.error('Error getting response from LLM:', error);
-          vscode.window.showErrorMessage(`AI Assistant error: ${error.message}`);
-          webviewView.webview.postMessage({ type: 'setLoading', value: false });
+    quickPick.placeholder = 'Select a chat session to open';
+    quickPick.matchOnDetail = true;
+    refreshItems();
 
-          // Add error message to chat history
-          this.chatHistory.push({
-            role: 'assistant',
-            content: `I'm sorry, I encountered an error: ${error.message}. Please try again or check the server logs.`
+    quickPick.onDidTriggerItemButton(async (event) => {
+      editing = true;
+      try {
+        if (event.button === renameButton) {
+          const title = await vscode.window.showInputBox({
+            prompt: 'Enter a new name for the chat session',
+            value: event.item.label
           });
-          this._updateWebview();
+          if (title && title.trim()) {
+            await sessionStore.rename(event.item.sessionId, title.trim());
+          }
+        } else if (event.button === deleteButton) {
+          const confirmation = await vscode.window.showWarningMessage(
+            `Delete chat session "${event.item.label}"?`,
+            { modal: true },
+            'Delete'
+          );
+          if (confirmation === 'Delete') {
+            await sessionStore.delete(event.item.sessionId);
+          }
         }
-      } else if (data.type === 'clearChat') {
-        console.log('Clearing chat history');
-        this.chatHistory = [];
-        this._updateWebview();
-        console.log('Chat history cleared');
+      } finally {
+        editing = false;
+        refreshItems();
+        quickPick.show();
       }
     });
-  }
 
-  _updateWebview() {
-    console.log('AIChatViewProvider._updateWebview called');
-    if (!this._view) {
-      console.log('AIChatViewProvider._updateWebview: _view is null');
-      return;
-    }
+    quickPick.onDidAccept(() => {
+      const [selected] = quickPick.selectedItems;
+      resolve(selected ? { sessionId: selected.sessionId } : undefined);
+      quickPick.dispose();
+    });
 
-    console.log('Setting webview HTML content');
-    const html = this._getHtmlForWebview();
-    console.log('HTML content length:', html.length);
-    this._view.webview.html = html;
-    console.log('Webview HTML content set');
-  }
+    quickPick.onDidHide(() => {
+      if (!editing) {
+        resolve(undefined);
+        quickPick.dispose();
+      }
+    });
 
-  _getHtmlForWebview() {
-    console.log('AIChatViewProvider._getHtmlForWebview called');
-    console.log('Chat history length:', this.chatHistory.length);
-
-    // Create a chat history HTML with markdown formatting
-    const chatHistoryHtml = this.chatHistory.map(message => {
-      const isUser = message.role === 'user';
-      const formattedContent = this._formatMessageContent(message.content);
-      return `<div class="${isUser ? 'user-message' : 'assistant-message'}">
-        <div class="message-header">${isUser ? 'You' : 'AI Assistant'}</div>
-        <div class="message-content">${formattedContent}</div>
-      </div>`;
-    }).join('');
+    quickPick.show();
+  });
+}
 
-    // Return a more robust HTML structure similar to the chat panel
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <style>
-          html, body {
-            margin: 0;
-            padding: 0;
-            height: 100%;
-            font-family: var(--vscode-font-family);
-            font-size: var(--vscode-font-size);
-            color: var(--vscode-foreground);
-            background-color: var(--vscode-editor-background);
-          }
+/**
+ * Let the user pick one of the models available on the server. The list loads while the
+ * quick pick is open; a model name can also be typed in if the server can't be reached.
+ * @param {LLMClient} client - The LLM client
+ * @returns {Promise<string|undefined>} - The picked model name, or undefined if dismissed
+ */
+function pickModel(client) {
+  return new Promise((resolve) => {
+    const quickPick = vscode.window.createQuickPick();
+    const abortController = new AbortController();
+
+    quickPick.placeholder = `Current model: ${client.model}. Select a model or type a model name`;
+    quickPick.busy = true;
+    quickPick.items = [{ label: client.model, description: 'current', model: client.model }];
+
+    client.listModels({ signal: abortController.signal }).then(models => {
+      quickPick.items = models.map(model => ({
+        label: model.name === client.model ? `$(check) ${model.name}` : model.name,
+        description: model.detail,
+        model: model.name
+      }));
+      if (models.length === 0) {
+        quickPick.placeholder = 'The server reported no models. Type a model name';
+      }
+    }, error => {
+      if (!axios.isCancel(error)) {
+        quickPick.placeholder = `Could not list models (${error.message}). Type a model name`;
+      }
+    }).finally(() => {
+      quickPick.busy = false;
+    });
 
-          #chat-container {
-            display: flex;
-            flex-direction: column;
-            height: 100vh;
-            overflow: hidden;
-          }
+    quickPick.onDidAccept(() => {
+      const [selected] = quickPick.selectedItems;
+      const typed = quickPick.value.trim();
+      resolve(selected ? selected.model : typed || undefined);
+      quickPick.hide();
+    });
 
-          #messages-container {
-            flex: 1;
-            overflow-y: auto;
-            padding: 10px;
-          }
+    quickPick.onDidHide(() => {
+      abortController.abort();
+      resolve(undefined);
+      quickPick.dispose();
+    });
 
-          #input-container {
-            padding: 10px;
-            border-top: 1px solid var(--vscode-panel-border);
-            background-color: var(--vscode-editor-background);
-          }
+    quickPick.show();
+  });
+}
 
-          #chat-form {
-            display: flex;
-          }
+/**
+ * Source and text files the semantic index reads, by extension
+ */
+const INDEX_FILE_EXTENSIONS = new Set([
+  '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue', '.svelte', '.py', '.rb', '.go', '.rs', '.java', '.kt', '.scala',
+  '.php', '.c', '.h', '.cpp', '.hpp', '.cc', '.cs', '.swift', '.sh', '.sql', '.html', '.css', '.scss',
+  '.json', '.yaml', '.yml', '.toml', '.md', '.mdx', '.rst', '.txt'
+]);
 
-          #message-input {
-            flex: 1;
-            padding: 8px;
-            border: 1px solid var(--vscode-input-border);
-            background-color: var(--vscode-input-background);
-            color: var(--vscode-input-foreground);
-            border-radius: 4px;
-            min-height: 20px;
-          }
+/**
+ * Files the index splits into paragraphs and headings instead of declarations
+ */
+const INDEX_PROSE_EXTENSIONS = new Set(['.md', '.mdx', '.rst', '.txt']);
 
-          #send-button {
-            margin-left: 8px;
-            background-color: var(--vscode-button-background);
-            color: var(--vscode-button-foreground);
-            border: none;
-            padding: 0 10px;
-            border-radius: 4px;
-            cursor: pointer;
-          }
+/**
+ * Files larger than this are not indexed; they are usually generated or data
+ */
+const INDEX_MAX_FILE_SIZE = 200 * 1024;
 
-          #messages-container {
-            display: flex;
-            flex-direction: column;
-          }
+/**
+ * Chunk sizes: a chunk is one or more declarations or paragraphs, merged while shorter than the
+ * minimum, and long declarations are split into windows of at most the maximum number of lines
+ * and characters
+ */
+const INDEX_CHUNK_MIN_CHARS = 300;
+const INDEX_CHUNK_MAX_CHARS = 1500;
+const INDEX_CHUNK_MAX_LINES = 60;
 
-          .user-message, .assistant-message {
-            margin-bottom: 16px;
-            padding: 12px;
-            border-radius: 8px;
-            max-width: 85%;
-            display: block;
-          }
+/**
+ * A top-level declaration in most languages: functions, classes, types, Go funcs and Rust items.
+ * The first group is the declared name.
+ */
+const INDEX_SYMBOL_PATTERN = /^(?:export\s+)?(?:default\s+)?(?:pub(?:\([^)]*\))?\s+)?(?:(?:public|private|protected|internal|static|abstract|final|async|unsafe)\s+)*(?:function\*?|class|interface|type|enum|def|fn|func|struct|trait|impl|module|namespace|const|let|var)\s+(?:\([^)]*\)\s*)?([A-Za-z_$][\w$]*)/;
 
-          .user-message {
-            align-self: flex-end;
-            margin-left: auto;
-            background-color: var(--vscode-button-background);
-            color: var(--vscode-button-foreground);
+/**
+ * Comment and decorator lines that belong to the declaration below them
+ */
+const INDEX_LEADING_COMMENT = /^\s*(?:\/\/|\/\*|\*|#(?!include|define|!)|@|""")/;
+
+/**
+ * Split a file into chunks for the semantic index: code at its top-level declarations, prose at
+ * headings and paragraphs
+ * @param {string} text - The file's text
+ * @param {boolean} prose - Whether the file is prose, such as Markdown
+ * @returns {Array<{startLine: number, endLine: number, symbol: string|null, text: string}>} - The chunks,
+ *   with zero-based, inclusive line numbers and the declaration or heading each starts with
+ */
+function chunkText(text, prose) {
+  const lines = text.split(/\r?\n/);
+
+  const sections = [];
+  let current = null;
+  lines.forEach((line, index) => {
+    let symbol = null;
+    let starts = false;
+    if (prose) {
+      const heading = /^#{1,6}\s+(.+)/.exec(line);
+      symbol = heading ? heading[1].trim() : null;
+      starts = !!heading || (line.trim() !== '' && index > 0 && lines[index - 1].trim() === '');
+    } else {
+      const declaration = INDEX_SYMBOL_PATTERN.exec(line);
+      symbol = declaration ? declaration[1] : null;
+      starts = !!declaration;
+    }
+
+    if (current && !starts) {
+      current.endLine = index;
+      return;
+    }
+
+    // Take the comments and decorators above a declaration along with it
+    let startLine = index;
+    if (current && symbol) {
+      while (startLine - 1 > current.startLine && INDEX_LEADING_COMMENT.test(lines[startLine - 1])) {
+        startLine--;
+      }
+      current.endLine = startLine - 1;
+    }
+    current = { startLine, endLine: index, symbol };
+    sections.push(current);
+  });
+
+  const chunks = [];
+  let chunk = null;
+  for (const section of sections) {
+    const sectionText = lines.slice(section.startLine, section.endLine + 1).join('\n');
+    if (chunk && chunk.text.length < INDEX_CHUNK_MIN_CHARS && chunk.text.length + sectionText.length <= INDEX_CHUNK_MAX_CHARS &&
+      section.endLine - chunk.startLine < INDEX_CHUNK_MAX_LINES) {
+      chunk.endLine = section.endLine;
+      chunk.text += `\n${sectionText}`;
+      chunk.symbol = chunk.symbol || section.symbol;
+      continue;
+    }
+
+    // Split long sections into windows, so the line numbers cover only text that is embedded
+    let start = section.startLine;
+    while (start <= section.endLine) {
+      let end = start;
+      let length = lines[start].length;
+      while (end < section.endLine && end - start + 1 < INDEX_CHUNK_MAX_LINES &&
+        length + 1 + lines[end + 1].length <= INDEX_CHUNK_MAX_CHARS) {
+        end++;
+        length += 1 + lines[end].length;
+      }
+      chunk = {
+        startLine: start,
+        endLine: end,
+        symbol: section.symbol,
+        // Only a single line can be longer than a chunk
+        text: lines.slice(start, end + 1).join('\n').slice(0, INDEX_CHUNK_MAX_CHARS)
+      };
+      chunks.push(chunk);
+      start = end + 1;
+    }
+  }
+
+  return chunks.filter(item => item.text.trim() !== '');
+}
+
+/**
+ * Scale a vector to length 1, so the dot product of two vectors is their cosine similarity
+ * @param {Array<number>} vector - The vector
+ * @returns {Float32Array} - The normalized vector
+ */
+function normalizeVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return Float32Array.from(vector, value => value / length);
+}
+
+/**
+ * Format chunks from the semantic index for a prompt, each headed by the citation the model should use
+ * @param {Array<object>} results - Search results from WorkspaceIndex
+ * @returns {string} - The context, or an empty string if there are no results
+ */
+function formatWorkspaceContext(results) {
+  if (results.length === 0) {
+    return '';
+  }
+  const excerpts = results.map(result =>
+    `${citationLabel(result)}${result.symbol ? ` (${result.symbol})` : ''}\n\`\`\`\n${result.text}\n\`\`\``);
+  return `Relevant excerpts from the user's workspace. When you use one, cite it by its file and lines, like (${citationLabel(results[0])}).\n\n${excerpts.join('\n\n')}`;
+}
+
+/**
+ * The file and one-based line range a search result cites
+ * @param {{file: string, startLine: number, endLine: number}} result - A search result
+ * @returns {string} - For example `src/app.js:10-42`
+ */
+function citationLabel(result) {
+  return `${result.file}:${result.startLine + 1}-${result.endLine + 1}`;
+}
+
+/**
+ * A semantic index of the workspace for retrieval-augmented prompts. Files are split into chunks by
+ * chunkText and embedded by the LLM server's embeddings endpoint. The vectors are kept in the
+ * extension's global storage, one file per workspace, and only files that changed since are embedded
+ * again. Indexing runs in the background while the `semanticIndex.enabled` setting is on.
+ */
+class WorkspaceIndex {
+  /**
+   * @param {LLMClient} client - The LLM client that gets the embeddings
+   * @param {vscode.Uri} storageUri - Folder to save the index in, normally context.globalStorageUri
+   */
+  constructor(client, storageUri) {
+    this.client = client;
+    this.storageUri = storageUri;
+    // Indexed files by URI: `mtime`, `size` and `chunks`, each chunk with its normalized `vector`
+    this.files = new Map();
+    this.model = null;
+    // The _indexUri the entries in `files` belong to
+    this._indexKey = null;
+    this.status = 'off';
+    this._queue = new Set();
+    this._processing = false;
+    this._queueTimer = null;
+    this._saveTimer = null;
+    this._watcher = null;
+    this._abortController = null;
+    this._warned = false;
+
+    this._configListener = vscode.workspace.onDidChangeConfiguration(event => {
+      if (event.affectsConfiguration('sebguru-assistant.semanticIndex')) {
+        this.start();
+      }
+    });
+    this._foldersListener = vscode.workspace.onDidChangeWorkspaceFolders(() => this.start());
+  }
+
+  get config() {
+    return vscode.workspace.getConfiguration('sebguru-assistant');
+  }
+
+  get embeddingModel() {
+    return this.config.get('semanticIndex.embeddingModel') || 'nomic-embed-text';
+  }
+
+  /**
+   * Number of chunks in the index
+   * @returns {number}
+   */
+  get size() {
+    let count = 0;
+    this.files.forEach(file => count += file.chunks.length);
+    return count;
+  }
+
+  /**
+   * Load the saved index and bring it up to date with the workspace, then keep it up to date as
+   * files change. Stops any indexing in progress first, and only stops when the setting is off.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.stop();
+    if (!this.config.get('semanticIndex.enabled') || !vscode.workspace.workspaceFolders) {
+      return;
+    }
+
+    this.status = 'loading';
+    this._warned = false;
+    await this._load();
+
+    this._watcher = vscode.workspace.createFileSystemWatcher('**/*');
+    this._watcher.onDidCreate(uri => this._schedule(uri));
+    this._watcher.onDidChange(uri => this._schedule(uri));
+    this._watcher.onDidDelete(uri => {
+      if (this.files.delete(uri.toString())) {
+        this._scheduleSave();
+      }
+    });
+
+    await this._scan();
+  }
+
+  /**
+   * Embed every file again, for example after the embedding model was replaced by a newer version
+   * @returns {Promise<void>}
+   */
+  async rebuild() {
+    this.stop();
+    this.files.clear();
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    // Otherwise start() loads the saved vectors again and every unchanged file is skipped
+    if (vscode.workspace.workspaceFolders) {
+      await vscode.workspace.fs.delete(this._indexUri).then(undefined, () => {});
+    }
+    await this.start();
+  }
+
+  /**
+   * Stop indexing and watching for changes; the index is kept
+   */
+  stop() {
+    if (this._abortController) {
+      this._abortController.abort();
+      this._abortController = null;
+    }
+    if (this._watcher) {
+      this._watcher.dispose();
+      this._watcher = null;
+    }
+    clearTimeout(this._queueTimer);
+    this._queue.clear();
+    this.status = 'off';
+  }
+
+  /**
+   * Find the chunks most similar to a query
+   * @param {string} query - The text to search for
+   * @param {object} [options] - `topK` (default: the `semanticIndex.topK` setting) and `signal`
+   * @returns {Promise<Array<{uri: string, file: string, startLine: number, endLine: number, symbol: string|null, text: string, score: number}>>}
+   *   - The best matches first, with the file relative to the workspace and zero-based line numbers
+   */
+  async search(query, options = {}) {
+    const [vector] = await this.client.makeEmbeddingRequest([query.slice(0, INDEX_CHUNK_MAX_CHARS * 2)], {
+      model: this.embeddingModel,
+      signal: options.signal
+    });
+    const queryVector = normalizeVector(vector);
+
+    const matches = [];
+    this.files.forEach((file, uri) => {
+      for (const chunk of file.chunks) {
+        if (chunk.vector.length !== queryVector.length) continue;
+        let score = 0;
+        for (let i = 0; i < queryVector.length; i++) {
+          score += queryVector[i] * chunk.vector[i];
+        }
+        matches.push({ uri, chunk, score });
+      }
+    });
+    matches.sort((a, b) => b.score - a.score);
+
+    const topK = options.topK || this.config.get('semanticIndex.topK') || 5;
+    return matches.slice(0, topK).map(({ uri, chunk, score }) => ({
+      uri,
+      file: vscode.workspace.asRelativePath(vscode.Uri.parse(uri)),
+      startLine: chunk.startLine,
+      endLine: chunk.endLine,
+      symbol: chunk.symbol,
+      text: chunk.text,
+      score
+    }));
+  }
+
+  /**
+   * Search the index for context to add to a prompt. Unlike search, this never fails: without an
+   * index, or when the embeddings request fails, there is no context.
+   * @param {string} query - The text to search for
+   * @param {object} [options] - As for search
+   * @returns {Promise<Array<object>>} - The search results, or an empty list
+   * @throws {axios.CanceledError} - If the signal aborts the search
+   */
+  async retrieve(query, options = {}) {
+    if (this.status === 'off' || this.size === 0 || !query.trim()) {
+      return [];
+    }
+    try {
+      return await this.search(query, options);
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        throw error;
+      }
+      console.error('Semantic index search failed:', error);
+      return [];
+    }
+  }
+
+  dispose() {
+    this.stop();
+    this._configListener.dispose();
+    this._foldersListener.dispose();
+    if (this._saveTimer) {
+      clearTimeout(this._saveTimer);
+      this._save();
+    }
+  }
+
+  /**
+   * Where this workspace's index is saved: one file per set of workspace folders
+   * @returns {vscode.Uri}
+   */
+  get _indexUri() {
+    const key = vscode.workspace.workspaceFile
+      ? vscode.workspace.workspaceFile.toString()
+      : vscode.workspace.workspaceFolders.map(folder => folder.uri.toString()).sort().join('\n');
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+    return vscode.Uri.joinPath(this.storageUri, 'semantic-index', `${hash}.json`);
+  }
+
+  async _load() {
+    // Keep the entries in memory only if they were built with this model for this set of folders
+    const indexKey = this._indexUri.toString();
+    if (this.files.size > 0 && this.model === this.embeddingModel && this._indexKey === indexKey) {
+      return;
+    }
+    this.files.clear();
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    this.model = this.embeddingModel;
+    this._indexKey = indexKey;
+
+    let saved;
+    try {
+      saved = JSON.parse(new TextDecoder().decode(await vscode.workspace.fs.readFile(this._indexUri)));
+    } catch (error) {
+      return;
+    }
+    // Vectors from another model can't be compared with this one's
+    if (!saved || saved.model !== this.model || !saved.files) {
+      return;
+    }
+
+    for (const [uri, file] of Object.entries(saved.files)) {
+      this.files.set(uri, {
+        mtime: file.mtime,
+        size: file.size,
+        chunks: file.chunks.map(chunk => ({
+          ...chunk,
+          // Copy into a new buffer; a Float32Array needs 4-byte alignment
+          vector: new Float32Array(new Uint8Array(Buffer.from(chunk.vector, 'base64')).buffer)
+        }))
+      });
+    }
+  }
+
+  async _save() {
+    this._saveTimer = null;
+    const files = {};
+    this.files.forEach((file, uri) => {
+      files[uri] = {
+        mtime: file.mtime,
+        size: file.size,
+        chunks: file.chunks.map(chunk => ({
+          ...chunk,
+          vector: Buffer.from(chunk.vector.buffer, chunk.vector.byteOffset, chunk.vector.byteLength).toString('base64')
+        }))
+      };
+    });
+
+    try {
+      await vscode.workspace.fs.createDirectory(vscode.Uri.joinPath(this.storageUri, 'semantic-index'));
+      await vscode.workspace.fs.writeFile(this._indexUri, new TextEncoder().encode(JSON.stringify({ model: this.model, files })));
+    } catch (error) {
+      console.error('Could not save the semantic index:', error);
+    }
+  }
+
+  _scheduleSave() {
+    if (!this._saveTimer) {
+      this._saveTimer = setTimeout(() => this._save(), 5000);
+    }
+  }
+
+  /**
+   * Queue every indexable file in the workspace, and forget files that are gone
+   */
+  async _scan() {
+    const excludeFolders = this.config.get('semanticIndex.excludeFolders') || [];
+    const exclude = excludeFolders.length > 0 ? `**/{${excludeFolders.join(',')}}/**` : undefined;
+    const uris = await vscode.workspace.findFiles('**/*', exclude, this.config.get('semanticIndex.maxFiles') || 2000);
+
+    const present = new Set(uris.map(uri => uri.toString()));
+    for (const uri of this.files.keys()) {
+      if (!present.has(uri)) {
+        this.files.delete(uri);
+        this._scheduleSave();
+      }
+    }
+
+    uris.filter(uri => this._isIndexable(uri)).forEach(uri => this._queue.add(uri.toString()));
+    await this._processQueue();
+  }
+
+  _isIndexable(uri) {
+    if (uri.scheme !== 'file' || !INDEX_FILE_EXTENSIONS.has(path.extname(uri.fsPath).toLowerCase())) {
+      return false;
+    }
+    const excludeFolders = this.config.get('semanticIndex.excludeFolders') || [];
+    const folders = vscode.workspace.asRelativePath(uri, false).split('/').slice(0, -1);
+    return !folders.some(folder => excludeFolders.includes(folder));
+  }
+
+  /**
+   * Index a changed file once changes have settled
+   * @param {vscode.Uri} uri - The file
+   */
+  _schedule(uri) {
+    if (this.status === 'off' || !this._isIndexable(uri)) {
+      return;
+    }
+    this._queue.add(uri.toString());
+    clearTimeout(this._queueTimer);
+    this._queueTimer = setTimeout(() => this._processQueue(), 2000);
+  }
+
+  async _processQueue() {
+    if (this._processing || this._queue.size === 0) {
+      if (!this._processing && this.status !== 'off') {
+        this.status = 'ready';
+      }
+      return;
+    }
+
+    this._processing = true;
+    this.status = 'indexing';
+    const abortController = new AbortController();
+    this._abortController = abortController;
+    try {
+      await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Window,
+        title: 'Indexing workspace'
+      }, async progress => {
+        let done = 0;
+        while (this._queue.size > 0 && !abortController.signal.aborted) {
+          const [uri] = this._queue;
+          this._queue.delete(uri);
+          progress.report({ message: `${++done}/${done + this._queue.size}` });
+          await this._indexFile(vscode.Uri.parse(uri), abortController.signal);
+        }
+      });
+      if (!abortController.signal.aborted) {
+        this.status = 'ready';
+      }
+    } catch (error) {
+      if (!axios.isCancel(error)) {
+        this.status = 'failed';
+        this._queue.clear();
+        console.error('Semantic indexing failed:', error);
+        if (!this._warned) {
+          this._warned = true;
+          vscode.window.showWarningMessage(
+            `The semantic index could not be built: ${error.message}. Check the semanticIndex.embeddingModel setting; with Ollama, pull the model first, for example "ollama pull ${this.embeddingModel}".`,
+            'Open Settings'
+          ).then(choice => {
+            if (choice === 'Open Settings') {
+              vscode.commands.executeCommand('workbench.action.openSettings', 'sebguru-assistant.semanticIndex');
+            }
+          });
+        }
+      }
+    } finally {
+      this._processing = false;
+      if (this._abortController === abortController) {
+        this._abortController = null;
+      }
+    }
+    // Files queued by a restart while the previous run was stopping
+    if (this._queue.size > 0 && this.status !== 'off' && this.status !== 'failed') {
+      await this._processQueue();
+    }
+  }
+
+  async _indexFile(uri, signal) {
+    const key = uri.toString();
+    let stat;
+    try {
+      stat = await vscode.workspace.fs.stat(uri);
+    } catch (error) {
+      // Deleted before its turn
+      if (this.files.delete(key)) this._scheduleSave();
+      return;
+    }
+
+    const indexed = this.files.get(key);
+    if (indexed && indexed.mtime === stat.mtime && indexed.size === stat.size) {
+      return;
+    }
+    if (stat.size > INDEX_MAX_FILE_SIZE) {
+      if (this.files.delete(key)) this._scheduleSave();
+      return;
+    }
+
+    const text = new TextDecoder().decode(await vscode.workspace.fs.readFile(uri));
+    if (text.includes('\0')) {
+      return;
+    }
+
+    const chunks = chunkText(text, INDEX_PROSE_EXTENSIONS.has(path.extname(uri.fsPath).toLowerCase()));
+    const file = vscode.workspace.asRelativePath(uri);
+    // The path and declaration help match questions that name them
+    const vectors = chunks.length === 0 ? [] : await this.client.makeEmbeddingRequest(
+      chunks.map(chunk => `${file}${chunk.symbol ? ` ${chunk.symbol}` : ''}\n${chunk.text}`),
+      { model: this.model, signal }
+    );
+
+    this.files.set(key, {
+      mtime: stat.mtime,
+      size: stat.size,
+      chunks: chunks.map((chunk, index) => ({ ...chunk, vector: normalizeVector(vectors[index]) }))
+    });
+    this._scheduleSave();
+  }
+}
+
+/**
+ * System prompt used for chat conversations
+ */
+const CHAT_SYSTEM_PROMPT = `You are SebGuru, an AI coding assistant. Help the user with their coding tasks and questions.
+
+When asked to create a Python script or any other code, provide ONLY the complete code without any explanations or markdown formatting.
+For example, if asked to create a Python script that prints "Hello World", respond with just:
+
+print("Hello World")
+
+Do not include explanations like "I don't have access to your system" - you are integrated into VS Code
+and can provide code that the user can copy and paste into their files.
+
+Always provide complete, working solutions that directly address the user's request.`;
+
+/**
+ * Escape text for safe inclusion in webview HTML
+ * @param {string} unsafe - The text to escape
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(unsafe) {
+  return unsafe
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+/**
+ * Format a chat message as HTML, handling code blocks and basic markdown
+ * @param {string} content - The message content
+ * @returns {string} - The formatted HTML
+ */
+function formatMessageContent(content) {
+  if (!content) return '';
+
+  // First handle code blocks to prevent interference with other formatting
+  let formattedContent = content.replace(/```([\w]*)\n([\s\S]*?)```/g, (_, language, code) => {
+    // Clean up the language identifier
+    language = language.trim();
+    // Create a properly formatted code block
+    return `<div class="code-block"><div class="code-header">${language || 'code'}</div><pre><code class="language-${language || 'text'}">${escapeHtml(code)}</code></pre></div>`;
+  });
+
+  // Handle inline code (but not inside already processed code blocks)
+  formattedContent = formattedContent.replace(/`([^`]+)`/g, '<code>$1</code>');
+
+  // Handle basic markdown formatting
+  formattedContent = formattedContent
+    // Bold
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    // Italic
+    .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+    // Headers (h3 and h4 only, to avoid conflicts with message headers)
+    .replace(/^### (.*?)$/gm, '<h3>$1</h3>')
+    .replace(/^#### (.*?)$/gm, '<h4>$1</h4>')
+    // Bullet lists
+    .replace(/^- (.*?)$/gm, '<li>$1</li>')
+    // Numbered lists
+    .replace(/^\d+\. (.*?)$/gm, '<li>$1</li>')
+    // Convert line breaks to <br> (but preserve pre blocks)
+    .replace(/\n(?!<\/pre>)/g, '<br>');
+
+  // Wrap lists in ul/ol tags
+  formattedContent = formattedContent
+    .replace(/(<li>.*?<\/li>)\s*<br>/g, '$1')
+    .replace(/(<li>.*?<\/li>)+/g, '<ul>$&</ul>');
+
+  return formattedContent;
+}
+
+/**
+ * Get the HTML for the chat webview. The sidebar and the chat panel both render this page;
+ * all state lives in ChatController, which sends it over with `render` messages.
+ * @returns {string} - The webview HTML
+ */
+function getChatWebviewHtml() {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <style>
+        html, body {
+          margin: 0;
+          padding: 0;
+          height: 100%;
+          font-family: var(--vscode-font-family);
+          font-size: var(--vscode-font-size);
+          color: var(--vscode-foreground);
+          background-color: var(--vscode-editor-background);
+        }
+
+        #chat-container {
+          display: flex;
+          flex-direction: column;
+          height: 100vh;
+          overflow: hidden;
+        }
+
+        #session-bar {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          padding: 4px 10px;
+          border-bottom: 1px solid var(--vscode-panel-border);
+        }
+
+        #session-title {
+          flex: 1;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+          font-weight: bold;
+        }
+
+        #session-bar button {
+          background-color: var(--vscode-button-secondaryBackground);
+          color: var(--vscode-button-secondaryForeground);
+          border: none;
+          padding: 2px 6px;
+          border-radius: 2px;
+          cursor: pointer;
+          font-size: 11px;
+        }
+
+        #messages-container {
+          flex: 1;
+          overflow-y: auto;
+          padding: 10px;
+          display: flex;
+          flex-direction: column;
+        }
+
+        #input-container {
+          position: relative;
+          padding: 10px;
+          border-top: 1px solid var(--vscode-panel-border);
+          background-color: var(--vscode-editor-background);
+        }
+
+        #context-chips {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 4px;
+        }
+
+        #context-chips:not(:empty) {
+          margin-bottom: 6px;
+        }
+
+        .context-chip {
+          display: inline-flex;
+          align-items: center;
+          gap: 4px;
+          max-width: 100%;
+          padding: 1px 6px;
+          border-radius: 10px;
+          font-size: 11px;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          background-color: var(--vscode-badge-background);
+          color: var(--vscode-badge-foreground);
+        }
+
+        .user-message .context-chip {
+          margin: 0 4px 4px 0;
+        }
+
+        .chip-tokens {
+          opacity: 0.8;
+        }
+
+        .chip-remove {
+          border: none;
+          padding: 0 2px;
+          background: none;
+          color: inherit;
+          cursor: pointer;
+        }
+
+        #mention-menu {
+          display: none;
+          position: absolute;
+          bottom: 100%;
+          left: 10px;
+          right: 10px;
+          max-height: 240px;
+          overflow-y: auto;
+          border: 1px solid var(--vscode-editorWidget-border);
+          background-color: var(--vscode-editorWidget-background);
+          z-index: 10;
+        }
+
+        .mention-item {
+          display: flex;
+          gap: 8px;
+          padding: 3px 8px;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+
+        .mention-item.active {
+          background-color: var(--vscode-list-activeSelectionBackground);
+          color: var(--vscode-list-activeSelectionForeground);
+        }
+
+        .mention-description {
+          overflow: hidden;
+          text-overflow: ellipsis;
+          opacity: 0.7;
+        }
+
+        #chat-form {
+          display: flex;
+        }
+
+        #message-input {
+          flex: 1;
+          padding: 8px;
+          border: 1px solid var(--vscode-input-border);
+          background-color: var(--vscode-input-background);
+          color: var(--vscode-input-foreground);
+          border-radius: 4px;
+          min-height: 20px;
+        }
+
+        #send-button, #stop-button {
+          margin-left: 8px;
+          border: none;
+          padding: 0 10px;
+          border-radius: 4px;
+          cursor: pointer;
+        }
+
+        #send-button {
+          background-color: var(--vscode-button-background);
+          color: var(--vscode-button-foreground);
+        }
+
+        #stop-button {
+          display: none;
+          background-color: var(--vscode-button-secondaryBackground);
+          color: var(--vscode-button-secondaryForeground);
+        }
+
+        .user-message, .assistant-message {
+          margin-bottom: 16px;
+          padding: 12px;
+          border-radius: 8px;
+          max-width: 85%;
+          display: block;
+        }
+
+        .user-message {
+          align-self: flex-end;
+          margin-left: auto;
+          background-color: var(--vscode-button-background);
+          color: var(--vscode-button-foreground);
+        }
+
+        .assistant-message {
+          align-self: flex-start;
+          margin-right: auto;
+          background-color: var(--vscode-editor-inactiveSelectionBackground);
+        }
+
+        .reasoning {
+          margin-bottom: 8px;
+          padding: 4px 8px;
+          border-left: 2px solid var(--vscode-panel-border);
+          color: var(--vscode-descriptionForeground);
+        }
+
+        .reasoning summary {
+          cursor: pointer;
+          font-style: italic;
+        }
+
+        .reasoning-content {
+          white-space: pre-wrap;
+          margin-top: 4px;
+        }
+
+        .agent-step {
+          margin-bottom: 4px;
+          padding: 2px 8px;
+          border-left: 2px solid var(--vscode-panel-border);
+        }
+
+        .sources {
+          margin-top: 8px;
+          font-size: 0.9em;
+          color: var(--vscode-descriptionForeground);
+        }
+
+        .source-link {
+          display: block;
+          color: var(--vscode-textLink-foreground);
+          cursor: pointer;
+        }
+
+        .source-link:hover {
+          text-decoration: underline;
+        }
+
+        .agent-step.error, .agent-step.rejected {
+          border-left-color: var(--vscode-errorForeground);
+        }
+
+        .agent-step summary {
+          cursor: pointer;
+        }
+
+        .agent-step pre {
+          max-height: 200px;
+          white-space: pre-wrap;
+        }
+
+        #agent-toggle {
+          display: flex;
+          align-items: center;
+          margin-left: 8px;
+          white-space: nowrap;
+          cursor: pointer;
+        }
+
+        .message-header {
+          font-weight: bold;
+          margin-bottom: 4px;
+        }
+
+        .message-content {
+          white-space: pre-wrap;
+        }
+
+        #loading {
+          text-align: center;
+          padding: 16px;
+          display: none;
+        }
+
+        #loading.active {
+          display: block;
+        }
+
+        /* Code block styling */
+        .code-block {
+          margin: 12px 0;
+          border: 1px solid var(--vscode-panel-border);
+          border-radius: 6px;
+          overflow: hidden;
+          background-color: var(--vscode-editor-background);
+        }
+
+        .code-header {
+          background-color: var(--vscode-panel-border);
+          color: var(--vscode-foreground);
+          padding: 4px 8px;
+          font-size: 12px;
+          font-weight: bold;
+          font-family: var(--vscode-font-family);
+          text-transform: uppercase;
+        }
+
+        pre {
+          background-color: var(--vscode-editor-background);
+          padding: 12px;
+          overflow-x: auto;
+          margin: 0;
+          max-height: 400px;
+        }
+
+        code {
+          font-family: 'Menlo', 'Monaco', 'Courier New', monospace;
+          font-size: 13px;
+          background-color: var(--vscode-editor-lineHighlightBackground);
+          padding: 2px 4px;
+          border-radius: 3px;
+        }
+
+        pre code {
+          background-color: transparent;
+          padding: 0;
+          border-radius: 0;
+          display: block;
+          white-space: pre;
+          line-height: 1.5;
+        }
+      </style>
+    </head>
+    <body>
+      <div id="chat-container">
+        <div id="session-bar">
+          <span id="session-title"></span>
+          <button id="new-session-button" title="Start a new chat">New</button>
+          <button id="sessions-button" title="Open, rename or delete chat sessions">Sessions</button>
+          <button id="move-button"></button>
+        </div>
+
+        <div id="messages-container">
+          <div id="loading">AI Assistant is thinking...</div>
+        </div>
+
+        <div id="input-container">
+          <div id="mention-menu"></div>
+          <div id="context-chips"></div>
+          <form id="chat-form">
+            <input type="text" id="message-input" placeholder="Type your message here, @ to add context..." autocomplete="off">
+            <label id="agent-toggle" title="Let the AI read, search and edit workspace files and run commands, with your approval"><input type="checkbox" id="agent-mode">Agent</label>
+            <button type="submit" id="send-button">Send</button>
+            <button type="button" id="stop-button">Stop</button>
+          </form>
+        </div>
+      </div>
+
+      <script>
+        const vscode = acquireVsCodeApi();
+        const messagesContainer = document.getElementById('messages-container');
+        const messageInput = document.getElementById('message-input');
+        const chatForm = document.getElementById('chat-form');
+        const stopButton = document.getElementById('stop-button');
+        const moveButton = document.getElementById('move-button');
+        const sessionTitle = document.getElementById('session-title');
+        const loading = document.getElementById('loading');
+        const agentMode = document.getElementById('agent-mode');
+        const contextChips = document.getElementById('context-chips');
+        const mentionMenu = document.getElementById('mention-menu');
+
+        // Remember agent mode across reloads of the webview
+        agentMode.checked = !!(vscode.getState() || {}).agentMode;
+        agentMode.addEventListener('change', () => {
+          vscode.setState({ ...(vscode.getState() || {}), agentMode: agentMode.checked });
+        });
+
+        // Scroll to bottom of messages
+        function scrollToBottom() {
+          messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        }
+
+        // Send message function
+        function sendMessage() {
+          const message = messageInput.value.trim();
+          if (message) {
+            vscode.postMessage({
+              type: 'sendMessage',
+              value: message,
+              agent: agentMode.checked
+            });
+            messageInput.value = '';
+          }
+        }
+
+        // Reasoning from deepseek-r1 style models is shown in a collapsible section above the answer
+        function reasoningSection(html, open) {
+          return '<details class="reasoning"' + (open ? ' open' : '') + '><summary>Reasoning</summary>' +
+            '<div class="reasoning-content">' + html + '</div></details>';
+        }
+
+        // Create a message bubble in front of the loading indicator. Agent steps and attached context come
+        // before the message, the workspace excerpts an answer was given after it.
+        function appendMessage(role, html, id, reasoningHtml, stepsHtml, sourcesHtml, contextHtml) {
+          const element = document.createElement('div');
+          element.className = role === 'user' ? 'user-message' : 'assistant-message';
+          if (id) {
+            element.id = id;
+          }
+          element.innerHTML = '<div class="message-header">' + (role === 'user' ? 'You' : 'AI Assistant') + '</div>' +
+            (reasoningHtml ? reasoningSection(reasoningHtml, false) : '') +
+            '<div class="agent-steps">' + (stepsHtml || '') + '</div>' +
+            (contextHtml ? '<div>' + contextHtml + '</div>' : '') +
+            '<div class="message-content">' + html + '</div>' +
+            (sourcesHtml || '');
+          messagesContainer.insertBefore(element, loading);
+          return element;
+        }
+
+        // The partial answer is shown as plain text until the full response has been formatted
+        function getStreamingMessage() {
+          return document.getElementById('streaming-message') || appendMessage('assistant', '', 'streaming-message');
+        }
+
+        function getStreamingContent() {
+          const streamingMessage = getStreamingMessage();
+          // Fold the reasoning away once the answer starts
+          const reasoning = streamingMessage.querySelector('.reasoning');
+          if (reasoning && !streamingMessage.dataset.answerStarted) {
+            reasoning.open = false;
+            streamingMessage.dataset.answerStarted = 'true';
+          }
+          return streamingMessage.querySelector('.message-content');
+        }
+
+        function getStreamingReasoning() {
+          const streamingMessage = getStreamingMessage();
+          if (!streamingMessage.querySelector('.reasoning')) {
+            streamingMessage.querySelector('.message-content').insertAdjacentHTML('beforebegin', reasoningSection('', true));
+          }
+          return streamingMessage.querySelector('.reasoning-content');
+        }
+
+        // Add event listeners
+        chatForm.addEventListener('submit', (e) => {
+          e.preventDefault();
+          sendMessage();
+        });
+
+        stopButton.addEventListener('click', () => {
+          vscode.postMessage({ type: 'stopGeneration' });
+        });
+
+        document.getElementById('new-session-button').addEventListener('click', () => {
+          vscode.postMessage({ type: 'newSession' });
+        });
+
+        document.getElementById('sessions-button').addEventListener('click', () => {
+          vscode.postMessage({ type: 'pickSession' });
+        });
+
+        moveButton.addEventListener('click', () => {
+          vscode.postMessage({ type: 'moveChat' });
+        });
+
+        // @mentions: the kinds are listed here, files, folders and symbols are looked up by the extension.
+        // A picked mention is resolved by the extension and shown as a chip above the input.
+        const mentionKinds = ${JSON.stringify(MENTION_KINDS)};
+        let mentionItems = [];
+        let activeMention = 0;
+        let mentionRequestId = 0;
+        let mentionQueryTimer = null;
+
+        // The @mention being typed before the cursor, if any
+        function currentMention() {
+          const before = messageInput.value.slice(0, messageInput.selectionStart);
+          const match = /(?:^|\\s)@([\\w-]*)(?::(\\S*))?$/.exec(before);
+          if (!match) {
+            return null;
+          }
+          return { start: match.index + match[0].indexOf('@'), kind: match[1], query: match[2] };
+        }
+
+        function updateMentionMenu() {
+          clearTimeout(mentionQueryTimer);
+          const mention = currentMention();
+          if (!mention) {
+            showMentionItems([]);
+          } else if (mention.query === undefined) {
+            showMentionItems(mentionKinds
+              .filter(kind => kind.kind.startsWith(mention.kind))
+              .map(kind => ({ label: '@' + kind.kind, description: kind.description, kind })));
+          } else if (mentionKinds.some(kind => kind.kind === mention.kind && kind.argument)) {
+            showMentionItems([]);
+            const requestId = ++mentionRequestId;
+            mentionQueryTimer = setTimeout(() => {
+              vscode.postMessage({ type: 'mentionQuery', kind: mention.kind, query: mention.query, requestId });
+            }, 150);
+          } else {
+            showMentionItems([]);
+          }
+        }
+
+        function showMentionItems(items) {
+          mentionItems = items;
+          activeMention = 0;
+          mentionMenu.innerHTML = '';
+          items.forEach((item, index) => {
+            const element = document.createElement('div');
+            element.className = 'mention-item' + (index === 0 ? ' active' : '');
+            const label = document.createElement('span');
+            label.textContent = item.label;
+            const description = document.createElement('span');
+            description.className = 'mention-description';
+            description.textContent = item.description;
+            element.append(label, description);
+            // Before the input loses focus
+            element.addEventListener('mousedown', (e) => {
+              e.preventDefault();
+              pickMention(index);
+            });
+            mentionMenu.appendChild(element);
+          });
+          mentionMenu.style.display = items.length > 0 ? 'block' : 'none';
+        }
+
+        function pickMention(index) {
+          const item = mentionItems[index];
+          const mention = currentMention();
+          if (!item || !mention) {
+            return;
+          }
+
+          const before = messageInput.value.slice(0, mention.start);
+          const after = messageInput.value.slice(messageInput.selectionStart);
+          if (item.kind && item.kind.argument) {
+            // Go on to the name, as in @file:
+            messageInput.value = before + '@' + item.kind.kind + ':' + after;
+            messageInput.setSelectionRange(before.length + item.kind.kind.length + 2, before.length + item.kind.kind.length + 2);
+            updateMentionMenu();
+            return;
+          }
+
+          // The mention is replaced by a chip
+          messageInput.value = before + after.replace(/^ /, '');
+          messageInput.setSelectionRange(before.length, before.length);
+          vscode.postMessage({ type: 'addMention', mention: item.kind ? { kind: item.kind.kind } : item.mention });
+          showMentionItems([]);
+        }
+
+        messageInput.addEventListener('input', updateMentionMenu);
+        messageInput.addEventListener('blur', () => showMentionItems([]));
+        messageInput.addEventListener('keydown', (e) => {
+          if (mentionItems.length === 0) {
+            return;
+          }
+          if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            activeMention = (activeMention + (e.key === 'ArrowDown' ? 1 : mentionItems.length - 1)) % mentionItems.length;
+            mentionMenu.querySelectorAll('.mention-item').forEach((element, index) => element.classList.toggle('active', index === activeMention));
+          } else if (e.key === 'Enter' || e.key === 'Tab') {
+            // Pick the suggestion instead of sending the message
+            e.preventDefault();
+            pickMention(activeMention);
+          } else if (e.key === 'Escape') {
+            showMentionItems([]);
+          }
+        });
+
+        contextChips.addEventListener('click', (event) => {
+          const button = event.target.closest('.chip-remove');
+          if (button) {
+            vscode.postMessage({ type: 'removeAttachment', index: Number(button.dataset.index) });
+          }
+        });
+
+        messagesContainer.addEventListener('click', (event) => {
+          const link = event.target.closest('.source-link');
+          if (link) {
+            vscode.postMessage({ type: 'openSource', uri: link.dataset.uri, line: Number(link.dataset.line) });
+          }
+        });
+
+        // Handle messages from extension
+        window.addEventListener('message', (event) => {
+          const message = event.data;
+
+          if (message.type === 'render') {
+            sessionTitle.textContent = message.title;
+            sessionTitle.title = message.title;
+            contextChips.innerHTML = message.attachmentsHtml;
+            moveButton.textContent = message.location === 'panel' ? 'Move to Sidebar' : 'Move to Panel';
+            moveButton.title = message.location === 'panel' ? 'Continue this chat in the sidebar' : 'Continue this chat in a panel';
+
+            messagesContainer.querySelectorAll('.user-message, .assistant-message').forEach(element => element.remove());
+            message.messages.forEach(chatMessage => appendMessage(chatMessage.role, chatMessage.html, null, chatMessage.reasoningHtml, chatMessage.stepsHtml, chatMessage.sourcesHtml, chatMessage.contextHtml));
+
+            if (message.busy && message.streamingStepsHtml) {
+              getStreamingMessage().querySelector('.agent-steps').innerHTML = message.streamingStepsHtml;
+            }
+            if (message.busy && message.streamingReasoning) {
+              getStreamingReasoning().textContent = message.streamingReasoning;
+            }
+            if (message.busy && message.streamingText) {
+              getStreamingContent().textContent = message.streamingText;
+            }
+            loading.classList.toggle('active', message.busy && !message.streamingText && !message.streamingReasoning);
+            stopButton.style.display = message.busy ? 'block' : 'none';
+            scrollToBottom();
+          } else if (message.type === 'streamToken') {
+            loading.classList.remove('active');
+            getStreamingContent().textContent += message.value;
+            scrollToBottom();
+          } else if (message.type === 'agentSteps') {
+            getStreamingMessage().querySelector('.agent-steps').innerHTML = message.html;
+            scrollToBottom();
+          } else if (message.type === 'streamReasoning') {
+            loading.classList.remove('active');
+            getStreamingReasoning().textContent += message.value;
+            scrollToBottom();
+          } else if (message.type === 'mentionSuggestions') {
+            // Answers to earlier queries are out of date
+            if (message.requestId === mentionRequestId && currentMention()) {
+              showMentionItems(message.items);
+            }
+          } else if (message.type === 'attachments') {
+            contextChips.innerHTML = message.html;
+          }
+        });
+
+        // Ask the extension for the current state now that the listeners are in place
+        vscode.postMessage({ type: 'ready' });
+        messageInput.focus();
+      </script>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Copy agent steps for saving with a chat message, with long results shortened.
+ * The model has already seen the full results; the transcript only needs enough to follow along.
+ * @param {Array<object>} steps - The steps
+ * @returns {Array<object>|undefined} - The steps to save, or undefined if there are none
+ */
+function transcriptSteps(steps) {
+  if (steps.length === 0) {
+    return undefined;
+  }
+  return steps.map(step => ({
+    ...step,
+    result: step.result.length > 2000 ? `${step.result.slice(0, 2000)}\n...` : step.result
+  }));
+}
+
+/**
+ * Attach the model's reasoning to a chat message when there is any
+ * @param {{role: string, content: string}} message - The assistant message
+ * @param {string} reasoning - The reasoning text
+ * @returns {object} - The message
+ */
+function withReasoning(message, reasoning) {
+  if (reasoning.trim()) {
+    message.reasoning = reasoning.trim();
+  }
+  return message;
+}
+
+/**
+ * What can be mentioned in chat with `@`. Mentions with `argument` are followed by a colon and
+ * a name, as in `@file:src/app.js`; the others stand alone.
+ */
+const MENTION_KINDS = [
+  { kind: 'file', argument: true, description: 'A file from the workspace' },
+  { kind: 'folder', argument: true, description: 'The files in a workspace folder' },
+  { kind: 'selection', argument: false, description: 'The selected code in the editor' },
+  { kind: 'symbol', argument: true, description: 'A function, class or other symbol' },
+  { kind: 'problems', argument: false, description: 'Errors and warnings in the workspace' },
+  { kind: 'terminal', argument: false, description: 'Recent commands and their output in the active terminal' }
+];
+
+/**
+ * Mentions typed out in a chat message instead of picked from the suggestions
+ */
+const MENTION_PATTERN = /(?:^|\s)@(file|folder|symbol):(\S+)|(?:^|\s)@(selection|problems|terminal)\b/g;
+
+/**
+ * Most characters one mention adds to a message; longer content is cut off
+ */
+const MENTION_MAX_CHARS = 32000;
+
+/**
+ * Lines of terminal output an @terminal mention takes, from the end
+ */
+const MENTION_TERMINAL_LINES = 200;
+
+/**
+ * Commands kept per terminal for @terminal mentions
+ */
+const TERMINAL_COMMANDS_KEPT = 5;
+
+/**
+ * Recent commands run in each terminal, oldest first, as `{execution, commandLine, output, exitCode}`.
+ * Filled by watchTerminalOutput from shell integration.
+ */
+const terminalCommands = new Map();
+
+/**
+ * Record the commands run in terminals and their output for @terminal mentions. Only terminals with
+ * shell integration report their commands, and VS Code has the events from version 1.93 on.
+ * @returns {Array<vscode.Disposable>} - The event listeners, none on older versions of VS Code
+ */
+function watchTerminalOutput() {
+  if (!vscode.window.onDidStartTerminalShellExecution) {
+    return [];
+  }
+
+  return [
+    vscode.window.onDidStartTerminalShellExecution(async event => {
+      const command = { execution: event.execution, commandLine: event.execution.commandLine.value, output: '', exitCode: undefined };
+      const commands = terminalCommands.get(event.terminal) || [];
+      commands.push(command);
+      terminalCommands.set(event.terminal, commands.slice(-TERMINAL_COMMANDS_KEPT));
+
+      try {
+        for await (const data of event.execution.read()) {
+          command.output = (command.output + data).slice(-MENTION_MAX_CHARS);
+        }
+      } catch (error) {
+        // The terminal closed or its output couldn't be read, so drop what was captured
+        const remaining = (terminalCommands.get(event.terminal) || []).filter(candidate => candidate !== command);
+        if (remaining.length > 0) {
+          terminalCommands.set(event.terminal, remaining);
+        } else {
+          terminalCommands.delete(event.terminal);
+        }
+      }
+    }),
+    vscode.window.onDidEndTerminalShellExecution(event => {
+      const command = (terminalCommands.get(event.terminal) || []).find(candidate => candidate.execution === event.execution);
+      if (command) {
+        command.exitCode = event.exitCode;
+      }
+    }),
+    vscode.window.onDidCloseTerminal(terminal => terminalCommands.delete(terminal))
+  ];
+}
+
+/**
+ * Find what an @file, @folder or @symbol mention could refer to
+ * @param {string} kind - 'file', 'folder' or 'symbol'
+ * @param {string} query - What has been typed after the colon
+ * @returns {Promise<Array<{label: string, description: string, mention: object}>>} - Suggestions, best first,
+ *   each with the mention to resolve when it is picked
+ */
+async function findMentionSuggestions(kind, query) {
+  const lowerQuery = query.toLowerCase();
+
+  if (kind === 'symbol') {
+    if (!query) {
+      return [];
+    }
+    const symbols = await vscode.commands.executeCommand('vscode.executeWorkspaceSymbolProvider', query) || [];
+    return symbols.slice(0, 20).map(symbol => {
+      const file = vscode.workspace.asRelativePath(symbol.location.uri);
+      return {
+        label: symbol.name,
+        description: `${vscode.SymbolKind[symbol.kind] || 'Symbol'}${symbol.containerName ? ` in ${symbol.containerName}` : ''}, ${file}`,
+        mention: {
+          kind,
+          name: symbol.name,
+          uri: symbol.location.uri.toString(),
+          line: symbol.location.range.start.line,
+          character: symbol.location.range.start.character
+        }
+      };
+    });
+  }
+
+  const uris = await vscode.workspace.findFiles('**/*', AGENT_SEARCH_EXCLUDE, 2000);
+  let candidates;
+  if (kind === 'folder') {
+    // Every folder that has files, up to but not including the workspace folder itself
+    const roots = new Set((vscode.workspace.workspaceFolders || []).map(folder => folder.uri.fsPath));
+    const folders = new Map();
+    for (const uri of uris) {
+      for (let folder = path.dirname(uri.fsPath); !folders.has(folder) && !roots.has(folder) && folder !== path.dirname(folder); folder = path.dirname(folder)) {
+        folders.set(folder, vscode.Uri.file(folder));
+      }
+    }
+    candidates = [...folders.values()];
+  } else {
+    // Open files first, as they are the likeliest to be meant
+    const open = new Set(vscode.workspace.textDocuments.map(document => document.uri.toString()));
+    candidates = [...uris].sort((a, b) => open.has(b.toString()) - open.has(a.toString()));
+  }
+
+  // Matches on the file name before matches elsewhere in the path
+  return candidates
+    .map(uri => ({ uri, relativePath: vscode.workspace.asRelativePath(uri) }))
+    .filter(({ relativePath }) => relativePath.toLowerCase().includes(lowerQuery))
+    .sort((a, b) => path.basename(b.relativePath).toLowerCase().includes(lowerQuery) - path.basename(a.relativePath).toLowerCase().includes(lowerQuery))
+    .slice(0, 20)
+    .map(({ uri, relativePath }) => ({
+      label: path.basename(relativePath) || relativePath,
+      description: relativePath,
+      mention: { kind, uri: uri.toString() }
+    }));
+}
+
+/**
+ * Read what a mention refers to into a labeled context block for a chat message
+ * @param {object} mention - The mention: `kind`, and `uri`, `name`, `line` and `character` as needed
+ * @returns {Promise<{kind: string, label: string, language: string, content: string, tokens: number}>} - The context block
+ * @throws {Error} - If there is nothing to mention, such as no selection or an unknown file
+ */
+async function resolveMention(mention) {
+  const block = await readMention(mention);
+  if (block.content.length > MENTION_MAX_CHARS) {
+    block.content = `${block.content.slice(0, MENTION_MAX_CHARS)}\n... (cut off)`;
+  }
+  return { kind: mention.kind, language: '', ...block, tokens: estimateTokens(block.content) };
+}
+
+async function readMention(mention) {
+  if (mention.kind === 'file') {
+    const uri = vscode.Uri.parse(mention.uri);
+    // Through the document, so unsaved changes are included
+    const document = await vscode.workspace.openTextDocument(uri);
+    return { label: `File ${vscode.workspace.asRelativePath(uri)}`, language: document.languageId, content: document.getText() };
+  }
+
+  if (mention.kind === 'folder') {
+    const uri = vscode.Uri.parse(mention.uri);
+    const relativePath = vscode.workspace.asRelativePath(uri);
+    const files = await vscode.workspace.findFiles(new vscode.RelativePattern(uri, '**/*'), AGENT_SEARCH_EXCLUDE, 500);
+    if (files.length === 0) {
+      throw new Error(`${relativePath} has no files`);
+    }
+    files.sort((a, b) => a.fsPath.localeCompare(b.fsPath));
+
+    // The file list, then as many of the files as fit
+    let content = `Files:\n${files.map(file => vscode.workspace.asRelativePath(file)).join('\n')}\n`;
+    for (const file of files) {
+      const text = new TextDecoder().decode(await vscode.workspace.fs.readFile(file));
+      if (text.includes('\0')) {
+        continue;
+      }
+      const section = `\n--- ${vscode.workspace.asRelativePath(file)} ---\n${text}\n`;
+      if (content.length + section.length > MENTION_MAX_CHARS) {
+        content += '\n(The remaining files are left out.)';
+        break;
+      }
+      content += section;
+    }
+    return { label: `Folder ${relativePath}`, content };
+  }
+
+  if (mention.kind === 'selection') {
+    // The chat panel takes the focus from the editor, so fall back to the visible editors
+    const editor = [vscode.window.activeTextEditor, ...vscode.window.visibleTextEditors]
+      .find(candidate => candidate && !candidate.selection.isEmpty);
+    if (!editor) {
+      throw new Error('No code is selected');
+    }
+    const { start, end } = editor.selection;
+    return {
+      label: `Selection from ${vscode.workspace.asRelativePath(editor.document.uri)}:${start.line + 1}-${end.line + 1}`,
+      language: editor.document.languageId,
+      content: editor.document.getText(editor.selection)
+    };
+  }
+
+  if (mention.kind === 'symbol') {
+    const uri = vscode.Uri.parse(mention.uri);
+    const document = await vscode.workspace.openTextDocument(uri);
+    // Workspace symbols often only locate the name, so take the whole declaration from the document's symbols
+    const position = new vscode.Position(mention.line, mention.character);
+    const range = findSymbolRange(await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', uri) || [], mention.name, position) ||
+      document.lineAt(mention.line).range;
+    return {
+      label: `Symbol ${mention.name} in ${vscode.workspace.asRelativePath(uri)}:${range.start.line + 1}-${range.end.line + 1}`,
+      language: document.languageId,
+      content: document.getText(new vscode.Range(range.start.line, 0, range.end.line, document.lineAt(range.end.line).text.length))
+    };
+  }
+
+  if (mention.kind === 'problems') {
+    const severities = ['Error', 'Warning'];
+    const problems = [];
+    for (const [uri, diagnostics] of vscode.languages.getDiagnostics()) {
+      for (const diagnostic of diagnostics) {
+        if (diagnostic.severity <= vscode.DiagnosticSeverity.Warning) {
+          problems.push(`${vscode.workspace.asRelativePath(uri)}:${diagnostic.range.start.line + 1}:${diagnostic.range.start.character + 1} ` +
+            `${severities[diagnostic.severity]}: ${diagnostic.message}${diagnostic.source ? ` (${diagnostic.source})` : ''}`);
+        }
+      }
+    }
+    return { label: 'Problems', content: problems.length > 0 ? problems.join('\n') : 'There are no errors or warnings in the workspace.' };
+  }
+
+  if (mention.kind === 'terminal') {
+    const terminal = vscode.window.activeTerminal;
+    if (!terminal) {
+      throw new Error('No terminal is open');
+    }
+    const commands = terminalCommands.get(terminal) || [];
+    if (commands.length === 0) {
+      throw new Error(`No commands have been recorded in the terminal "${terminal.name}". ` +
+        '@terminal needs shell integration (VS Code 1.93 or later) and only sees commands run since the window was opened');
+    }
+    // Colors and cursor movements mean nothing to the model
+    const plainText = text => text.replace(/\x1b\[[0-9;?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\r/g, '').trimEnd();
+    const transcript = commands.map(command => `$ ${command.commandLine}\n${plainText(command.output)}` +
+      (command.exitCode !== undefined ? `\n(exit code ${command.exitCode})` : '')).join('\n\n');
+    return {
+      label: `Terminal ${terminal.name}`,
+      content: transcript.split('\n').slice(-MENTION_TERMINAL_LINES).join('\n')
+    };
+  }
+
+  throw new Error(`Unknown mention @${mention.kind}`);
+}
+
+/**
+ * Find the document symbol with a name that contains a position, looking into nested symbols
+ * @param {Array<vscode.DocumentSymbol|vscode.SymbolInformation>} symbols - The document's symbols
+ * @param {string} name - The symbol's name
+ * @param {vscode.Position} position - Where the workspace symbol provider located it
+ * @returns {vscode.Range|null} - The symbol's full range
+ */
+function findSymbolRange(symbols, name, position) {
+  for (const symbol of symbols) {
+    const range = symbol.range || symbol.location.range;
+    if (!range.contains(position)) {
+      continue;
+    }
+    const nested = symbol.children ? findSymbolRange(symbol.children, name, position) : null;
+    if (nested) {
+      return nested;
+    }
+    if (symbol.name === name) {
+      return range;
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn the context blocks attached to a chat message into text for the model, each under its label
+ * @param {Array<{label: string, language: string, content: string}>} context - The blocks
+ * @returns {string} - The blocks, or an empty string if there are none
+ */
+function formatContextBlocks(context) {
+  return context.map(block => `[${block.label}]\n\`\`\`${block.language || ''}\n${block.content}\n\`\`\``).join('\n\n');
+}
+
+/**
+ * The text of a chat message as the model sees it: the attached context, then the message
+ * @param {{content: string, context?: Array<object>}} message - The message
+ * @returns {string} - The text to send
+ */
+function messageWithContext(message) {
+  return message.context && message.context.length > 0
+    ? `${formatContextBlocks(message.context)}\n\n${message.content}`
+    : message.content;
+}
+
+/**
+ * Format context blocks as chips for the chat webview
+ * @param {Array<{label: string, tokens: number}>} context - The blocks
+ * @param {boolean} removable - Whether the chips get a remove button
+ * @returns {string} - The HTML
+ */
+function formatContextChips(context, removable) {
+  return context.map((block, index) =>
+    `<span class="context-chip" title="${escapeHtml(block.label)}">${escapeHtml(block.label)} <span class="chip-tokens">~${block.tokens} tokens</span>` +
+    (removable ? `<button class="chip-remove" data-index="${index}" title="Remove">×</button>` : '') +
+    '</span>').join('');
+}
+
+/**
+ * Find the mentions typed out in a chat message, such as `@file:src/app.js` or `@problems`
+ * @param {string} text - The message
+ * @returns {Promise<Array<object>>} - Mentions to resolve; files, folders and symbols that can't be found are left out
+ */
+async function findTypedMentions(text) {
+  const mentions = [];
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const [, kind, name, standalone] = match;
+    if (standalone) {
+      mentions.push({ kind: standalone });
+    } else if (kind === 'symbol') {
+      const symbols = await vscode.commands.executeCommand('vscode.executeWorkspaceSymbolProvider', name) || [];
+      const symbol = symbols.find(candidate => candidate.name === name);
+      if (symbol) {
+        const { start } = symbol.location.range;
+        mentions.push({ kind, name, uri: symbol.location.uri.toString(), line: start.line, character: start.character });
+      }
+    } else {
+      for (const folder of vscode.workspace.workspaceFolders || []) {
+        const uri = vscode.Uri.joinPath(folder.uri, name);
+        const stat = await vscode.workspace.fs.stat(uri).then(result => result, () => null);
+        if (stat && stat.type === (kind === 'file' ? vscode.FileType.File : vscode.FileType.Directory)) {
+          mentions.push({ kind, uri: uri.toString() });
+          break;
+        }
+      }
+    }
+  }
+  return mentions;
+}
+
+/**
+ * Drives one chat conversation: sends messages to the LLM, streams the answer, and saves the
+ * session. The controller can be attached to the sidebar or a chat panel, and moved between them,
+ * so both surfaces share the same behaviour.
+ */
+class ChatController {
+  /**
+   * @param {LLMClient} client - The LLM client
+   * @param {ChatSessionStore} sessionStore - Where sessions are saved
+   * @param {WorkspaceIndex} workspaceIndex - Searched for context to add to each question
+   * @param {string} [sessionId] - The session to open; a new session is started if omitted or unknown
+   */
+  constructor(client, sessionStore, workspaceIndex, sessionId) {
+    this.client = client;
+    this.sessionStore = sessionStore;
+    this.workspaceIndex = workspaceIndex;
+    this.session = (sessionId && sessionStore.get(sessionId)) || sessionStore.create(client.model);
+    this._abortController = null;
+    this._partialResponse = '';
+    this._partialReasoning = '';
+    this._agentSteps = [];
+    // Context blocks from @mentions, sent with the next message
+    this._attachments = [];
+    this._webview = null;
+    this._location = null;
+    this._webviewListener = null;
+
+    this._onDidChangeSession = new vscode.EventEmitter();
+    // Fires with the session when another session is opened or the current one is renamed
+    this.onDidChangeSession = this._onDidChangeSession.event;
+    this._onDidRequestMove = new vscode.EventEmitter();
+    // Fires when the user asks to continue the chat in the other surface
+    this.onDidRequestMove = this._onDidRequestMove.event;
+
+    this._storeListener = sessionStore.onDidChange(event => {
+      if (event.sessionId !== this.session.id) {
+        return;
+      }
+
+      if (event.type === 'deleted') {
+        this.openSession(null);
+      } else if (event.type === 'renamed') {
+        this.session.title = event.title;
+        this._onDidChangeSession.fire(this.session);
+        this._render();
+      }
+    });
+  }
+
+  /**
+   * Show the conversation in a webview, detaching it from any previous one
+   * @param {vscode.Webview} webview - The webview to render into
+   * @param {string} location - Either 'sidebar' or 'panel'
+   */
+  attach(webview, location) {
+    this.detach();
+    this._webview = webview;
+    this._location = location;
+    this._webviewListener = webview.onDidReceiveMessage(data => this._handleMessage(data));
+    webview.html = getChatWebviewHtml();
+  }
+
+  /**
+   * Stop rendering into a webview. The conversation, including a response in progress, carries on.
+   * @param {vscode.Webview} [webview] - Only detach if attached to this webview
+   */
+  detach(webview) {
+    if (!this._webview || (webview && webview !== this._webview)) {
+      return;
+    }
+
+    this._webviewListener.dispose();
+    this._webviewListener = null;
+    this._webview = null;
+  }
+
+  /**
+   * Switch to another session, stopping any response still being generated
+   * @param {string|null} sessionId - The session to open, or null to start a new chat
+   */
+  openSession(sessionId) {
+    if (this._abortController) {
+      this._abortController.abort();
+      this._abortController = null;
+      this._partialResponse = '';
+      this._partialReasoning = '';
+      this._agentSteps = [];
+    }
+
+    this.session = (sessionId && this.sessionStore.get(sessionId)) || this.sessionStore.create(this.client.model);
+    this._onDidChangeSession.fire(this.session);
+    this._render();
+  }
+
+  /**
+   * Send a user message and add the response to the conversation.
+   * With `options.agent`, the model works as an agent that can call tools over several turns.
+   * @param {string} userMessage - The message to send
+   * @param {object} [options] - `agent` to answer in agent mode
+   * @returns {Promise<void>}
+   */
+  async sendMessage(userMessage, options = {}) {
+    if (this._abortController) {
+      vscode.window.showInformationMessage('Please wait for the current response or press Stop.');
+      return;
+    }
+
+    const abortController = new AbortController();
+    this._abortController = abortController;
+    this._partialResponse = '';
+    this._partialReasoning = '';
+
+    // The user may switch sessions while waiting, so keep hold of the one this message belongs to
+    const session = this.session;
+    let partialResponse = '';
+    let reasoning = '';
+    let steps = [];
+
+    try {
+      const context = this._attachments;
+      this._attachments = [];
+      this._postAttachments();
+      for (const mention of await findTypedMentions(userMessage)) {
+        await this._resolveMention(mention, context);
+      }
+
+      session.messages.push(context.length > 0 ? { role: 'user', content: userMessage, context } : { role: 'user', content: userMessage });
+      await this.sessionStore.save(session);
+      this._onDidChangeSession.fire(session);
+      this._render();
+
+      const conversation = session.messages
+        .filter(message => !message.error)
+        .map(message => ({ role: message.role, content: messageWithContext(message) }));
+
+      if (options.agent) {
+        // No idle timeout here: the agent waits for the user to approve edits and commands
+        const result = await new Agent(this.client).run(conversation, {
+          signal: abortController.signal,
+          maxSteps: vscode.workspace.getConfiguration('sebguru-assistant').get('agent.maxSteps'),
+          onStep: currentSteps => {
+            steps = currentSteps;
+            this._agentSteps = currentSteps;
+            this._postMessage({ type: 'agentSteps', html: formatAgentSteps(currentSteps) });
+          }
+        });
+
+        session.messages.push(withReasoning({
+          role: 'assistant',
+          content: result.answer.trim() || 'Done.',
+          steps: transcriptSteps(result.steps)
+        }, result.reasoning));
+        session.model = this.client.model;
+      } else {
+        // Send the whole conversation (minus error notices) so follow-up questions have context,
+        // streaming partial text into the webview as it arrives
+        const sources = await this.workspaceIndex.retrieve(userMessage, { signal: abortController.signal });
+        const workspaceContext = formatWorkspaceContext(sources);
+
+        console.log('Making request to LLM...');
+        const response = await raceWithIdleTimeout(touch => this.client.makeChatRequest(conversation, {
+          systemPrompt: workspaceContext ? `${CHAT_SYSTEM_PROMPT}\n\n${workspaceContext}` : CHAT_SYSTEM_PROMPT,
+          signal: abortController.signal,
+          onToken: (token) => {
+            touch();
+            partialResponse += token;
+            this._partialResponse = partialResponse;
+            this._postMessage({ type: 'streamToken', value: token });
+          },
+          onReasoning: (text) => {
+            touch();
+            reasoning += text;
+            this._partialReasoning = reasoning;
+            this._postMessage({ type: 'streamReasoning', value: text });
+          }
+        }), 60000);
+
+        console.log('Received response from LLM:', response ? response.substring(0, 100) + '...' : 'null or empty');
+
+        // Handle empty or invalid responses
+        if (!response || typeof response !== 'string' || response.trim() === '') {
+          throw new Error('Received empty or invalid response from LLM');
+        }
+
+        const message = withReasoning({ role: 'assistant', content: response }, reasoning);
+        if (sources.length > 0) {
+          // The excerpts themselves can be looked up again; the session only keeps where they came from
+          message.sources = sources.map(({ uri, file, startLine, endLine, symbol }) => ({ uri, file, startLine, endLine, symbol }));
+        }
+        session.messages.push(message);
+        session.model = this.client.model;
+      }
+    } catch (error) {
+      // Make sure a timed out request doesn't keep the LLM server busy
+      abortController.abort();
+
+      if (axios.isCancel(error)) {
+        // Keep whatever was generated before the user pressed Stop
+        console.log('Request stopped by user');
+        session.messages.push(withReasoning({
+          role: 'assistant',
+          content: `${partialResponse}\n\n*${options.agent ? 'Agent' : 'Response'} stopped.*`.trim(),
+          steps: transcriptSteps(steps)
+        }, reasoning));
+      } else {
+        console.error('Error getting response from LLM:', error);
+        vscode.window.showErrorMessage(`AI Assistant error: ${error.message}`);
+
+        // Add error message to chat history
+        session.messages.push({
+          role: 'assistant',
+          content: `I'm sorry, I encountered an error: ${error.message}. Please try again or check the server logs.`,
+          steps: transcriptSteps(steps),
+          error: true
+        });
+      }
+    } finally {
+      if (this._abortController === abortController) {
+        this._abortController = null;
+        this._partialResponse = '';
+        this._partialReasoning = '';
+        this._agentSteps = [];
+      }
+    }
+
+    // The session may have been deleted while the response was pending; saving it would bring it back
+    if (this.sessionStore.get(session.id)) {
+      await this.sessionStore.save(session);
+    }
+    this._render();
+  }
+
+  /**
+   * Stop the response that is being generated, if any
+   */
+  stop() {
+    if (this._abortController) {
+      this._abortController.abort();
+    }
+  }
+
+  /**
+   * Stop any request in progress and release event listeners
+   */
+  dispose() {
+    this.stop();
+    this.detach();
+    this._storeListener.dispose();
+    this._onDidChangeSession.dispose();
+    this._onDidRequestMove.dispose();
+  }
+
+  async _handleMessage(data) {
+    console.log('ChatController received message:', data.type);
+
+    if (data.type === 'ready') {
+      this._render();
+    } else if (data.type === 'sendMessage') {
+      await this.sendMessage(data.value, { agent: !!data.agent });
+    } else if (data.type === 'stopGeneration') {
+      this.stop();
+    } else if (data.type === 'newSession') {
+      this.openSession(null);
+    } else if (data.type === 'pickSession') {
+      const picked = await pickChatSession(this.sessionStore);
+      if (picked) {
+        this.openSession(picked.sessionId);
+      }
+    } else if (data.type === 'moveChat') {
+      this._onDidRequestMove.fire();
+    } else if (data.type === 'mentionQuery') {
+      let items = [];
+      try {
+        items = await findMentionSuggestions(data.kind, data.query);
+      } catch (error) {
+        console.error('Failed to find mention suggestions:', error);
+      }
+      this._postMessage({ type: 'mentionSuggestions', requestId: data.requestId, items });
+    } else if (data.type === 'addMention') {
+      await this._resolveMention(data.mention, this._attachments);
+      this._postAttachments();
+    } else if (data.type === 'removeAttachment') {
+      this._attachments.splice(data.index, 1);
+      this._postAttachments();
+    } else if (data.type === 'openSource') {
+      try {
+        const document = await vscode.workspace.openTextDocument(vscode.Uri.parse(data.uri));
+        const position = new vscode.Position(data.line || 0, 0);
+        await vscode.window.showTextDocument(document, {
+          preview: true,
+          selection: new vscode.Range(position, position)
+        });
+      } catch (error) {
+        vscode.window.showErrorMessage(`Failed to open ${data.uri}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Resolve a mention and add its context block to a list, unless the list already has it.
+   * Mentions that can't be resolved are reported and left out.
+   * @param {object} mention - The mention
+   * @param {Array<object>} context - The context blocks to add to
+   */
+  async _resolveMention(mention, context) {
+    try {
+      const block = await resolveMention(mention);
+      if (!context.some(existing => existing.label === block.label)) {
+        context.push(block);
+      }
+    } catch (error) {
+      vscode.window.showWarningMessage(`Could not add @${mention.kind}: ${error.message}`);
+    }
+  }
+
+  _postAttachments() {
+    this._postMessage({ type: 'attachments', html: formatContextChips(this._attachments, true) });
+  }
+
+  _render() {
+    this._postMessage({
+      type: 'render',
+      title: this.session.title,
+      attachmentsHtml: formatContextChips(this._attachments, true),
+      location: this._location,
+      busy: this._abortController !== null,
+      streamingText: this._partialResponse,
+      streamingReasoning: this._partialReasoning,
+      streamingStepsHtml: formatAgentSteps(this._agentSteps),
+      messages: this.session.messages.map(message => ({
+        role: message.role,
+        html: formatMessageContent(message.content),
+        reasoningHtml: message.reasoning ? escapeHtml(message.reasoning.trim()) : '',
+        stepsHtml: message.steps ? formatAgentSteps(message.steps) : '',
+        sourcesHtml: message.sources ? formatMessageSources(message.sources) : '',
+        contextHtml: message.context ? formatContextChips(message.context, false) : ''
+      }))
+    });
+  }
+
+  _postMessage(message) {
+    if (this._webview) {
+      this._webview.postMessage(message);
+    }
+  }
+}
+
+/**
+ * Chat view provider for the AI assistant chat interface in the sidebar
+ */
+class AIChatViewProvider {
+  /**
+   * @param {LLMClient} client - The LLM client
+   * @param {ChatSessionStore} sessionStore - Where sessions are saved
+   * @param {WorkspaceIndex} workspaceIndex - Searched for context to add to each question
+   * @param {vscode.Memento} workspaceState - Used to remember which session the sidebar shows
+   * @param {function(ChatController): void} moveToPanel - Opens a chat panel for a conversation moved out of the sidebar
+   */
+  constructor(client, sessionStore, workspaceIndex, workspaceState, moveToPanel) {
+    this.client = client;
+    this.sessionStore = sessionStore;
+    this.workspaceIndex = workspaceIndex;
+    this.workspaceState = workspaceState;
+    this.moveToPanel = moveToPanel;
+    this._view = null;
+    this.controller = null;
+    this._controllerListeners = [];
+
+    // Reopen the session that was showing before the window was reloaded
+    this.setController(new ChatController(client, sessionStore, workspaceIndex, workspaceState.get(AIChatViewProvider.SESSION_KEY)));
+  }
+
+  resolveWebviewView(webviewView) {
+    console.log('AIChatViewProvider.resolveWebviewView called');
+    this._view = webviewView;
+    webviewView.webview.options = {
+      enableScripts: true,
+      localResourceRoots: []
+    };
+
+    this.controller.attach(webviewView.webview, 'sidebar');
+
+    webviewView.onDidDispose(() => {
+      if (this.controller) {
+        this.controller.detach(webviewView.webview);
+      }
+      this._view = null;
+    });
+  }
+
+  /**
+   * Show a conversation in the sidebar, disposing of the one shown before
+   * @param {ChatController} controller - The conversation to show
+   */
+  setController(controller) {
+    if (this.controller) {
+      this._releaseController().dispose();
+    }
+
+    this.controller = controller;
+    this._controllerListeners = [
+      controller.onDidChangeSession(session => {
+        this.workspaceState.update(AIChatViewProvider.SESSION_KEY, session.id);
+      }),
+      controller.onDidRequestMove(() => {
+        const movingController = this._releaseController();
+        this.setController(new ChatController(this.client, this.sessionStore, this.workspaceIndex));
+        this.moveToPanel(movingController);
+      })
+    ];
+    this.workspaceState.update(AIChatViewProvider.SESSION_KEY, controller.session.id);
+
+    if (this._view) {
+      controller.attach(this._view.webview, 'sidebar');
+    }
+  }
+
+  /**
+   * Show a saved session in the sidebar
+   * @param {string|null} sessionId - The session to open, or null to start a new chat
+   */
+  openSession(sessionId) {
+    this.controller.openSession(sessionId);
+  }
+
+  _releaseController() {
+    const controller = this.controller;
+    this._controllerListeners.forEach(listener => listener.dispose());
+    this._controllerListeners = [];
+    this.controller = null;
+    controller.detach();
+    return controller;
+  }
+}
+
+AIChatViewProvider.SESSION_KEY = 'sebguru-assistant.sidebarChatSession';
+
+/**
+ * Tools the agent can call, as OpenAI-style function definitions. Ollama accepts the same format.
+ * `edit_file` and `run_command` change the workspace, so they need the user's approval.
+ */
+const AGENT_TOOLS = [
+  {
+    name: 'read_file',
+    description: 'Read a text file in the workspace. Use startLine and endLine (1-based, inclusive) to read part of a large file.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the workspace folder' },
+        startLine: { type: 'integer', description: 'First line to read' },
+        endLine: { type: 'integer', description: 'Last line to read' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'list_directory',
+    description: 'List the files and folders in a workspace directory. Folders end with "/".',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory path relative to the workspace folder; "." for the workspace folder itself' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'search',
+    description: 'Search the text of workspace files and return the matching lines with their file and line number.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Text to search for' },
+        isRegex: { type: 'boolean', description: 'Treat the query as a JavaScript regular expression' },
+        include: { type: 'string', description: 'Glob pattern of the files to search, e.g. "src/**/*.js"' }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'edit_file',
+    description: 'Propose a change to a file, which the user reviews in a diff. Either give the complete new "content", or replace one exact occurrence of "search" with "replace". Creates the file if it does not exist.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the workspace folder' },
+        content: { type: 'string', description: 'The complete new content of the file' },
+        search: { type: 'string', description: 'Exact text to replace, including indentation' },
+        replace: { type: 'string', description: 'Text to put in place of "search"' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'run_command',
+    description: 'Run a shell command in the workspace folder, after the user approves it, and return its exit code and output.',
+    parameters: {
+      type: 'object',
+      properties: {
+        command: { type: 'string', description: 'The command line to run' }
+      },
+      required: ['command']
+    }
+  }
+];
+
+/**
+ * Longest tool result sent back to the model, in characters
+ */
+const AGENT_MAX_TOOL_OUTPUT = 12000;
+
+/**
+ * Files the search tool skips
+ */
+const AGENT_SEARCH_EXCLUDE = '**/{node_modules,.git,dist,out,build,.venv,__pycache__}/**';
+
+const AGENT_SYSTEM_PROMPT = `You are SebGuru, an AI coding agent working inside VS Code on the user's workspace.
+Use the tools to look at the code before answering or changing it: list directories, search, and read the relevant files.
+Make changes with edit_file and check them with run_command where the project has tests or a build.
+The user approves every edit and command; if they reject one, don't try it again, but adapt or ask.
+When you are done, reply with a short summary of what you found or changed.`;
+
+/**
+ * Describe the tools and the JSON reply format for models without native tool calling
+ * @param {Array<object>} tools - The tool definitions
+ * @returns {string} - The system prompt addition
+ */
+function agentJsonProtocolPrompt(tools) {
+  const toolList = tools.map(tool => {
+    const parameters = Object.entries(tool.parameters.properties)
+      .map(([name, parameter]) => `    - ${name}${tool.parameters.required.includes(name) ? '' : ' (optional)'}: ${parameter.description}`)
+      .join('\n');
+    return `- ${tool.name}: ${tool.description}\n${parameters}`;
+  }).join('\n');
+
+  return `You can call these tools:
+${toolList}
+
+Reply with exactly one JSON object and nothing else. To call a tool:
+{"tool": "read_file", "arguments": {"path": "src/index.js"}}
+When you are done, give your final answer for the user:
+{"answer": "..."}
+After each tool call you get its result in the next message.`;
+}
+
+/**
+ * Find the first complete JSON object in a model reply, which may be wrapped in prose or a code fence
+ * @param {string} text - The reply
+ * @returns {object|null} - The parsed object, or null if there is none
+ */
+function parseFirstJsonObject(text) {
+  for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+    let depth = 0;
+    let inString = false;
+
+    for (let index = start; index < text.length; index++) {
+      const char = text[index];
+      if (inString) {
+        if (char === '\\') {
+          index++;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        try {
+          return JSON.parse(text.slice(start, index + 1));
+        } catch (error) {
+          break;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Cut a tool result down to what we send back to the model
+ * @param {string} text - The result
+ * @returns {string} - The result, truncated with a note if it was too long
+ */
+function truncateToolOutput(text) {
+  if (text.length <= AGENT_MAX_TOOL_OUTPUT) {
+    return text;
+  }
+  return `${text.slice(0, AGENT_MAX_TOOL_OUTPUT)}\n... [truncated ${text.length - AGENT_MAX_TOOL_OUTPUT} characters]`;
+}
+
+/**
+ * Lets the model work on the workspace over several turns: it calls tools to read, search and
+ * list files, propose edits and run commands, and gets each result back until it gives an answer.
+ * Uses the server's native tool calling where the provider has it, and a JSON reply protocol
+ * otherwise. Edits go through the diff review and commands need approval, so nothing changes
+ * without the user's consent.
+ */
+class Agent {
+  /**
+   * @param {LLMClient} client - The LLM client
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Run the agent on a conversation until the model answers or the step limit is reached.
+   * `options.onStep` is called with the list of steps whenever a step starts or finishes;
+   * each step is `{tool, arguments, status, result}` with status 'running', 'done', 'error' or 'rejected'.
+   * @param {Array<{role: string, content: string}>} conversation - The user and assistant turns, oldest first
+   * @param {object} options - `signal` (an AbortSignal), `onStep` and `maxSteps`
+   * @returns {Promise<{answer: string, reasoning: string, steps: Array<object>}>} - The final answer and the steps taken
+   */
+  async run(conversation, options = {}) {
+    if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
+      throw new Error('Open a folder to use agent mode');
+    }
+
+    const state = {
+      steps: [],
+      reasoning: [],
+      signal: options.signal,
+      onStep: options.onStep || (() => {}),
+      maxSteps: options.maxSteps || 15
+    };
+
+    let answer;
+    if (this.client.supportsTools) {
+      try {
+        answer = await this._runNative(conversation, state);
+      } catch (error) {
+        // Ollama refuses tools for models without a tool-calling template; fall back to JSON replies
+        if (axios.isCancel(error) || !/does not support tools/i.test(error.message) || state.steps.length > 0) {
+          throw error;
+        }
+        console.log('Model has no native tool calling, using the JSON protocol:', error.message);
+        answer = await this._runJsonProtocol(conversation, state);
+      }
+    } else {
+      answer = await this._runJsonProtocol(conversation, state);
+    }
+
+    return { answer, reasoning: state.reasoning.join('\n\n'), steps: state.steps };
+  }
+
+  async _runNative(conversation, state) {
+    const tools = AGENT_TOOLS.map(tool => ({ type: 'function', function: tool }));
+    const messages = [{ role: 'system', content: AGENT_SYSTEM_PROMPT }, ...conversation];
+
+    while (state.steps.length < state.maxSteps) {
+      const response = await this.client.makeToolRequest(messages, tools, { signal: state.signal });
+      if (response.reasoning) {
+        state.reasoning.push(response.reasoning);
+      }
+      messages.push(response.message);
+
+      if (response.toolCalls.length === 0) {
+        return response.content;
+      }
+
+      for (const call of response.toolCalls) {
+        const result = await this._callTool(call.name, call.arguments, state);
+        messages.push(this.client.toolResultMessage(call, result));
+      }
+    }
+
+    return `Stopped after ${state.maxSteps} tool calls without a final answer.`;
+  }
+
+  async _runJsonProtocol(conversation, state) {
+    const systemPrompt = `${AGENT_SYSTEM_PROMPT}\n\n${agentJsonProtocolPrompt(AGENT_TOOLS)}`;
+    const messages = [...conversation];
+
+    while (state.steps.length < state.maxSteps) {
+      let reasoning = '';
+      const reply = await this.client.makeChatRequest(messages, {
+        systemPrompt,
+        temperature: 0.2,
+        signal: state.signal,
+        onReasoning: text => { reasoning += text; }
+      });
+      if (reasoning.trim()) {
+        state.reasoning.push(reasoning.trim());
+      }
+      messages.push({ role: 'assistant', content: reply });
+
+      const parsed = parseFirstJsonObject(reply);
+      if (!parsed || typeof parsed.tool !== 'string') {
+        // Models sometimes answer in plain text; take that as the final answer
+        return parsed && typeof parsed.answer === 'string' ? parsed.answer : reply;
+      }
+
+      const result = await this._callTool(parsed.tool, parsed.arguments || {}, state);
+      messages.push({ role: 'user', content: `Result of ${parsed.tool}:\n${result}` });
+    }
+
+    return `Stopped after ${state.maxSteps} tool calls without a final answer.`;
+  }
+
+  /**
+   * Run one tool call, recording it as a step
+   * @param {string} name - The tool name
+   * @param {object|string} args - The arguments, as an object or a JSON string
+   * @param {object} state - The run state
+   * @returns {Promise<string>} - The result to send back to the model
+   */
+  async _callTool(name, args, state) {
+    const step = { tool: name, arguments: {}, status: 'running', result: '' };
+    state.steps.push(step);
+
+    try {
+      step.arguments = typeof args === 'string' ? JSON.parse(args) : args;
+    } catch (error) {
+      step.status = 'error';
+      step.result = `Invalid JSON arguments: ${error.message}`;
+      state.onStep(state.steps);
+      return step.result;
+    }
+    state.onStep(state.steps);
+
+    try {
+      const { status, result } = await this._executeTool(name, step.arguments, state.signal);
+      step.status = status;
+      step.result = result;
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        step.status = 'error';
+        step.result = 'Stopped';
+        state.onStep(state.steps);
+        throw error;
+      }
+      step.status = 'error';
+      step.result = `Error: ${error.message}`;
+    }
+
+    step.result = truncateToolOutput(step.result);
+    state.onStep(state.steps);
+    return step.result;
+  }
+
+  async _executeTool(name, args, signal) {
+    switch (name) {
+      case 'read_file':
+        return { status: 'done', result: await this._readFile(args) };
+      case 'list_directory':
+        return { status: 'done', result: await this._listDirectory(args) };
+      case 'search':
+        return { status: 'done', result: await this._search(args) };
+      case 'edit_file':
+        return this._editFile(args);
+      case 'run_command':
+        return this._runCommand(args, signal);
+      default:
+        throw new Error(`Unknown tool "${name}". Available tools: ${AGENT_TOOLS.map(tool => tool.name).join(', ')}`);
+    }
+  }
+
+  /**
+   * Resolve a path from the model against the workspace, refusing paths outside it
+   * @param {string} relativePath - The path the model gave
+   * @returns {vscode.Uri} - The file URI
+   */
+  _resolve(relativePath) {
+    if (typeof relativePath !== 'string' || !relativePath) {
+      throw new Error('"path" is required');
+    }
+
+    const folders = vscode.workspace.workspaceFolders;
+    const filePath = path.resolve(folders[0].uri.fsPath, relativePath);
+    const inWorkspace = folders.some(folder => {
+      const relative = path.relative(folder.uri.fsPath, filePath);
+      return !relative.startsWith('..') && !path.isAbsolute(relative);
+    });
+    if (!inWorkspace) {
+      throw new Error(`${relativePath} is outside the workspace`);
+    }
+    return vscode.Uri.file(filePath);
+  }
+
+  async _readFile(args) {
+    const fileUri = this._resolve(args.path);
+    const text = new TextDecoder().decode(await vscode.workspace.fs.readFile(fileUri));
+    if (!args.startLine && !args.endLine) {
+      return text;
+    }
+
+    const lines = text.split('\n');
+    const start = Math.max(1, args.startLine || 1);
+    const end = Math.min(lines.length, args.endLine || lines.length);
+    return `Lines ${start}-${end} of ${lines.length}:\n${lines.slice(start - 1, end).join('\n')}`;
+  }
+
+  async _listDirectory(args) {
+    const entries = await vscode.workspace.fs.readDirectory(this._resolve(args.path || '.'));
+    if (entries.length === 0) {
+      return '(empty directory)';
+    }
+    return entries
+      .map(([name, type]) => type & vscode.FileType.Directory ? `${name}/` : name)
+      .sort()
+      .join('\n');
+  }
+
+  async _search(args) {
+    if (typeof args.query !== 'string' || !args.query) {
+      throw new Error('"query" is required');
+    }
+
+    const pattern = new RegExp(args.isRegex ? args.query : args.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    const files = await vscode.workspace.findFiles(args.include || '**/*', AGENT_SEARCH_EXCLUDE, 2000);
+    const matches = [];
+
+    for (const fileUri of files) {
+      const bytes = await vscode.workspace.fs.readFile(fileUri);
+      // Skip binaries and very large files
+      if (bytes.length > 1024 * 1024 || bytes.includes(0)) {
+        continue;
+      }
+
+      const lines = new TextDecoder().decode(bytes).split('\n');
+      for (let index = 0; index < lines.length && matches.length < 100; index++) {
+        if (pattern.test(lines[index])) {
+          matches.push(`${vscode.workspace.asRelativePath(fileUri)}:${index + 1}: ${lines[index].trim().slice(0, 200)}`);
+        }
+      }
+      if (matches.length >= 100) {
+        matches.push('... (more matches not shown)');
+        break;
+      }
+    }
+
+    return matches.length > 0 ? matches.join('\n') : 'No matches';
+  }
+
+  async _editFile(args) {
+    const fileUri = this._resolve(args.path);
+    const relativePath = vscode.workspace.asRelativePath(fileUri);
+
+    let current = null;
+    try {
+      current = new TextDecoder().decode(await vscode.workspace.fs.readFile(fileUri));
+    } catch (error) {
+      // A new file
+    }
+
+    let proposed;
+    if (typeof args.search === 'string' && args.search) {
+      if (current === null) {
+        throw new Error(`${relativePath} does not exist`);
+      }
+      proposed = replaceUniqueText(current, args.search, args.replace, relativePath);
+    } else if (typeof args.content === 'string') {
+      proposed = args.content;
+    } else {
+      throw new Error('Give either "content" or "search" and "replace"');
+    }
+
+    if (current === null) {
+      // There's nothing to diff against, so ask before creating the file
+      const choice = await vscode.window.showWarningMessage(
+        `The agent wants to create ${relativePath} (${proposed.split('\n').length} lines).`,
+        { modal: true },
+        'Create'
+      );
+      if (choice !== 'Create') {
+        return { status: 'rejected', result: `The user rejected creating ${relativePath}.` };
+      }
+      await vscode.workspace.fs.createDirectory(vscode.Uri.file(path.dirname(fileUri.fsPath)));
+      await vscode.workspace.fs.writeFile(fileUri, new TextEncoder().encode(proposed));
+      return { status: 'done', result: `Created ${relativePath}.` };
+    }
+
+    const accepted = await reviewProposedChange(fileUri, proposed, `${path.basename(fileUri.fsPath)} ↔ Agent edit`);
+    if (accepted === undefined) {
+      return { status: 'rejected', result: `The user rejected the edit to ${relativePath}.` };
+    }
+    await replaceDocumentContent(fileUri, accepted);
+    return {
+      status: 'done',
+      result: accepted === proposed ? `Edited ${relativePath}.` : `Edited ${relativePath}; the user changed the edit before accepting it.`
+    };
+  }
+
+  async _runCommand(args, signal) {
+    if (typeof args.command !== 'string' || !args.command.trim()) {
+      throw new Error('"command" is required');
+    }
+    if (!vscode.workspace.isTrusted) {
+      throw new Error('Commands only run in a trusted workspace');
+    }
+
+    const choice = await vscode.window.showWarningMessage(
+      `The agent wants to run:\n\n${args.command}`,
+      { modal: true },
+      'Run'
+    );
+    if (choice !== 'Run') {
+      return { status: 'rejected', result: 'The user declined to run this command.' };
+    }
+
+    const result = await runShellCommand(args.command, {
+      cwd: vscode.workspace.workspaceFolders[0].uri.fsPath,
+      timeoutMs: 120000,
+      signal
+    });
+    const output = [result.stdout, result.stderr].filter(Boolean).join('\n').trim();
+    const status = result.timedOut ? 'Timed out after 120 seconds' : `Exit code ${result.exitCode}`;
+    return { status: result.exitCode === 0 ? 'done' : 'error', result: `${status}\n${output}`.trim() };
+  }
+}
+
+/**
+ * Format the steps an agent took for the chat transcript
+ * @param {Array<object>} steps - The steps
+ * @returns {string} - The HTML
+ */
+function formatAgentSteps(steps) {
+  const icons = { running: '⏳', done: '✓', error: '✗', rejected: '⊘' };
+  return steps.map(step => {
+    const target = step.arguments.path || step.arguments.command || step.arguments.query || '';
+    const argumentsText = JSON.stringify(step.arguments, null, 2);
+    return `<details class="agent-step ${step.status}"><summary>${icons[step.status] || ''} ${escapeHtml(step.tool)} <code>${escapeHtml(String(target))}</code></summary>` +
+      `<pre>${escapeHtml(argumentsText)}</pre>` +
+      (step.result ? `<pre>${escapeHtml(step.result)}</pre>` : '') +
+      '</details>';
+  }).join('');
+}
+
+/**
+ * Format the workspace excerpts a chat answer was given, as links to open them
+ * @param {Array<{uri: string, file: string, startLine: number, endLine: number, symbol: string|null}>} sources - The excerpts
+ * @returns {string} - The HTML
+ */
+function formatMessageSources(sources) {
+  const links = sources.map(source =>
+    `<a class="source-link" data-uri="${escapeHtml(source.uri)}" data-line="${source.startLine}">` +
+    `${escapeHtml(citationLabel(source))}${source.symbol ? ` <code>${escapeHtml(source.symbol)}</code>` : ''}</a>`);
+  return `<details class="sources"><summary>Sources (${sources.length})</summary>${links.join('')}</details>`;
+}
+
+/**
+ * Built-in workflows, available unless a workspace or user workflow with the same ID replaces them
+ */
+const BUILT_IN_WORKFLOWS = [
+  {
+    id: 'explain-code',
+    name: 'Explain Code',
+    description: 'Get an explanation of the selected code',
+    systemPrompt: 'You are an expert programmer. Explain the following code in detail, including its purpose, how it works, and any potential issues or improvements.'
+  },
+  {
+    id: 'improve-code',
+    name: 'Improve Code',
+    description: 'Get suggestions to improve the selected code',
+    systemPrompt: 'You are an expert programmer. Analyze the following code and suggest specific improvements for performance, readability, and best practices. Provide the improved code.'
+  },
+  {
+    id: 'generate-tests',
+    name: 'Generate Tests',
+    description: 'Generate unit tests for the selected code',
+    systemPrompt: 'You are an expert in test-driven development. Generate comprehensive unit tests for the following code, including edge cases. Reply with the complete test file in a single code block.',
+    output: 'newFile'
+  },
+  {
+    id: 'document-code',
+    name: 'Document Code',
+    description: 'Generate documentation for the selected code',
+    systemPrompt: 'You are a technical documentation expert. Write the documentation comment for the following code in the idiomatic style of its language, including function descriptions, parameter details and return values. Reply with only the comment in a single code block.',
+    output: 'insertAbove'
+  },
+  {
+    id: 'refactor-code',
+    name: 'Refactor Code',
+    description: 'Refactor the selected code to improve its structure',
+    systemPrompt: 'You are an expert in code refactoring. Refactor the following code to improve its structure, maintainability, and adherence to design patterns, while preserving its functionality. Reply with the complete refactored code in a single code block.',
+    output: 'diff'
+  }
+];
+
+/**
+ * Where a workflow's result goes: a new markdown editor, or code extracted from the answer that
+ * replaces the selection, goes above or below it, goes into a new file next to the current one,
+ * or is reviewed in a diff first
+ */
+const WORKFLOW_OUTPUT_TARGETS = ['document', 'replaceSelection', 'insertAbove', 'insertBelow', 'newFile', 'diff'];
+
+/**
+ * Code fence names that differ from VS Code language IDs
+ */
+const CODE_FENCE_ALIASES = {
+  javascript: ['js', 'jsx', 'node'],
+  typescript: ['ts', 'tsx'],
+  javascriptreact: ['jsx', 'js', 'javascript'],
+  typescriptreact: ['tsx', 'ts', 'typescript'],
+  python: ['py', 'python3'],
+  shellscript: ['sh', 'bash', 'shell', 'zsh'],
+  csharp: ['cs', 'c#'],
+  cpp: ['c++', 'cc', 'cxx'],
+  ruby: ['rb'],
+  rust: ['rs'],
+  go: ['golang'],
+  yaml: ['yml'],
+  markdown: ['md']
+};
+
+/**
+ * Pull the code out of a markdown answer. Prefers the longest code block in the given language,
+ * then the longest code block of any language; text without code blocks is returned as it is.
+ * @param {string} text - The answer
+ * @param {string} [languageId] - The VS Code language ID of the code wanted
+ * @returns {string} - The code
+ */
+function extractCodeBlock(text, languageId) {
+  const blocks = [...text.matchAll(/```([^\n`]*)\n([\s\S]*?)```/g)].map(match => ({
+    language: match[1].trim().toLowerCase(),
+    code: match[2].replace(/\s+$/, '')
+  }));
+
+  if (blocks.length === 0) {
+    return text.trim();
+  }
+
+  const names = languageId ? [languageId.toLowerCase(), ...(CODE_FENCE_ALIASES[languageId] || [])] : [];
+  const matching = blocks.filter(block => names.includes(block.language));
+  const candidates = matching.length > 0 ? matching : blocks;
+
+  return candidates.reduce((longest, block) => block.code.length > longest.code.length ? block : longest).code;
+}
+
+/**
+ * The conventional name for a test file next to a source file
+ * @param {string} fileName - The source file name
+ * @param {string} languageId - The VS Code language ID of the source file
+ * @returns {string} - The test file name
+ */
+function siblingTestFileName(fileName, languageId) {
+  const extension = path.extname(fileName);
+  const baseName = path.basename(fileName, extension);
+
+  switch (languageId) {
+    case 'python':
+      return `test_${baseName}${extension}`;
+    case 'go':
+      return `${baseName}_test${extension}`;
+    case 'java':
+    case 'kotlin':
+    case 'csharp':
+    case 'php':
+      return `${baseName}Test${extension}`;
+    case 'ruby':
+      return `${baseName}_spec${extension}`;
+    default:
+      return `${baseName}.test${extension}`;
+  }
+}
+
+/**
+ * Prompt used by workflows that don't define their own
+ */
+const DEFAULT_WORKFLOW_PROMPT = 'Apply the "{{name}}" workflow to this {{language}} code from {{file}}:\n\n```{{language}}\n{{selection}}\n```';
+
+/**
+ * Step types a workflow can be made of
+ */
+const WORKFLOW_STEP_TYPES = ['llm', 'shell', 'writeFile'];
+
+/**
+ * Replace `{{variable}}` placeholders in a template. Unknown placeholders are left as they are.
+ * Names may contain dots, as in `{{steps.analyze}}`.
+ * @param {string} template - The template
+ * @param {object} variables - Values by variable name
+ * @returns {string} - The rendered text
+ */
+function renderTemplate(template, variables) {
+  return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) =>
+    variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : match);
+}
+
+/**
+ * Check a workflow definition read from a file and fill in defaults
+ * @param {object} definition - The workflow as written in the file
+ * @param {string} fallbackId - ID to use when the definition has none, from the file name
+ * @param {string} source - Where the workflow came from: 'built-in', 'workspace' or 'user'
+ * @param {vscode.Uri} [uri] - The file the workflow was read from
+ * @returns {object} - The workflow
+ */
+function normalizeWorkflow(definition, fallbackId, source, uri) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('a workflow must be an object');
+  }
+
+  const workflow = {
+    id: definition.id || fallbackId,
+    name: definition.name,
+    description: definition.description || '',
+    systemPrompt: definition.systemPrompt || 'You are an expert programmer.',
+    prompt: definition.prompt || DEFAULT_WORKFLOW_PROMPT,
+    model: definition.model,
+    temperature: definition.temperature,
+    maxTokens: definition.maxTokens || 4096,
+    workspaceContext: definition.workspaceContext !== undefined ? definition.workspaceContext : true,
+    output: definition.output || 'document',
+    outputPath: definition.outputPath,
+    steps: definition.steps,
+    source,
+    uri
+  };
+
+  if (!workflow.name || typeof workflow.name !== 'string') {
+    throw new Error('"name" is required');
+  }
+  for (const field of ['id', 'description', 'systemPrompt', 'prompt']) {
+    if (typeof workflow[field] !== 'string') {
+      throw new Error(`"${field}" must be a string`);
+    }
+  }
+  if (workflow.model !== undefined && typeof workflow.model !== 'string') {
+    throw new Error('"model" must be a string');
+  }
+  if (workflow.temperature !== undefined && (typeof workflow.temperature !== 'number' || workflow.temperature < 0 || workflow.temperature > 2)) {
+    throw new Error('"temperature" must be a number between 0 and 2');
+  }
+  if (typeof workflow.maxTokens !== 'number' || workflow.maxTokens <= 0) {
+    throw new Error('"maxTokens" must be a positive number');
+  }
+  if (typeof workflow.workspaceContext !== 'boolean') {
+    throw new Error('"workspaceContext" must be true or false');
+  }
+  if (!WORKFLOW_OUTPUT_TARGETS.includes(workflow.output)) {
+    throw new Error(`"output" must be one of: ${WORKFLOW_OUTPUT_TARGETS.join(', ')}`);
+  }
+  if (workflow.outputPath !== undefined && typeof workflow.outputPath !== 'string') {
+    throw new Error('"outputPath" must be a string');
+  }
+
+  // A workflow without steps is a single LLM call
+  if (workflow.steps === undefined) {
+    workflow.steps = [{ id: 'result', name: workflow.name, type: 'llm' }];
+  }
+  if (!Array.isArray(workflow.steps) || workflow.steps.length === 0) {
+    throw new Error('"steps" must be a non-empty list');
+  }
+  workflow.steps = workflow.steps.map((step, index) => {
+    try {
+      return normalizeWorkflowStep(step, index, workflow);
+    } catch (error) {
+      throw new Error(`step ${index + 1}: ${error.message}`);
+    }
+  });
+
+  const stepIds = workflow.steps.map(step => step.id);
+  const duplicate = stepIds.find((id, index) => stepIds.indexOf(id) !== index);
+  if (duplicate) {
+    throw new Error(`step ID "${duplicate}" is used more than once`);
+  }
+
+  return workflow;
+}
+
+/**
+ * Check a workflow step and fill in defaults from the workflow
+ * @param {object} definition - The step as written in the file
+ * @param {number} index - The position of the step
+ * @param {object} workflow - The workflow the step belongs to
+ * @returns {object} - The step
+ */
+function normalizeWorkflowStep(definition, index, workflow) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('a step must be an object');
+  }
+
+  const type = definition.type || 'llm';
+  if (!WORKFLOW_STEP_TYPES.includes(type)) {
+    throw new Error(`"type" must be one of: ${WORKFLOW_STEP_TYPES.join(', ')}`);
+  }
+
+  const step = {
+    id: definition.id || `step${index + 1}`,
+    name: definition.name || `Step ${index + 1}`,
+    type
+  };
+
+  if (type === 'llm') {
+    // Later steps work on the previous step's output unless they say otherwise
+    Object.assign(step, {
+      systemPrompt: definition.systemPrompt || workflow.systemPrompt,
+      prompt: definition.prompt || (index === 0 ? workflow.prompt : '{{previous}}'),
+      model: definition.model || workflow.model,
+      temperature: definition.temperature !== undefined ? definition.temperature : workflow.temperature,
+      maxTokens: definition.maxTokens || workflow.maxTokens,
+      workspaceContext: definition.workspaceContext !== undefined ? definition.workspaceContext : workflow.workspaceContext
+    });
+    if (typeof step.systemPrompt !== 'string' || typeof step.prompt !== 'string') {
+      throw new Error('"systemPrompt" and "prompt" must be strings');
+    }
+    if (typeof step.workspaceContext !== 'boolean') {
+      throw new Error('"workspaceContext" must be true or false');
+    }
+  } else if (type === 'shell') {
+    Object.assign(step, {
+      command: definition.command,
+      cwd: definition.cwd,
+      timeout: definition.timeout || 120
+    });
+    if (!step.command || typeof step.command !== 'string') {
+      throw new Error('shell steps need a "command"');
+    }
+    if (typeof step.timeout !== 'number' || step.timeout <= 0) {
+      throw new Error('"timeout" must be a positive number of seconds');
+    }
+  } else if (type === 'writeFile') {
+    Object.assign(step, {
+      path: definition.path,
+      content: definition.content !== undefined ? definition.content : '{{previous}}'
+    });
+    if (!step.path || typeof step.path !== 'string') {
+      throw new Error('writeFile steps need a "path"');
+    }
+    if (typeof step.content !== 'string') {
+      throw new Error('"content" must be a string');
+    }
+  }
+
+  return step;
+}
+
+/**
+ * All workflows the user can run: the built-in ones plus those defined in JSON or YAML files in
+ * `.sebguru/workflows` in each workspace folder and in the user workflows folder.
+ * Workspace workflows replace user workflows with the same ID, which replace built-in ones.
+ * The registry reloads when the files change.
+ */
+class WorkflowRegistry {
+  constructor() {
+    this.workflows = [];
+    // Files that could not be loaded, as { uri, message }
+    this.errors = [];
+    this._watchers = [];
+    this._reloadTimer = null;
+    this._onDidChange = new vscode.EventEmitter();
+    this.onDidChange = this._onDidChange.event;
+
+    this._disposables = [
+      vscode.workspace.onDidChangeWorkspaceFolders(() => this._watchAndReload()),
+      vscode.workspace.onDidChangeConfiguration(e => {
+        if (e.affectsConfiguration('sebguru-assistant.userWorkflowsFolder')) {
+          this._watchAndReload();
+        }
+      })
+    ];
+  }
+
+  /**
+   * Load the workflows and start watching the workflow folders
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this.workflows = BUILT_IN_WORKFLOWS.map(definition => normalizeWorkflow(definition, definition.id, 'built-in'));
+    await this._watchAndReload();
+  }
+
+  /**
+   * @returns {Array<object>} - The workflows, sorted by name
+   */
+  list() {
+    return [...this.workflows].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @param {string} id - The workflow ID
+   * @returns {object|undefined} - The workflow
+   */
+  get(id) {
+    return this.workflows.find(workflow => workflow.id === id);
+  }
+
+  /**
+   * The folders workflows are read from, most important first
+   * @returns {Array<{uri: vscode.Uri, source: string}>}
+   */
+  folders() {
+    const folders = (vscode.workspace.workspaceFolders || []).map(folder => ({
+      uri: vscode.Uri.joinPath(folder.uri, '.sebguru', 'workflows'),
+      source: 'workspace'
+    }));
+
+    const userFolder = vscode.workspace.getConfiguration('sebguru-assistant').get('userWorkflowsFolder')
+      || path.join(os.homedir(), '.sebguru', 'workflows');
+    folders.push({ uri: vscode.Uri.file(userFolder.replace(/^~(?=$|[\\/])/, os.homedir())), source: 'user' });
+
+    return folders;
+  }
+
+  /**
+   * Read all workflow files again
+   * @returns {Promise<void>}
+   */
+  async reload() {
+    const workflows = new Map();
+    const errors = [];
+
+    for (const folder of this.folders()) {
+      let entries;
+      try {
+        entries = await vscode.workspace.fs.readDirectory(folder.uri);
+      } catch (error) {
+        // The folder doesn't exist, which is fine
+        continue;
+      }
+
+      const files = entries
+        .filter(([name, type]) => type === vscode.FileType.File && /\.(json|ya?ml)$/i.test(name))
+        .map(([name]) => name)
+        .sort();
+
+      for (const name of files) {
+        const uri = vscode.Uri.joinPath(folder.uri, name);
+        try {
+          const text = new TextDecoder().decode(await vscode.workspace.fs.readFile(uri));
+          const parsed = /\.json$/i.test(name) ? JSON.parse(text) : yaml.load(text);
+          const definitions = Array.isArray(parsed) ? parsed : [parsed];
+          const fallbackId = name.replace(/\.(json|ya?ml)$/i, '');
+
+          definitions.forEach((definition, index) => {
+            const workflow = normalizeWorkflow(definition, definitions.length > 1 ? `${fallbackId}-${index + 1}` : fallbackId, folder.source, uri);
+            // Earlier folders win
+            if (!workflows.has(workflow.id)) {
+              workflows.set(workflow.id, workflow);
+            }
+          });
+        } catch (error) {
+          console.error(`Error loading workflow file ${uri.fsPath}:`, error);
+          errors.push({ uri, message: error.message });
+        }
+      }
+    }
+
+    for (const definition of BUILT_IN_WORKFLOWS) {
+      if (!workflows.has(definition.id)) {
+        workflows.set(definition.id, normalizeWorkflow(definition, definition.id, 'built-in'));
+      }
+    }
+
+    this.workflows = [...workflows.values()];
+    this.errors = errors;
+    this._onDidChange.fire();
+  }
+
+  dispose() {
+    clearTimeout(this._reloadTimer);
+    this._watchers.forEach(watcher => watcher.dispose());
+    this._disposables.forEach(disposable => disposable.dispose());
+    this._onDidChange.dispose();
+  }
+
+  async _watchAndReload() {
+    this._watchers.forEach(watcher => watcher.dispose());
+    this._watchers = this.folders().map(folder => {
+      const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder.uri, '*.{json,yaml,yml}'));
+      // Saving several files at once triggers several events, so reload once they settle
+      const scheduleReload = () => {
+        clearTimeout(this._reloadTimer);
+        this._reloadTimer = setTimeout(() => this.reload(), 200);
+      };
+      watcher.onDidCreate(scheduleReload);
+      watcher.onDidChange(scheduleReload);
+      watcher.onDidDelete(scheduleReload);
+      return watcher;
+    });
+
+    await this.reload();
+  }
+}
+
+/**
+ * Run a process and collect its output
+ * @param {string} command - The program to run, or with `options.shell` a whole command line
+ * @param {Array<string>} args - The program's arguments
+ * @param {object} options - `cwd`, `env` (variables added to the environment), `shell`, `timeoutMs`, `maxOutput` (characters kept of stdout and of stderr),
+ *   `onOutput` (called with each chunk of output as it arrives) and `signal` (an AbortSignal that kills the process)
+ * @returns {Promise<{exitCode: number|null, stdout: string, stderr: string, timedOut: boolean, truncated: boolean}>}
+ */
+function runProcess(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd: options.cwd,
+      env: options.env ? { ...process.env, ...options.env } : undefined,
+      shell: !!options.shell
+    });
+    const maxOutput = options.maxOutput || Infinity;
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let truncated = false;
+
+    const timer = options.timeoutMs ? setTimeout(() => {
+      timedOut = true;
+      child.kill();
+    }, options.timeoutMs) : null;
+
+    const onAbort = () => child.kill();
+    if (options.signal) {
+      options.signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    // Keep the start of each stream up to the limit, but let the process run on
+    const collect = (collected, data) => {
+      const text = data.toString();
+      if (options.onOutput) options.onOutput(text);
+      if (collected.length + text.length > maxOutput) {
+        truncated = true;
+        return collected + text.slice(0, Math.max(maxOutput - collected.length, 0));
+      }
+      return collected + text;
+    };
+
+    child.stdout.on('data', data => { stdout = collect(stdout, data); });
+    child.stderr.on('data', data => { stderr = collect(stderr, data); });
+    child.on('error', error => {
+      clearTimeout(timer);
+      if (options.signal) {
+        options.signal.removeEventListener('abort', onAbort);
+      }
+      if (error.code === 'ENOENT') {
+        reject(new Error(`"${command}" was not found. Make sure it is installed and on your PATH`));
+        return;
+      }
+      reject(error);
+    });
+    child.on('close', exitCode => {
+      clearTimeout(timer);
+      if (options.signal) {
+        options.signal.removeEventListener('abort', onAbort);
+        if (options.signal.aborted) {
+          reject(new axios.CanceledError());
+          return;
+        }
+      }
+      resolve({ exitCode, stdout, stderr, timedOut, truncated });
+    });
+  });
+}
+
+/**
+ * Run a shell command and collect its output
+ * @param {string} command - The command line, run through the shell
+ * @param {object} options - The same options as runProcess
+ * @returns {Promise<{exitCode: number|null, stdout: string, stderr: string, timedOut: boolean, truncated: boolean}>}
+ */
+function runShellCommand(command, options = {}) {
+  return runProcess(command, [], { ...options, shell: true });
+}
+
+/**
+ * Format a program and its arguments as a command line for display
+ * @param {string} program - The program
+ * @param {Array<string>} args - Its arguments
+ * @returns {string} - The command line, with arguments that contain spaces quoted
+ */
+function formatCommandLine(program, args) {
+  return [program, ...args].map(arg => /\s/.test(arg) ? `"${arg}"` : arg).join(' ');
+}
+
+/**
+ * Sandboxes code execution can run in, in the order the `auto` setting tries them, with the
+ * program each needs
+ */
+const SANDBOX_BACKENDS = {
+  bubblewrap: 'bwrap',
+  firejail: 'firejail',
+  docker: 'docker'
+};
+
+/**
+ * Docker images used for each language when the `execution.dockerImages` setting has none
+ */
+const DEFAULT_SANDBOX_IMAGES = {
+  javascript: 'node:20-slim',
+  javascriptreact: 'node:20-slim',
+  typescript: 'node:20-slim',
+  typescriptreact: 'node:20-slim',
+  python: 'python:3-slim',
+  ruby: 'ruby:3-slim',
+  shellscript: 'bash:5',
+  go: 'golang:1',
+  rust: 'rust:1',
+  java: 'eclipse-temurin:21',
+  php: 'php:8-cli',
+  c: 'gcc:14',
+  cpp: 'gcc:14'
+};
+
+/**
+ * Whether each sandbox works on this machine, checked once per session
+ */
+const sandboxAvailability = new Map();
+
+/**
+ * Check whether a sandbox can be used, by running a harmless command in it
+ * @param {string} backend - A SANDBOX_BACKENDS key
+ * @returns {Promise<boolean>}
+ */
+function isSandboxAvailable(backend) {
+  if (!sandboxAvailability.has(backend)) {
+    const probes = {
+      bubblewrap: ['--ro-bind', '/', '/', '--unshare-all', 'true'],
+      firejail: ['--version'],
+      // Fails when the Docker daemon isn't running
+      docker: ['version', '--format', '{{.Server.Version}}']
+    };
+    sandboxAvailability.set(backend, runProcess(SANDBOX_BACKENDS[backend], probes[backend], { timeoutMs: 10000 })
+      .then(result => result.exitCode === 0, () => false));
+  }
+  return sandboxAvailability.get(backend);
+}
+
+/**
+ * Find the sandbox the `execution.sandbox` setting asks for
+ * @returns {Promise<string|null>} - The SANDBOX_BACKENDS key, or null to run without a sandbox
+ * @throws {Error} - If the setting names a sandbox that isn't available
+ */
+async function resolveSandbox() {
+  const setting = vscode.workspace.getConfiguration('sebguru-assistant').get('execution.sandbox') || 'off';
+  if (setting === 'off') {
+    return null;
+  }
+
+  if (setting === 'auto') {
+    for (const backend of Object.keys(SANDBOX_BACKENDS)) {
+      if (await isSandboxAvailable(backend)) {
+        return backend;
+      }
+    }
+    return null;
+  }
+
+  if (!SANDBOX_BACKENDS[setting]) {
+    throw new Error(`Unknown sandbox "${setting}" in the execution.sandbox setting`);
+  }
+  if (!await isSandboxAvailable(setting)) {
+    throw new Error(`The ${setting} sandbox is not available. Install ${SANDBOX_BACKENDS[setting]} or change the execution.sandbox setting`);
+  }
+  return setting;
+}
+
+/**
+ * Wrap a program so it runs in a sandbox without network access, with the file system read-only
+ * except for a scratch directory, and with limits on memory and CPU. Bubblewrap and firejail limit
+ * the memory and CPU time with ulimit; Docker limits the memory and the number of CPUs.
+ * @param {string} backend - A SANDBOX_BACKENDS key
+ * @param {string} program - The program to run
+ * @param {Array<string>} args - Its arguments
+ * @param {object} sandbox - `workspaceRoot`, `cwd`, `scratchDir` (the only writable directory), `env`,
+ *   `memoryMb`, `cpus`, `cpuSeconds` and, for Docker, `image` and `runDir` (the run's code, mounted read-only)
+ * @returns {{program: string, args: Array<string>}} - The command that runs the program in the sandbox
+ */
+function sandboxCommand(backend, program, args, sandbox) {
+  const env = { ...sandbox.env, TMPDIR: sandbox.scratchDir, HOME: sandbox.scratchDir };
+  const limited = ['sh', '-c', `ulimit -d ${sandbox.memoryMb * 1024} && ulimit -t ${sandbox.cpuSeconds} && exec "$@"`, 'sh', program, ...args];
+
+  switch (backend) {
+    case 'bubblewrap':
+      return {
+        program: 'bwrap',
+        args: [
+          '--ro-bind', '/', '/',
+          '--dev', '/dev',
+          '--proc', '/proc',
+          '--bind', sandbox.scratchDir, sandbox.scratchDir,
+          '--unshare-all',
+          '--die-with-parent',
+          '--chdir', sandbox.cwd,
+          ...Object.entries(env).flatMap(([name, value]) => ['--setenv', name, value]),
+          '--',
+          ...limited
+        ]
+      };
+    case 'firejail':
+      return {
+        program: 'firejail',
+        args: [
+          '--quiet',
+          '--noprofile',
+          '--net=none',
+          '--read-only=/',
+          `--read-write=${sandbox.scratchDir}`,
+          ...Object.entries(env).map(([name, value]) => `--env=${name}=${value}`),
+          ...limited
+        ]
+      };
+    case 'docker': {
+      const mounts = [`${sandbox.workspaceRoot}:${sandbox.workspaceRoot}:ro`, `${sandbox.scratchDir}:${sandbox.scratchDir}`];
+      for (const directory of new Set([sandbox.cwd, sandbox.runDir])) {
+        const relative = directory ? path.relative(sandbox.workspaceRoot, directory) : '';
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+          mounts.push(`${directory}:${directory}:ro`);
+        }
+      }
+      // Run as the current user, so files in the scratch directory can be cleaned up
+      const user = typeof process.getuid === 'function' ? ['--user', `${process.getuid()}:${process.getgid()}`] : [];
+      return {
+        program: 'docker',
+        args: [
+          'run', '--rm', '--init',
+          '--network', 'none',
+          '--read-only',
+          '--memory', `${sandbox.memoryMb}m`,
+          '--cpus', String(sandbox.cpus),
+          '--pids-limit', '256',
+          ...user,
+          ...mounts.flatMap(mount => ['-v', mount]),
+          ...Object.entries(env).flatMap(([name, value]) => ['-e', `${name}=${value}`]),
+          '-w', sandbox.cwd,
+          sandbox.image,
+          program,
+          ...args
+        ]
+      };
+    }
+    default:
+      throw new Error(`Unknown sandbox: ${backend}`);
+  }
+}
+
+/**
+ * When runs need the user's approval, unless the `execution.requireApproval` setting says otherwise:
+ * `always`, `unsandboxed` (only when no sandbox is used) or `never`
+ */
+const DEFAULT_APPROVAL_POLICIES = {
+  executeCode: 'unsandboxed',
+  testCode: 'always'
+};
+
+/**
+ * Lines of each code file shown when asking to approve a run
+ */
+const APPROVAL_EXCERPT_LINES = 40;
+
+/**
+ * Create an empty directory for a run's temporary files
+ * @returns {Promise<string>} - Its path
+ */
+async function createScratchDirectory() {
+  const scratchDir = path.join(os.tmpdir(), `sebguru-run-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+  await vscode.workspace.fs.createDirectory(vscode.Uri.file(scratchDir));
+  return scratchDir;
+}
+
+/**
+ * Run code for Execute Code or Test Code. The code runs in the sandbox if one is configured, and the
+ * user is shown exactly what will run and asked to approve it when the `execution.requireApproval`
+ * setting says so. Without a sandbox, code only runs in a trusted workspace.
+ * @param {string} kind - Which setting in `execution.requireApproval` applies: `executeCode` or `testCode`
+ * @param {Array<{program: string, args: Array<string>}>} commands - The commands to run one after the other,
+ *   such as a compiler and the program it builds; they are approved together
+ * @param {object} options - runProcess options, plus `title` for the approval dialog, `language` (picks the
+ *   Docker image), `files` (the `name` and `content` of the code files the dialog shows), `scratchDir` (a writable
+ *   directory for the run), `runDir` (the run directory with its code, see createRunDirectory) and `approval` (an object shared between runs; "Run All" sets its `granted` so later
+ *   runs don't ask)
+ * @returns {Promise<object>} - The runProcess result of the last command, or of the first one that failed,
+ *   with the `command` line that ran and the `sandbox` used
+ * @throws {axios.CanceledError} - If the user doesn't approve the run
+ */
+async function runApprovedProcess(kind, commands, options) {
+  const config = vscode.workspace.getConfiguration('sebguru-assistant');
+  const backend = await resolveSandbox();
+  if (!backend && !vscode.workspace.isTrusted) {
+    throw new Error('Code only runs outside a sandbox in a trusted workspace. Trust the workspace or turn on the execution.sandbox setting');
+  }
+
+  let wrapped = commands;
+  if (backend) {
+    const workspaceFolder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+    const images = { ...DEFAULT_SANDBOX_IMAGES, ...config.get('execution.dockerImages') };
+    if (backend === 'docker' && !images[options.language]) {
+      throw new Error(`No Docker image is set for ${options.language} in the execution.dockerImages setting`);
+    }
+    const sandbox = {
+      workspaceRoot: workspaceFolder ? workspaceFolder.uri.fsPath : options.cwd,
+      cwd: options.cwd,
+      scratchDir: options.scratchDir,
+      runDir: options.runDir,
+      env: options.env,
+      memoryMb: config.get('execution.sandboxMemoryMb') || 512,
+      cpus: config.get('execution.sandboxCpus') || 1,
+      cpuSeconds: Math.ceil((options.timeoutMs || 60000) / 1000),
+      image: images[options.language]
+    };
+    wrapped = commands.map(command => sandboxCommand(backend, command.program, command.args, sandbox));
+  }
+  const commandLines = wrapped.map(command => formatCommandLine(command.program, command.args));
+  const channel = getExecutionOutputChannel();
+
+  const policy = { ...DEFAULT_APPROVAL_POLICIES, ...config.get('execution.requireApproval') }[kind];
+  const approval = options.approval || {};
+  if (!approval.granted && (policy === 'always' || (policy === 'unsandboxed' && !backend))) {
+    const where = backend ? `in the ${backend} sandbox` : 'without a sandbox, with your permissions';
+    const excerpts = (options.files || []).map(file => {
+      const lines = file.content.split('\n');
+      const more = lines.length > APPROVAL_EXCERPT_LINES ? `\n... ${lines.length - APPROVAL_EXCERPT_LINES} more lines` : '';
+      return `\n\n${file.name}:\n${lines.slice(0, APPROVAL_EXCERPT_LINES).join('\n')}${more}`;
+    }).join('');
+
+    const choice = await vscode.window.showWarningMessage(
+      `${options.title}?`,
+      { modal: true, detail: `This runs ${where}:\n\n${commandLines.join('\n')}\n\nin ${options.cwd}${excerpts}` },
+      'Run',
+      ...(options.approval ? ['Run All'] : [])
+    );
+    if (!choice) {
+      throw new axios.CanceledError();
+    }
+    approval.granted = choice === 'Run All';
+  }
+
+  channel.show(true);
+  let result;
+  for (let index = 0; index < wrapped.length; index++) {
+    channel.appendLine(`[${new Date().toLocaleTimeString()}] ${commandLines[index]}`);
+
+    // Sandboxes get the environment variables on their command line
+    result = await runProcess(wrapped[index].program, wrapped[index].args, { ...options, env: backend ? undefined : options.env });
+    result = { command: commandLines[index], sandbox: backend, ...result };
+    if (result.exitCode !== 0 || result.timedOut) {
+      break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Runs workflows step by step and keeps the latest run of each workflow, so its progress can be
+ * shown and a failed step can be retried without running the steps before it again.
+ */
+class WorkflowRunner {
+  /**
+   * @param {LLMClient} client - The LLM client
+   * @param {WorkspaceIndex} workspaceIndex - Searched for context for LLM steps with `workspaceContext`
+   */
+  constructor(client, workspaceIndex) {
+    this.client = client;
+    this.workspaceIndex = workspaceIndex;
+    // Latest run per workflow ID
+    this.runs = new Map();
+    this._onDidChange = new vscode.EventEmitter();
+    this.onDidChange = this._onDidChange.event;
+  }
+
+  /**
+   * Run a workflow on the active editor
+   * @param {object} workflow - The workflow from the registry
+   * @returns {Promise<void>}
+   */
+  async run(workflow) {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+      vscode.window.showInformationMessage('No active editor');
+      return;
+    }
+
+    const existing = this.runs.get(workflow.id);
+    if (existing && existing.status === 'running') {
+      vscode.window.showInformationMessage(`${workflow.name} is already running`);
+      return;
+    }
+
+    const document = editor.document;
+    const selectedText = document.getText(editor.selection);
+
+    // Workflows that work on the selection need one
+    const templates = workflow.steps.map(step => [step.prompt, step.command, step.content].join('\n')).join('\n');
+    if (/\{\{\s*selection\s*\}\}/.test(templates) && !selectedText) {
+      vscode.window.showInformationMessage('No text selected');
+      return;
+    }
+
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+    const run = {
+      workflow,
+      status: 'running',
+      abortController: null,
+      approvedAllCommands: false,
+      // Shell commands run relative to the document's workspace folder
+      baseDir: workspaceFolder ? workspaceFolder.uri.fsPath : path.dirname(document.uri.fsPath),
+      // Where the result goes for the targets that edit the document
+      source: {
+        uri: document.uri,
+        languageId: document.languageId,
+        selection: editor.selection,
+        version: document.version
+      },
+      variables: {
+        name: workflow.name,
+        selection: selectedText,
+        file: vscode.workspace.asRelativePath(document.uri),
+        fileContent: document.getText(),
+        language: document.languageId,
+        previous: selectedText
+      },
+      steps: workflow.steps.map(step => ({ step, status: 'pending', output: '', error: null }))
+    };
+
+    this.runs.set(workflow.id, run);
+    await this._execute(run, 0);
+  }
+
+  /**
+   * Run a workflow again from its first failed or cancelled step, keeping earlier outputs
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<void>}
+   */
+  async retry(workflowId) {
+    const run = this.runs.get(workflowId);
+    if (!run || run.status === 'running') {
+      return;
+    }
+
+    const index = run.steps.findIndex(stepRun => stepRun.status !== 'done');
+    if (index === -1) {
+      return;
+    }
+
+    run.status = 'running';
+    await this._execute(run, index);
+  }
+
+  /**
+   * Stop a running workflow
+   * @param {string} workflowId - The workflow ID
+   */
+  cancel(workflowId) {
+    const run = this.runs.get(workflowId);
+    if (run && run.abortController) {
+      run.abortController.abort();
+    }
+  }
+
+  /**
+   * Open the output of a finished step in an editor
+   * @param {string} workflowId - The workflow ID
+   * @param {number} index - The step index
+   * @returns {Promise<void>}
+   */
+  async showStepOutput(workflowId, index) {
+    const run = this.runs.get(workflowId);
+    const stepRun = run && run.steps[index];
+    if (!stepRun) {
+      return;
+    }
+
+    const document = await vscode.workspace.openTextDocument({
+      content: stepRun.error ? `${stepRun.error}\n\n${stepRun.output}`.trim() : stepRun.output,
+      language: stepRun.step.type === 'llm' ? 'markdown' : 'plaintext'
+    });
+    await vscode.window.showTextDocument(document, { viewColumn: vscode.ViewColumn.Beside });
+  }
+
+  dispose() {
+    this.runs.forEach(run => run.abortController && run.abortController.abort());
+    this._onDidChange.dispose();
+  }
+
+  async _execute(run, startIndex) {
+    const workflow = run.workflow;
+    const stepCount = run.steps.length;
+    run.abortController = new AbortController();
+    this._onDidChange.fire();
+
+    try {
+      await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Running ${workflow.name}`,
+        cancellable: true
+      }, async (progress, token) => {
+        token.onCancellationRequested(() => run.abortController.abort());
+
+        for (let index = startIndex; index < stepCount; index++) {
+          const stepRun = run.steps[index];
+          stepRun.status = 'running';
+          stepRun.output = '';
+          stepRun.error = null;
+          this._onDidChange.fire();
+
+          progress.report({
+            message: stepCount > 1 ? `Step ${index + 1}/${stepCount}: ${stepRun.step.name}` : undefined,
+            increment: index === startIndex ? (100 * startIndex) / stepCount : 100 / stepCount
+          });
+
+          try {
+            stepRun.output = await this._runStep(run, stepRun, run.abortController.signal);
+            stepRun.status = 'done';
+          } catch (error) {
+            stepRun.status = axios.isCancel(error) ? 'cancelled' : 'failed';
+            stepRun.error = error.message;
+            throw error;
+          } finally {
+            this._onDidChange.fire();
+          }
+
+          // Later steps can use this step's output
+          run.variables.previous = stepRun.output;
+          run.variables[`steps.${stepRun.step.id}`] = stepRun.output;
+        }
+      });
+
+      run.status = 'done';
+      await this._showResult(run);
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        run.status = 'cancelled';
+        return;
+      }
+
+      run.status = 'failed';
+      const failedStep = run.steps.find(stepRun => stepRun.status === 'failed');
+      const stepName = failedStep && stepCount > 1 ? ` at step "${failedStep.step.name}"` : '';
+      vscode.window.showErrorMessage(`Error running workflow${stepName}: ${error.message}`, 'Retry').then(choice => {
+        if (choice === 'Retry') {
+          this.retry(workflow.id);
+        }
+      });
+    } finally {
+      run.abortController = null;
+      this._onDidChange.fire();
+    }
+  }
+
+  async _runStep(run, stepRun, signal) {
+    const step = stepRun.step;
+    const variables = run.variables;
+
+    if (step.type === 'llm') {
+      const prompt = renderTemplate(step.prompt, variables);
+      let systemPrompt = renderTemplate(step.systemPrompt, variables);
+      if (step.workspaceContext) {
+        const workspaceContext = formatWorkspaceContext(await this.workspaceIndex.retrieve(prompt, { signal }));
+        if (workspaceContext) {
+          systemPrompt += `\n\n${workspaceContext}`;
+        }
+      }
+
+      return this.client.makeRequest(prompt, {
+        systemPrompt,
+        model: step.model,
+        temperature: step.temperature,
+        maxTokens: step.maxTokens,
+        signal
+      });
+    }
+
+    if (step.type === 'shell') {
+      if (!vscode.workspace.isTrusted) {
+        throw new Error('Shell steps only run in a trusted workspace');
+      }
+
+      const command = renderTemplate(step.command, variables);
+      if (!run.approvedAllCommands) {
+        const choice = await vscode.window.showWarningMessage(
+          `Workflow "${run.workflow.name}" wants to run:\n\n${command}`,
+          { modal: true },
+          'Run',
+          'Run All Steps'
+        );
+        if (!choice) {
+          throw new axios.CanceledError();
+        }
+        run.approvedAllCommands = choice === 'Run All Steps';
+      }
+
+      const cwd = step.cwd ? path.resolve(run.baseDir, renderTemplate(step.cwd, variables)) : run.baseDir;
+      const result = await runShellCommand(command, { cwd, timeoutMs: step.timeout * 1000, signal });
+      const output = [result.stdout, result.stderr].filter(Boolean).join('\n').trim();
+
+      if (result.timedOut) {
+        stepRun.output = output;
+        throw new Error(`Command timed out after ${step.timeout} seconds`);
+      }
+      if (result.exitCode !== 0) {
+        stepRun.output = output;
+        throw new Error(`Command exited with code ${result.exitCode}`);
+      }
+      return output;
+    }
+
+    // writeFile
+    if (!vscode.workspace.isTrusted) {
+      throw new Error('writeFile steps only run in a trusted workspace');
+    }
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(run.source.uri);
+    if (!workspaceFolder) {
+      throw new Error('writeFile steps need the file to be in a workspace folder');
+    }
+
+    // The path comes from the workflow file and the model's output, so keep it inside the workspace folder
+    const relativePath = renderTemplate(step.path, variables);
+    const filePath = path.resolve(workspaceFolder.uri.fsPath, relativePath);
+    const relative = path.relative(workspaceFolder.uri.fsPath, filePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`${relativePath} is outside the workspace folder`);
+    }
+
+    const fileUri = vscode.Uri.file(filePath);
+    if (await pathExists(filePath)) {
+      const choice = await vscode.window.showWarningMessage(
+        `Workflow "${run.workflow.name}" wants to overwrite ${vscode.workspace.asRelativePath(fileUri)}.`,
+        { modal: true },
+        'Overwrite'
+      );
+      if (choice !== 'Overwrite') {
+        throw new axios.CanceledError();
+      }
+    }
+
+    await vscode.workspace.fs.createDirectory(vscode.Uri.file(path.dirname(filePath)));
+    await vscode.workspace.fs.writeFile(fileUri, new TextEncoder().encode(renderTemplate(step.content, variables)));
+    return vscode.workspace.asRelativePath(fileUri, false);
+  }
+
+  /**
+   * Deliver the result of a finished run to the workflow's output target
+   * @param {object} run - The run
+   */
+  async _showResult(run) {
+    const lastStep = run.steps[run.steps.length - 1];
+
+    if (lastStep.step.type === 'writeFile') {
+      // The result is the file that was written
+      const workspaceFolder = vscode.workspace.getWorkspaceFolder(run.source.uri);
+      const document = await vscode.workspace.openTextDocument(path.resolve(workspaceFolder.uri.fsPath, lastStep.output));
+      await vscode.window.showTextDocument(document, { viewColumn: vscode.ViewColumn.Beside });
+      return;
+    }
+
+    const target = run.workflow.output;
+    if (target === 'document') {
+      await this._showDocument(lastStep.output, lastStep.step.type === 'llm' ? 'markdown' : 'plaintext');
+      return;
+    }
+
+    const source = run.source;
+    const code = extractCodeBlock(lastStep.output, source.languageId);
+
+    if (target === 'newFile') {
+      await this._writeNewFile(run, code);
+      return;
+    }
+
+    // The other targets edit the document the workflow ran on, so it must not have changed since
+    const document = await vscode.workspace.openTextDocument(source.uri);
+    if (document.version !== source.version) {
+      vscode.window.showWarningMessage(`${vscode.workspace.asRelativePath(source.uri)} changed while the workflow ran, so the result is shown in a new editor instead.`);
+      await this._showDocument(lastStep.output, 'markdown');
+      return;
+    }
+
+    const range = source.selection;
+    const edit = new vscode.WorkspaceEdit();
+
+    if (target === 'replaceSelection') {
+      edit.replace(source.uri, range, code);
+    } else if (target === 'insertAbove' || target === 'insertBelow') {
+      // Match the indentation of the code the result is placed next to. A selection of whole lines
+      // ends at the start of the next line, which isn't part of it.
+      const lastLine = range.end.character === 0 && !range.isEmpty ? range.end.line - 1 : range.end.line;
+      const line = document.lineAt(target === 'insertAbove' ? range.start.line : lastLine);
+      const indentation = line.text.slice(0, line.firstNonWhitespaceCharacterIndex);
+      const indented = code.split('\n').map(codeLine => codeLine ? indentation + codeLine : codeLine).join('\n');
+
+      if (target === 'insertAbove') {
+        edit.insert(source.uri, line.range.start, indented + '\n');
+      } else {
+        edit.insert(source.uri, line.range.end, '\n' + indented);
+      }
+    } else if (target === 'diff') {
+      // Review the whole file with the selection (or, without one, the file) replaced
+      const text = document.getText();
+      const proposed = range.isEmpty
+        ? code
+        : text.slice(0, document.offsetAt(range.start)) + code + text.slice(document.offsetAt(range.end));
+
+      const accepted = await reviewProposedChange(source.uri, proposed, `${path.basename(source.uri.fsPath)} ↔ ${run.workflow.name}`);
+      if (accepted === undefined) {
+        return;
+      }
+      if (document.version !== source.version) {
+        vscode.window.showWarningMessage(`${vscode.workspace.asRelativePath(source.uri)} changed during the review, so the changes were not applied.`);
+        return;
+      }
+      edit.replace(source.uri, new vscode.Range(document.positionAt(0), document.positionAt(text.length)), accepted);
+    }
+
+    if (!await vscode.workspace.applyEdit(edit)) {
+      throw new Error(`Could not apply the result to ${vscode.workspace.asRelativePath(source.uri)}`);
+    }
+  }
+
+  /**
+   * Write a result to the workflow's output path next to the source file, reviewing it in a diff
+   * if the file already exists
+   * @param {object} run - The run
+   * @param {string} code - The code to write
+   */
+  async _writeNewFile(run, code) {
+    const source = run.source;
+    if (!vscode.workspace.isTrusted) {
+      throw new Error('newFile outputs are only written in a trusted workspace');
+    }
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(source.uri);
+    if (!workspaceFolder) {
+      throw new Error('newFile outputs need the file to be in a workspace folder');
+    }
+
+    const fileName = path.basename(source.uri.fsPath);
+    const extension = path.extname(fileName);
+    const outputPath = renderTemplate(run.workflow.outputPath || siblingTestFileName(fileName, source.languageId), {
+      ...run.variables,
+      fileDir: path.dirname(source.uri.fsPath),
+      fileBaseName: path.basename(fileName, extension),
+      fileExt: extension
+    });
+    // The output path comes from the workflow file, so keep it inside the workspace folder
+    const filePath = path.resolve(path.dirname(source.uri.fsPath), outputPath);
+    const relative = path.relative(workspaceFolder.uri.fsPath, filePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`${outputPath} is outside the workspace folder`);
+    }
+    const fileUri = vscode.Uri.file(filePath);
+
+    let exists = true;
+    try {
+      await vscode.workspace.fs.stat(fileUri);
+    } catch (error) {
+      exists = false;
+    }
+
+    if (exists) {
+      // Don't overwrite an existing file without a review
+      const accepted = await reviewProposedChange(fileUri, code, `${path.basename(fileUri.fsPath)} ↔ ${run.workflow.name}`);
+      if (accepted !== undefined) {
+        const document = await replaceDocumentContent(fileUri, accepted);
+        await vscode.window.showTextDocument(document, { viewColumn: vscode.ViewColumn.Beside });
+      }
+      return;
+    }
+
+    await vscode.workspace.fs.createDirectory(vscode.Uri.file(path.dirname(fileUri.fsPath)));
+    await vscode.workspace.fs.writeFile(fileUri, new TextEncoder().encode(code + '\n'));
+    const document = await vscode.workspace.openTextDocument(fileUri);
+    await vscode.window.showTextDocument(document, { viewColumn: vscode.ViewColumn.Beside });
+  }
+
+  async _showDocument(content, language) {
+    // Show results in a new editor
+    const resultDocument = await vscode.workspace.openTextDocument({ content, language });
+    await vscode.window.showTextDocument(resultDocument, { viewColumn: vscode.ViewColumn.Beside });
+  }
+}
+
+/**
+ * Workflows view provider for the AI agentic workflows
+ */
+class AIWorkflowsViewProvider {
+  /**
+   * @param {LLMClient} client - The LLM client
+   * @param {vscode.ExtensionContext} extensionContext - The extension context
+   * @param {WorkflowRegistry} registry - The workflows to show
+   * @param {WorkflowRunner} runner - Runs the workflows and tracks their progress
+   */
+  constructor(client, extensionContext, registry, runner) {
+    this.client = client;
+    this.extensionContext = extensionContext;
+    this.registry = registry;
+    this.runner = runner;
+    this._view = null;
+
+    registry.onDidChange(() => this._updateWebview());
+    runner.onDidChange(() => this._updateWebview());
+  }
+
+  resolveWebviewView(webviewView) {
+    this._view = webviewView;
+    webviewView.webview.options = {
+      enableScripts: true,
+      localResourceRoots: []
+    };
+
+    this._updateWebview();
+
+    webviewView.webview.onDidReceiveMessage(async (data) => {
+      if (data.type === 'runWorkflow') {
+        const workflow = this.registry.get(data.workflowId);
+
+        if (!workflow) {
+          vscode.window.showErrorMessage(`Workflow ${data.workflowId} not found`);
+          return;
+        }
+
+        await this.runner.run(workflow);
+      } else if (data.type === 'retryWorkflow') {
+        await this.runner.retry(data.workflowId);
+      } else if (data.type === 'cancelWorkflow') {
+        this.runner.cancel(data.workflowId);
+      } else if (data.type === 'showStepOutput') {
+        await this.runner.showStepOutput(data.workflowId, data.stepIndex);
+      } else if (data.type === 'openWorkflowFile') {
+        await vscode.window.showTextDocument(vscode.Uri.parse(data.uri));
+      }
+    });
+  }
+
+  _updateWebview() {
+    if (!this._view) {
+      return;
+    }
+
+    this._view.webview.html = this._getHtmlForWebview();
+  }
+
+  _getRunHtml(workflow) {
+    const run = this.runner.runs.get(workflow.id);
+    if (!run) {
+      return '';
+    }
+
+    const icons = { pending: '○', running: '⟳', done: '✓', failed: '✗', cancelled: '⊘' };
+    const stepsHtml = run.steps.map((stepRun, index) => `
+      <li class="step step-${stepRun.status}" title="${escapeHtml(stepRun.error || stepRun.status)}">
+        <span class="step-icon">${icons[stepRun.status]}</span>
+        ${stepRun.status === 'done' || stepRun.error
+          ? `<a href="#" class="step-output-link" data-workflow-id="${escapeHtml(workflow.id)}" data-step-index="${index}">${escapeHtml(stepRun.step.name)}</a>`
+          : escapeHtml(stepRun.step.name)}
+        ${stepRun.error ? `<div class="step-error">${escapeHtml(stepRun.error)}</div>` : ''}
+      </li>
+    `).join('');
+
+    return `
+      <ol class="workflow-steps">${stepsHtml}</ol>
+      <div class="workflow-actions">
+        ${run.status === 'running' ? `<button class="cancel-workflow-button" data-workflow-id="${escapeHtml(workflow.id)}">Cancel</button>` : ''}
+        ${run.status === 'failed' || run.status === 'cancelled' ? `<button class="retry-workflow-button" data-workflow-id="${escapeHtml(workflow.id)}">Retry Step</button>` : ''}
+      </div>
+    `;
+  }
+
+  _getHtmlForWebview() {
+    const workflowsHtml = this.registry.list().map(workflow => {
+      return `
+        <div class="workflow-item" data-workflow-id="${escapeHtml(workflow.id)}">
+          <div class="workflow-header">
+            <h3>${escapeHtml(workflow.name)}</h3>
+            <span class="workflow-source">${workflow.source}</span>
+          </div>
+          <div class="workflow-description">
+            ${escapeHtml(workflow.description)}
+          </div>
+          <div class="workflow-actions">
+            ${workflow.uri ? `<button class="open-workflow-button" data-uri="${escapeHtml(workflow.uri.toString())}">Edit</button>` : ''}
+            <button class="run-workflow-button" data-workflow-id="${escapeHtml(workflow.id)}">Run</button>
+          </div>
+          ${this._getRunHtml(workflow)}
+        </div>
+      `;
+    }).join('');
+
+    // Broken workflow files are listed so they can be fixed
+    const errorsHtml = this.registry.errors.map(error => `
+      <div class="workflow-error">
+        <a href="#" class="open-workflow-link" data-uri="${escapeHtml(error.uri.toString())}">${escapeHtml(vscode.workspace.asRelativePath(error.uri))}</a>:
+        ${escapeHtml(error.message)}
+      </div>
+    `).join('');
+
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>AI Workflows</title>
+        <style>
+          body {
+            font-family: var(--vscode-font-family);
+            font-size: var(--vscode-font-size);
+            color: var(--vscode-foreground);
+            padding: 10px;
+            margin: 0;
+          }
+          .workflows-container {
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+          }
+          .workflow-item {
+            border: 1px solid var(--vscode-panel-border);
+            border-radius: 4px;
+            padding: 10px;
+            background-color: var(--vscode-editor-background);
+          }
+          .workflow-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: baseline;
+            margin-bottom: 5px;
+          }
+          .workflow-source {
+            font-size: 11px;
+            color: var(--vscode-descriptionForeground);
+          }
+          .workflow-error {
+            font-size: 12px;
+            margin-bottom: 10px;
+            color: var(--vscode-errorForeground);
+          }
+          .workflow-header h3 {
+            margin: 0;
+            font-size: 14px;
+          }
+          .workflow-description {
+            font-size: 12px;
+            margin-bottom: 10px;
+            color: var(--vscode-descriptionForeground);
+          }
+          .workflow-actions {
+            display: flex;
+            justify-content: flex-end;
+            gap: 4px;
+          }
+          .workflow-steps {
+            margin: 8px 0 0 0;
+            padding-left: 0;
+            list-style: none;
+            font-size: 12px;
+          }
+          .step {
+            margin-bottom: 2px;
+          }
+          .step-icon {
+            display: inline-block;
+            width: 14px;
+          }
+          .step-pending {
+            color: var(--vscode-descriptionForeground);
+          }
+          .step-done .step-icon {
+            color: var(--vscode-testing-iconPassed);
+          }
+          .step-failed .step-icon, .step-error {
+            color: var(--vscode-errorForeground);
+          }
+          .step-error {
+            margin-left: 14px;
+          }
+          .open-workflow-button, .cancel-workflow-button, .retry-workflow-button {
+            background-color: var(--vscode-button-secondaryBackground);
+            color: var(--vscode-button-secondaryForeground);
+            border: none;
+            padding: 4px 8px;
+            border-radius: 2px;
+            cursor: pointer;
+            font-size: 12px;
+          }
+          .run-workflow-button {
+            background-color: var(--vscode-button-background);
+            color: var(--vscode-button-foreground);
+            border: none;
+            padding: 4px 8px;
+            border-radius: 2px;
+            cursor: pointer;
+            font-size: 12px;
+          }
+          .run-workflow-button:hover {
+            background-color: var(--vscode-button-hoverBackground);
+          }
+          .section-title {
+            font-size: 14px;
+            font-weight: bold;
+            margin-bottom: 10px;
+            border-bottom: 1px solid var(--vscode-panel-border);
+            padding-bottom: 5px;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="section-title">Available Workflows</div>
+        ${errorsHtml}
+        <div class="workflows-container">
+          ${workflowsHtml}
+        </div>
+
+        <script>
+          const vscode = acquireVsCodeApi();
+
+          // Add event listeners to run workflow buttons
+          document.querySelectorAll('.run-workflow-button').forEach(button => {
+            button.addEventListener('click', () => {
+              const workflowId = button.getAttribute('data-workflow-id');
+              vscode.postMessage({
+                type: 'runWorkflow',
+                workflowId: workflowId
+              });
+            });
+          });
+
+          document.querySelectorAll('.retry-workflow-button, .cancel-workflow-button').forEach(button => {
+            button.addEventListener('click', () => {
+              vscode.postMessage({
+                type: button.classList.contains('retry-workflow-button') ? 'retryWorkflow' : 'cancelWorkflow',
+                workflowId: button.getAttribute('data-workflow-id')
+              });
+            });
+          });
+
+          // Show what a step produced
+          document.querySelectorAll('.step-output-link').forEach(link => {
+            link.addEventListener('click', (event) => {
+              event.preventDefault();
+              vscode.postMessage({
+                type: 'showStepOutput',
+                workflowId: link.getAttribute('data-workflow-id'),
+                stepIndex: Number(link.getAttribute('data-step-index'))
+              });
+            });
+          });
+
+          // Open workflow files for editing
+          document.querySelectorAll('.open-workflow-button, .open-workflow-link').forEach(element => {
+            element.addEventListener('click', (event) => {
+              event.preventDefault();
+              vscode.postMessage({
+                type: 'openWorkflowFile',
+                uri: element.getAttribute('data-uri')
+              });
+            });
+          });
+        </script>
+      </body>
+      </html>
+    `;
+  }
+}
+
+/**
+ * Fill-in-the-middle prompt formats, keyed by the `inlineCompletion.fimFormat` setting
+ */
+const FIM_FORMATS = {
+  deepseek: {
+    prefix: '<｜fim▁begin｜>',
+    suffix: '<｜fim▁hole｜>',
+    middle: '<｜fim▁end｜>',
+    stop: ['<｜end▁of▁sentence｜>', '<｜fim▁begin｜>', '<｜fim▁hole｜>', '<｜fim▁end｜>', '<|EOT|>']
+  },
+  codellama: {
+    prefix: '<PRE> ',
+    suffix: ' <SUF>',
+    middle: ' <MID>',
+    stop: ['<EOT>', '<PRE>', '<SUF>', '<MID>']
+  },
+  starcoder: {
+    prefix: '<fim_prefix>',
+    suffix: '<fim_suffix>',
+    middle: '<fim_middle>',
+    stop: ['<|endoftext|>', '<fim_prefix>', '<fim_suffix>', '<fim_middle>', '<file_sep>']
+  },
+  qwen: {
+    prefix: '<|fim_prefix|>',
+    suffix: '<|fim_suffix|>',
+    middle: '<|fim_middle|>',
+    stop: ['<|endoftext|>', '<|fim_prefix|>', '<|fim_suffix|>', '<|fim_middle|>', '<|fim_pad|>', '<|file_sep|>', '<|repo_name|>']
+  }
+};
+
+/**
+ * Pick the fill-in-the-middle format for a model from its name
+ * @param {string} model - The model name
+ * @returns {string} - A key of FIM_FORMATS, or 'none' for models without FIM support
+ */
+function detectFimFormat(model) {
+  const name = (model || '').toLowerCase();
+  if (name.includes('deepseek') && name.includes('coder')) return 'deepseek';
+  if (name.includes('codellama') || name.includes('code-llama')) return 'codellama';
+  if (name.includes('qwen') && name.includes('coder')) return 'qwen';
+  if (name.includes('codegemma')) return 'qwen';
+  if (name.includes('starcoder') || name.includes('stable-code')) return 'starcoder';
+  return 'none';
+}
+
+/**
+ * Inline ghost-text completions from the configured model. Uses fill-in-the-middle prompts for
+ * code models that support them and falls back to a chat prompt for other models.
+ */
+class AIInlineCompletionProvider {
+  /**
+   * @param {LLMClient} client - The LLM client
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  async provideInlineCompletionItems(document, position, context, token) {
+    const config = vscode.workspace.getConfiguration('sebguru-assistant.inlineCompletion');
+    if (!AIInlineCompletionProvider.isEnabledFor(config.get('enable'), document.languageId)) {
+      return undefined;
+    }
+
+    // Wait for a pause in typing; VS Code cancels this request if another keystroke arrives
+    const debounceMs = config.get('debounceMs');
+    if (context.triggerKind === vscode.InlineCompletionTriggerKind.Automatic && debounceMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, debounceMs));
+    }
+    if (token.isCancellationRequested) {
+      return undefined;
+    }
+
+    const offset = document.offsetAt(position);
+    const text = document.getText();
+    const prefix = text.slice(Math.max(0, offset - AIInlineCompletionProvider.MAX_PREFIX_CHARS), offset);
+    const suffix = text.slice(offset, offset + AIInlineCompletionProvider.MAX_SUFFIX_CHARS);
+
+    // Mid-line completions stop at the end of the line; on an empty line a whole block is fine
+    const restOfLine = document.lineAt(position.line).text.slice(position.character);
+    const multiline = restOfLine.trim() === '';
+
+    const model = config.get('model') || this.client.model;
+    const fimFormat = config.get('fimFormat') === 'auto' ? detectFimFormat(model) : config.get('fimFormat');
+    const signal = abortSignalFromToken(token);
+
+    let completion;
+    try {
+      if (FIM_FORMATS[fimFormat]) {
+        const format = FIM_FORMATS[fimFormat];
+        completion = await this.client.makeCompletionRequest(
+          `${format.prefix}${prefix}${format.suffix}${suffix}${format.middle}`,
+          {
+            model,
+            maxTokens: config.get('maxTokens'),
+            stop: multiline ? format.stop : [...format.stop, '\n'],
+            signal
+          }
+        );
+      } else {
+        completion = await this.client.makeRequest(
+          `Complete the ${document.languageId} code at the <CURSOR> marker.\n\n${prefix}<CURSOR>${suffix}`,
+          {
+            systemPrompt: `You are a code completion engine. Reply with only the code to insert at the <CURSOR> marker.
+                           Do not repeat the code before or after the cursor, and do not include explanations or markdown code blocks.`,
+            model,
+            maxTokens: config.get('maxTokens'),
+            temperature: 0.2,
+            signal
           }
+        );
+        completion = completion.replace(/^```[\w]*\n/, '').replace(/\n?```\s*$/, '');
+      }
+    } catch (error) {
+      if (!axios.isCancel(error)) {
+        console.error('Inline completion failed:', error.message);
+      }
+      return undefined;
+    }
+
+    completion = AIInlineCompletionProvider.cleanCompletion(completion, suffix, multiline);
+    if (!completion || token.isCancellationRequested) {
+      return undefined;
+    }
+
+    return [new vscode.InlineCompletionItem(completion, new vscode.Range(position, position))];
+  }
+
+  /**
+   * Check the per-language enable setting, e.g. `{ "*": true, "markdown": false }`
+   * @param {object} enable - The setting value
+   * @param {string} languageId - The document's language
+   * @returns {boolean} - Whether completions are enabled for the language
+   */
+  static isEnabledFor(enable, languageId) {
+    if (!enable || typeof enable !== 'object') return false;
+    if (languageId in enable) return !!enable[languageId];
+    return !!enable['*'];
+  }
+
+  /**
+   * Tidy up a raw completion before showing it
+   * @param {string} completion - The model's completion
+   * @param {string} suffix - The text after the cursor
+   * @param {boolean} multiline - Whether the completion may span lines
+   * @returns {string} - The completion to show, or an empty string
+   */
+  static cleanCompletion(completion, suffix, multiline) {
+    let result = completion.replace(/\s+$/, '');
+
+    if (!multiline) {
+      result = result.split('\n')[0];
+    }
+
+    // Models often run on into the code that follows the cursor
+    const nextLine = suffix.split('\n').find(line => line.trim());
+    if (nextLine && multiline) {
+      const lines = result.split('\n');
+      const repeated = lines.findIndex((line, index) => index > 0 && line.trim() === nextLine.trim());
+      if (repeated !== -1) {
+        result = lines.slice(0, repeated).join('\n');
+      }
+    }
+    const restOfLine = suffix.split('\n')[0];
+    if (!multiline && restOfLine.trim() && result.endsWith(restOfLine.trim())) {
+      result = result.slice(0, result.length - restOfLine.trim().length);
+    }
+
+    result = result.replace(/\s+$/, '');
+    return result.trim() ? result : '';
+  }
+}
+
+AIInlineCompletionProvider.MAX_PREFIX_CHARS = 4000;
+AIInlineCompletionProvider.MAX_SUFFIX_CHARS = 1000;
+
+/**
+ * What a change plan can do to a file
+ */
+const CHANGE_PLAN_ACTIONS = ['create', 'modify', 'rename', 'delete'];
+
+const CHANGE_PLAN_SYSTEM_PROMPT = `You are an expert programmer who plans changes across a codebase.
+Reply with a single JSON object and nothing else, in this format:
+{
+  "summary": "One sentence describing the change",
+  "changes": [
+    {"action": "create", "path": "src/new.js", "content": "complete file content", "description": "why"},
+    {"action": "modify", "path": "src/app.js", "edits": [{"search": "exact existing text", "replace": "new text"}], "description": "why"},
+    {"action": "modify", "path": "README.md", "content": "complete new file content", "description": "why"},
+    {"action": "rename", "path": "src/old.js", "newPath": "src/renamed.js", "description": "why"},
+    {"action": "delete", "path": "src/unused.js", "description": "why"}
+  ]
+}
+Paths are relative to the workspace folder. For "modify", prefer "edits" with search text copied exactly from the file,
+and use "content" only to rewrite a whole file. Each file appears in at most one change.`;
+
+/**
+ * Replace the one occurrence of a piece of text, failing if it is missing or ambiguous
+ * @param {string} text - The text to change
+ * @param {string} search - The exact text to replace
+ * @param {string} replace - The replacement
+ * @param {string} fileName - The file name, for error messages
+ * @returns {string} - The changed text
+ */
+function replaceUniqueText(text, search, replace, fileName) {
+  const index = text.indexOf(search);
+  if (index === -1) {
+    throw new Error(`"search" text not found in ${fileName}; read the file and copy the text exactly`);
+  }
+  if (text.indexOf(search, index + 1) !== -1) {
+    throw new Error(`"search" text occurs more than once in ${fileName}; include more surrounding lines`);
+  }
+  return text.slice(0, index) + (replace || '') + text.slice(index + search.length);
+}
+
+/**
+ * Check a change plan from the model and resolve its paths against the workspace folder.
+ * `modify` changes with `edits` are resolved to the complete new content, and `create` changes
+ * for files that already exist become `modify` changes.
+ * @param {object} plan - The parsed plan
+ * @param {vscode.Uri} rootUri - The workspace folder the paths are relative to
+ * @returns {Promise<{summary: string, changes: Array<object>}>} - The plan, with `uri` (and `newUri` for renames) on each change
+ */
+async function normalizeChangePlan(plan, rootUri) {
+  if (!plan || !Array.isArray(plan.changes)) {
+    throw new Error('The plan has no "changes" list');
+  }
+
+  const resolve = (relativePath, index) => {
+    if (typeof relativePath !== 'string' || !relativePath.trim()) {
+      throw new Error(`Change ${index + 1} has no path`);
+    }
+    const filePath = path.resolve(rootUri.fsPath, relativePath);
+    const relative = path.relative(rootUri.fsPath, filePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`${relativePath} is outside the workspace folder`);
+    }
+    return vscode.Uri.file(filePath);
+  };
+
+  const readText = async uri => {
+    try {
+      return new TextDecoder().decode(await vscode.workspace.fs.readFile(uri));
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const seen = new Set();
+  const changes = [];
+
+  for (const [index, definition] of plan.changes.entries()) {
+    if (!CHANGE_PLAN_ACTIONS.includes(definition.action)) {
+      throw new Error(`Change ${index + 1} has an unknown action "${definition.action}"; expected one of: ${CHANGE_PLAN_ACTIONS.join(', ')}`);
+    }
+
+    const uri = resolve(definition.path, index);
+    const change = {
+      action: definition.action,
+      path: vscode.workspace.asRelativePath(uri),
+      uri,
+      description: typeof definition.description === 'string' ? definition.description : ''
+    };
+
+    const current = await readText(uri);
+    if (change.action !== 'create' && current === null) {
+      throw new Error(`Cannot ${change.action} ${change.path}: the file does not exist`);
+    }
+
+    if (change.action === 'create' || change.action === 'modify') {
+      if (Array.isArray(definition.edits) && current !== null) {
+        change.content = definition.edits.reduce(
+          (text, edit) => replaceUniqueText(text, edit.search, edit.replace, change.path),
+          current
+        );
+      } else if (typeof definition.content === 'string') {
+        change.content = definition.content;
+      } else {
+        throw new Error(`Change to ${change.path} needs "content" or "edits"`);
+      }
+
+      if (current !== null) {
+        change.action = 'modify';
+        if (change.content === current) {
+          continue;
+        }
+      }
+    } else if (change.action === 'rename') {
+      change.newUri = resolve(definition.newPath, index);
+      change.newPath = vscode.workspace.asRelativePath(change.newUri);
+      if (await readText(change.newUri) !== null) {
+        throw new Error(`Cannot rename ${change.path} to ${change.newPath}: the file exists`);
+      }
+    }
+
+    // Two changes to one file would depend on their order, which WorkspaceEdit doesn't promise
+    const touched = change.action === 'rename' ? [change.path, change.newPath] : [change.path];
+    for (const relativePath of touched) {
+      if (seen.has(relativePath)) {
+        throw new Error(`The plan changes ${relativePath} more than once`);
+      }
+      seen.add(relativePath);
+    }
+
+    changes.push(change);
+  }
+
+  return { summary: typeof plan.summary === 'string' ? plan.summary : '', changes };
+}
+
+/**
+ * Apply a list of file changes as one WorkspaceEdit, so they all succeed or fail together and
+ * can be undone in one step. Changed and created files are saved afterwards.
+ * With `options.confirm`, VS Code's refactor preview shows the changes as a tree with a diff per
+ * file, where each change can be unchecked before applying.
+ * This is the shared executor for change plans, createStructure and modifyFile.
+ * @param {Array<object>} changes - Changes with `action`, `uri`, and `content` or `newUri` as the action needs.
+ *   `create` fails for a file that exists; replace it with `modify` instead.
+ * @param {object} [options] - `confirm` to preview the changes
+ * @returns {Promise<boolean>} - Whether the edit was applied
+ */
+async function applyChangePlan(changes, options = {}) {
+  const edit = new vscode.WorkspaceEdit();
+
+  for (const change of changes) {
+    const metadata = options.confirm ? {
+      needsConfirmation: true,
+      label: change.action === 'rename'
+        ? `Rename ${vscode.workspace.asRelativePath(change.uri)} to ${vscode.workspace.asRelativePath(change.newUri)}`
+        : `${change.action[0].toUpperCase()}${change.action.slice(1)} ${vscode.workspace.asRelativePath(change.uri)}`,
+      description: change.description
+    } : undefined;
+
+    if (change.action === 'create') {
+      edit.createFile(change.uri, { overwrite: false }, metadata);
+      if (change.content) {
+        edit.insert(change.uri, new vscode.Position(0, 0), change.content, metadata);
+      }
+    } else if (change.action === 'modify') {
+      const document = await vscode.workspace.openTextDocument(change.uri);
+      const fullRange = new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length));
+      edit.replace(change.uri, fullRange, change.content, metadata);
+    } else if (change.action === 'rename') {
+      edit.renameFile(change.uri, change.newUri, { overwrite: false }, metadata);
+    } else if (change.action === 'delete') {
+      edit.deleteFile(change.uri, { recursive: true, ignoreIfNotExists: true }, metadata);
+    }
+  }
+
+  if (!await vscode.workspace.applyEdit(edit)) {
+    return false;
+  }
+
+  // Text edits leave the documents dirty; write them to disk like the single-file commands do
+  const written = new Set(changes
+    .filter(change => change.action === 'create' || change.action === 'modify')
+    .map(change => change.uri.toString()));
+  const dirtyDocuments = vscode.workspace.textDocuments.filter(document => document.isDirty && written.has(document.uri.toString()));
+  await Promise.all(dirtyDocuments.map(document => document.save()));
+
+  return true;
+}
+
+/**
+ * Collect what the model needs to plan changes: the workspace's file list and the text of the
+ * files open in editors, the active one first
+ * @param {vscode.WorkspaceFolder} workspaceFolder - The workspace folder
+ * @returns {Promise<string>} - The context for the prompt
+ */
+async function gatherChangePlanContext(workspaceFolder) {
+  const files = await vscode.workspace.findFiles(new vscode.RelativePattern(workspaceFolder, '**/*'), AGENT_SEARCH_EXCLUDE, 500);
+  const fileList = files.map(uri => vscode.workspace.asRelativePath(uri, false)).sort().join('\n');
+
+  const activeUri = vscode.window.activeTextEditor && vscode.window.activeTextEditor.document.uri.toString();
+  const openDocuments = vscode.workspace.textDocuments
+    .filter(document => document.uri.scheme === 'file' && vscode.workspace.getWorkspaceFolder(document.uri) === workspaceFolder)
+    .sort((a, b) => (b.uri.toString() === activeUri) - (a.uri.toString() === activeUri));
+
+  // Keep the open files within a rough budget so the prompt leaves room for the plan
+  let budget = 40000;
+  const contents = [];
+  for (const document of openDocuments) {
+    const text = document.getText();
+    if (text.length > budget) {
+      continue;
+    }
+    budget -= text.length;
+    contents.push(`File: ${vscode.workspace.asRelativePath(document.uri, false)}\n\`\`\`${document.languageId}\n${text}\n\`\`\``);
+  }
+
+  return `Workspace files:\n${fileList}\n\n${contents.join('\n\n')}`;
+}
+
+/**
+ * JSON schema for project structures, sent to the model with the request and enforced by
+ * validateProjectStructure. A structure is a list of nodes; directories have `children`,
+ * files have `content`.
+ */
+const PROJECT_STRUCTURE_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  type: 'array',
+  items: { $ref: '#/definitions/node' },
+  definitions: {
+    node: {
+      type: 'object',
+      required: ['name', 'type'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', description: 'File or directory name, without slashes' },
+        type: { enum: ['file', 'directory'] },
+        children: { type: 'array', items: { $ref: '#/definitions/node' }, description: 'Directories only' },
+        content: { type: 'string', description: 'Files only: the complete file content' }
+      }
+    }
+  }
+};
+
+/**
+ * How many times to ask the model for a project structure before giving up
+ */
+const PROJECT_STRUCTURE_ATTEMPTS = 3;
+
+/**
+ * Check a project structure against PROJECT_STRUCTURE_SCHEMA
+ * @param {*} nodes - The parsed structure
+ * @param {string} [parentPath] - Path of the parent directory, for error messages
+ * @throws {Error} - Describing the first problem found and where it is
+ */
+function validateProjectStructure(nodes, parentPath = '') {
+  const where = parentPath ? `"children" of ${parentPath}` : 'The structure';
+  if (!Array.isArray(nodes)) {
+    throw new Error(`${where} must be a JSON array of nodes`);
+  }
+
+  const names = new Set();
+  nodes.forEach((node, index) => {
+    const location = parentPath ? `${parentPath}/` : '';
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      throw new Error(`Item ${index + 1} in ${where.toLowerCase()} must be an object with "name" and "type"`);
+    }
+    if (typeof node.name !== 'string' || !node.name.trim() || /[\\/]/.test(node.name) || node.name === '.' || node.name === '..') {
+      throw new Error(`Item ${index + 1} in ${location || 'the top level'} needs a "name" that is a file or directory name without slashes`);
+    }
+
+    const nodePath = `${location}${node.name}`;
+    if (names.has(node.name)) {
+      throw new Error(`${nodePath} appears more than once`);
+    }
+    names.add(node.name);
+
+    const unknown = Object.keys(node).filter(key => !(key in PROJECT_STRUCTURE_SCHEMA.definitions.node.properties));
+    if (unknown.length > 0) {
+      throw new Error(`${nodePath} has unknown properties: ${unknown.join(', ')}`);
+    }
+
+    if (node.type === 'file') {
+      if (node.children !== undefined) {
+        throw new Error(`${nodePath} is a file, so it can't have "children"`);
+      }
+      if (node.content !== undefined && typeof node.content !== 'string') {
+        throw new Error(`"content" of ${nodePath} must be a string`);
+      }
+    } else if (node.type === 'directory') {
+      if (node.content !== undefined) {
+        throw new Error(`${nodePath} is a directory, so it can't have "content"`);
+      }
+      if (node.children !== undefined) {
+        validateProjectStructure(node.children, nodePath);
+      }
+    } else {
+      throw new Error(`"type" of ${nodePath} must be "file" or "directory"`);
+    }
+  });
+}
+
+/**
+ * Parse JSON from a model reply that may wrap it in a code fence or prose
+ * @param {string} text - The reply
+ * @returns {*} - The parsed value
+ * @throws {Error} - If the reply holds no valid JSON
+ */
+function parseJsonReply(text) {
+  const fenced = text.match(/```(?:json)?[^\n]*\n([\s\S]*?)```/);
+  const candidate = (fenced ? fenced[1] : text).trim();
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // Fall back to the outermost array or object in the reply
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf(']'), candidate.lastIndexOf('}'));
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(candidate.slice(start, end + 1));
+      } catch (innerError) {
+        throw new Error(`The reply is not valid JSON: ${innerError.message}`);
+      }
+    }
+    throw new Error(`The reply is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Ask the model for a project structure that follows PROJECT_STRUCTURE_SCHEMA. Malformed answers
+ * are sent back with the validation error so the model can correct them.
+ * @param {LLMClient} client - The LLM client
+ * @param {string} description - The user's description of the project
+ * @param {object} [options] - `signal` (an AbortSignal) and `onRetry`, called with the attempt number and the error
+ * @returns {Promise<Array<object>>} - The validated structure
+ */
+async function requestProjectStructure(client, description, options = {}) {
+  const systemPrompt = `You are an expert in software architecture. Design the files and directories for a project.
+Reply with only a JSON array that follows this JSON schema, without explanations:
+${JSON.stringify(PROJECT_STRUCTURE_SCHEMA, null, 2)}
 
-          .assistant-message {
-            align-self: flex-start;
-            margin-right: auto;
-            background-color: var(--vscode-editor-inactiveSelectionBackground);
-          }
+Example: [{"name": "src", "type": "directory", "children": [{"name": "index.js", "type": "file", "content": "console.log('Hello');"}]}]`;
 
-          .message-header {
-            font-weight: bold;
-            margin-bottom: 4px;
-          }
+  const messages = [{ role: 'user', content: `Generate a project structure for: ${description}` }];
+  let lastError;
 
-          .message-content {
-            white-space: pre-wrap;
-          }
+  for (let attempt = 1; attempt <= PROJECT_STRUCTURE_ATTEMPTS; attempt++) {
+    const reply = await client.makeChatRequest(messages, { systemPrompt, temperature: 0.2, signal: options.signal });
 
-          #loading {
-            text-align: center;
-            padding: 16px;
-            display: none;
-          }
+    try {
+      const structure = parseJsonReply(reply);
+      validateProjectStructure(structure);
+      return structure;
+    } catch (error) {
+      lastError = error;
+      console.log(`Project structure attempt ${attempt} was invalid:`, error.message);
+      if (attempt < PROJECT_STRUCTURE_ATTEMPTS) {
+        if (options.onRetry) options.onRetry(attempt + 1, error);
+        messages.push(
+          { role: 'assistant', content: reply },
+          { role: 'user', content: `That structure is invalid: ${error.message}. Reply with the corrected JSON array only.` }
+        );
+      }
+    }
+  }
 
-          #loading.active {
-            display: block;
-          }
+  throw new Error(`No valid structure after ${PROJECT_STRUCTURE_ATTEMPTS} attempts. ${lastError.message}`);
+}
 
-          /* Code block styling */
-          .code-block {
-            margin: 12px 0;
-            border: 1px solid var(--vscode-panel-border);
-            border-radius: 6px;
-            overflow: hidden;
-            background-color: var(--vscode-editor-background);
-          }
+/**
+ * File in a template folder that describes the template; it is not copied into the project
+ */
+const TEMPLATE_MANIFEST = 'template.json';
 
-          .code-header {
-            background-color: var(--vscode-panel-border);
-            color: var(--vscode-foreground);
-            padding: 4px 8px;
-            font-size: 12px;
-            font-weight: bold;
-            font-family: var(--vscode-font-family);
-            text-transform: uppercase;
-          }
+/**
+ * Marks a section of a template file for the AI to write: `{{ai: what to write}}`
+ */
+const TEMPLATE_AI_MARKER = /\{\{\s*ai:\s*([\s\S]*?)\s*\}\}/g;
 
-          pre {
-            background-color: var(--vscode-editor-background);
-            padding: 12px;
-            overflow-x: auto;
-            margin: 0;
-            max-height: 400px;
-          }
+/**
+ * Project templates: folders in the workspace's `.sebguru/templates`, the user templates folder,
+ * and the extension's own `templates` folder. A workspace template replaces a user template with
+ * the same folder name, and both replace built-in ones.
+ * @param {vscode.Uri} extensionUri - The extension's install folder
+ * @returns {Promise<{templates: Array<object>, errors: Array<string>}>} - The templates sorted by name,
+ *   each `{id, name, description, variables, postCreate, source, uri}`, and the templates that failed to load
+ */
+async function loadProjectTemplates(extensionUri) {
+  const folders = (vscode.workspace.workspaceFolders || []).map(folder => ({
+    uri: vscode.Uri.joinPath(folder.uri, '.sebguru', 'templates'),
+    source: 'workspace'
+  }));
+
+  const userFolder = vscode.workspace.getConfiguration('sebguru-assistant').get('templatesFolder')
+    || path.join(os.homedir(), '.sebguru', 'templates');
+  folders.push({ uri: vscode.Uri.file(userFolder.replace(/^~(?=$|[\\/])/, os.homedir())), source: 'user' });
+  folders.push({ uri: vscode.Uri.joinPath(extensionUri, 'templates'), source: 'built-in' });
+
+  const templates = new Map();
+  const errors = [];
+
+  for (const folder of folders) {
+    let entries;
+    try {
+      entries = await vscode.workspace.fs.readDirectory(folder.uri);
+    } catch (error) {
+      // The folder doesn't exist, which is fine
+      continue;
+    }
 
-          code {
-            font-family: 'Menlo', 'Monaco', 'Courier New', monospace;
-            font-size: 13px;
-            background-color: var(--vscode-editor-lineHighlightBackground);
-            padding: 2px 4px;
-            border-radius: 3px;
-          }
+    for (const [id, type] of entries) {
+      // Earlier folders win
+      if (type !== vscode.FileType.Directory || templates.has(id)) {
+        continue;
+      }
 
-          pre code {
-            background-color: transparent;
-            padding: 0;
-            border-radius: 0;
-            display: block;
-            white-space: pre;
-            line-height: 1.5;
-          }
+      const uri = vscode.Uri.joinPath(folder.uri, id);
+      let manifest = {};
+      try {
+        manifest = JSON.parse(new TextDecoder().decode(await vscode.workspace.fs.readFile(vscode.Uri.joinPath(uri, TEMPLATE_MANIFEST))));
+      } catch (error) {
+        // The manifest is optional, but a broken one is worth reporting
+        if (error instanceof SyntaxError) {
+          errors.push(`${uri.fsPath}: ${TEMPLATE_MANIFEST} is not valid JSON (${error.message})`);
+          continue;
+        }
+      }
 
-          #debug {
-            position: fixed;
-            top: 0;
-            right: 0;
-            background: rgba(255,0,0,0.1);
-            padding: 2px;
-            font-size: 10px;
-            z-index: 1000;
-            display: none; /* Hide in production */
-          }
-        </style>
-      </head>
-      <body>
-        <div id="debug">Debug info</div>
+      templates.set(id, {
+        id,
+        name: manifest.name || id,
+        description: manifest.description || '',
+        variables: manifest.variables || {},
+        postCreate: Array.isArray(manifest.postCreate) ? manifest.postCreate : [],
+        source: folder.source,
+        uri
+      });
+    }
+  }
 
-        <div id="chat-container">
-          <div id="messages-container">
-            ${chatHistoryHtml}
-            <div id="loading">AI Assistant is thinking...</div>
-          </div>
+  return {
+    templates: [...templates.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    errors
+  };
+}
 
-          <div id="input-container">
-            <form id="chat-form">
-              <input type="text" id="message-input" placeholder="Type your message here..." autocomplete="off">
-              <button type="submit" id="send-button">Send</button>
-            </form>
-          </div>
-        </div>
+/**
+ * Read a template folder into the node format createStructure takes. The manifest, `.gitkeep`
+ * placeholders and binary files are left out.
+ * @param {vscode.Uri} folderUri - The template folder
+ * @param {boolean} [isRoot] - Whether this is the template's top folder, where the manifest lives
+ * @returns {Promise<Array<{name: string, type: string, children?: Array, content?: string}>>} - The structure
+ */
+async function readTemplateStructure(folderUri, isRoot = true) {
+  const nodes = [];
+  const entries = await vscode.workspace.fs.readDirectory(folderUri);
+
+  for (const [name, type] of entries.sort(([a], [b]) => a.localeCompare(b))) {
+    const uri = vscode.Uri.joinPath(folderUri, name);
+
+    if (type & vscode.FileType.Directory) {
+      nodes.push({ name, type: 'directory', children: await readTemplateStructure(uri, false) });
+    } else if (name !== '.gitkeep' && !(isRoot && name === TEMPLATE_MANIFEST)) {
+      const bytes = await vscode.workspace.fs.readFile(uri);
+      if (bytes.includes(0)) {
+        console.warn(`Skipping binary template file ${uri.fsPath}`);
+        continue;
+      }
+      nodes.push({ name, type: 'file', content: new TextDecoder().decode(bytes) });
+    }
+  }
 
-        <script>
-          // Debug element
-          const debugInfo = document.getElementById('debug');
-          function debug(msg) {
-            console.log(msg);
-            if (debugInfo) {
-              debugInfo.textContent = 'Debug: ' + msg;
-            }
+  return nodes;
+}
+
+/**
+ * Visit every node of a structure with its path
+ * @param {Array<object>} nodes - The structure
+ * @param {function(object, string): void} callback - Called with each node and its path
+ * @param {string} [parentPath] - Path of the parent directory
+ */
+function walkStructure(nodes, callback, parentPath = '') {
+  for (const node of nodes) {
+    const nodePath = parentPath ? `${parentPath}/${node.name}` : node.name;
+    callback(node, nodePath);
+    if (node.children) {
+      walkStructure(node.children, callback, nodePath);
+    }
+  }
+}
+
+/**
+ * The `{{placeholder}}` variables to ask for: the ones the manifest declares, or, if it declares
+ * none, every placeholder in file names and contents. `projectName` is always included.
+ * Declaring variables keeps placeholders of other template languages, like Vue's `{{ message }}`, as they are.
+ * @param {object} template - The template
+ * @param {Array<object>} structure - The template structure
+ * @returns {Array<string>} - The variable names
+ */
+function templatePlaceholders(template, structure) {
+  const names = new Set(['projectName', ...Object.keys(template.variables)]);
+  if (Object.keys(template.variables).length > 0) {
+    return [...names];
+  }
+
+  walkStructure(structure, node => {
+    for (const text of [node.name, node.content || '']) {
+      for (const match of text.matchAll(/\{\{\s*([\w.-]+)\s*\}\}/g)) {
+        names.add(match[1]);
+      }
+    }
+  });
+  return [...names];
+}
+
+/**
+ * Fill in a template's placeholders
+ * @param {Array<object>} structure - The template structure
+ * @param {object} variables - Values by variable name
+ * @returns {Array<object>} - A copy of the structure with the values in names and contents
+ */
+function renderTemplateStructure(structure, variables) {
+  return structure.map(node => ({
+    ...node,
+    name: renderTemplate(node.name, variables),
+    ...(node.content !== undefined ? { content: renderTemplate(node.content, variables) } : {}),
+    ...(node.children ? { children: renderTemplateStructure(node.children, variables) } : {})
+  }));
+}
+
+/**
+ * Replace the `{{ai: ...}}` sections of a structure, either with text the AI writes for each one
+ * or, without a client, with nothing
+ * @param {Array<object>} structure - The structure, changed in place
+ * @param {LLMClient|null} client - The LLM client, or null to empty the sections
+ * @param {object} [options] - `projectName`, `signal` and `onSection`, called with each file path before its sections are written
+ * @returns {Promise<number>} - The number of sections replaced
+ */
+async function fillTemplateSections(structure, client, options = {}) {
+  const files = [];
+  walkStructure(structure, (node, nodePath) => {
+    if (node.type === 'file' && node.content && new RegExp(TEMPLATE_AI_MARKER.source).test(node.content)) {
+      files.push({ node, nodePath });
+    }
+  });
+
+  let count = 0;
+  for (const { node, nodePath } of files) {
+    if (options.onSection) options.onSection(nodePath);
+
+    const sections = [...node.content.matchAll(TEMPLATE_AI_MARKER)];
+    let content = node.content;
+    for (const section of sections) {
+      let text = '';
+      if (client) {
+        const reply = await client.makeRequest(
+          `Project: ${options.projectName || ''}\nFile: ${nodePath}\n\n${content.replace(section[0], '<<SECTION>>')}\n\n` +
+          `Write the part of this file marked <<SECTION>>: ${section[1]}`,
+          {
+            systemPrompt: 'You are an expert programmer filling in a section of a new project file. Reply with only the text that replaces <<SECTION>>, matching the surrounding code style, in a single code block.',
+            temperature: 0.2,
+            signal: options.signal
           }
+        );
+        text = extractCodeBlock(reply);
+      }
+      content = content.replace(section[0], () => text);
+      count++;
+    }
+    node.content = content;
+  }
 
-          debug('Script started');
+  return count;
+}
 
-          try {
-            const vscode = acquireVsCodeApi();
-            debug('VS Code API acquired');
-
-            const messagesContainer = document.getElementById('messages-container');
-            const messageInput = document.getElementById('message-input');
-            const chatForm = document.getElementById('chat-form');
-            const sendButton = document.getElementById('send-button');
-            const loading = document.getElementById('loading');
-
-            debug('Elements found: ' +
-                  (messagesContainer ? 'container✓ ' : 'container✗ ') +
-                  (messageInput ? 'input✓ ' : 'input✗ ') +
-                  (chatForm ? 'form✓ ' : 'form✗ ') +
-                  (sendButton ? 'button✓' : 'button✗'));
-
-            // Scroll to bottom of messages
-            function scrollToBottom() {
-              messagesContainer.scrollTop = messagesContainer.scrollHeight;
-            }
+const JAVASCRIPT_TEST_DIRECTORIES = ['__tests__', 'test', 'tests'];
 
-            // Scroll to bottom on initial load
-            scrollToBottom();
+/**
+ * Built-in runners for Execute Code and Test Code. Commands are a program and its arguments, with
+ * placeholders: {file} is the code file, {fileBase} and {ext} its name without extension and its
+ * extension, {dir} a scratch directory for build output, {exe} '.exe' on Windows, and {testFile}
+ * and {testDir} the test file and its folder, relative to the project.
+ * `compile` runs before `run`. `testFile` names the test file for a source file, and `testDescription`
+ * tells the model how to write the tests. `project.run` replaces `run` when a whole file is run from
+ * inside a project with the `project.marker` file, in that project's folder; a runner with a `project`
+ * can only run tests inside such a project.
+ */
+const CODE_RUNNERS = {
+  node: {
+    fileName: 'main.js',
+    run: ['node', '{file}']
+  },
+  'ts-node': {
+    fileName: 'main.ts',
+    run: ['npx', 'ts-node', '{file}']
+  },
+  deno: {
+    fileName: 'main.ts',
+    run: ['deno', 'run', '{file}'],
+    test: ['deno', 'test', '{testFile}'],
+    testFile: '{fileBase}.test{ext}',
+    testDescription: 'Deno.test with assertions from jsr:@std/assert',
+    testDirectories: JAVASCRIPT_TEST_DIRECTORIES
+  },
+  bun: {
+    fileName: 'main.ts',
+    run: ['bun', 'run', '{file}'],
+    test: ['bun', 'test', './{testFile}'],
+    testFile: '{fileBase}.test{ext}',
+    testDescription: 'bun:test',
+    testDirectories: JAVASCRIPT_TEST_DIRECTORIES
+  },
+  python: {
+    fileName: 'main.py',
+    run: ['python', '{file}']
+  },
+  ruby: {
+    fileName: 'main.rb',
+    run: ['ruby', '{file}']
+  },
+  bash: {
+    fileName: 'main.sh',
+    run: ['bash', '{file}']
+  },
+  go: {
+    fileName: 'main.go',
+    run: ['go', 'run', '{file}'],
+    project: { marker: 'go.mod' },
+    test: ['go', 'test', '-v', './{testDir}'],
+    testFile: '{fileBase}_test.go',
+    testDescription: "Go's testing package, in the same package as the code"
+  },
+  rust: {
+    fileName: 'main.rs',
+    compile: ['rustc', '{file}', '-o', '{dir}/main{exe}'],
+    run: ['{dir}/main{exe}'],
+    project: { marker: 'Cargo.toml', run: ['cargo', 'run', '--quiet'] },
+    test: ['cargo', 'test'],
+    testFile: '{fileBase}_test.rs',
+    testDescription: "Rust's built-in test framework, as an integration test that uses the crate's public API",
+    testDirectories: ['tests']
+  },
+  java: {
+    fileName: 'Main.java',
+    run: ['java', '{file}']
+  },
+  php: {
+    fileName: 'main.php',
+    run: ['php', '{file}'],
+    test: ['phpunit', '{testFile}'],
+    testFile: '{fileBase}Test.php',
+    testDescription: 'PHPUnit',
+    testDirectories: ['tests']
+  },
+  c: {
+    fileName: 'main.c',
+    compile: ['cc', '{file}', '-o', '{dir}/main{exe}'],
+    run: ['{dir}/main{exe}']
+  },
+  cpp: {
+    fileName: 'main.cpp',
+    compile: ['c++', '-std=c++17', '{file}', '-o', '{dir}/main{exe}'],
+    run: ['{dir}/main{exe}']
+  }
+};
 
-            // Focus the input field
-            messageInput.focus();
+/**
+ * The runner each language uses unless the `execution.runners` setting names another
+ */
+const DEFAULT_LANGUAGE_RUNNERS = {
+  javascript: 'node',
+  javascriptreact: 'node',
+  typescript: 'ts-node',
+  typescriptreact: 'ts-node',
+  python: 'python',
+  ruby: 'ruby',
+  shellscript: 'bash',
+  go: 'go',
+  rust: 'rust',
+  java: 'java',
+  php: 'php',
+  c: 'c',
+  cpp: 'cpp'
+};
 
-            // Send message function
-            function sendMessage() {
-              const message = messageInput.value.trim();
-              if (message) {
-                debug('Sending message: ' + message);
-                vscode.postMessage({
-                  type: 'sendMessage',
-                  value: message
-                });
-                messageInput.value = '';
-              }
-            }
+/**
+ * File extensions and other names accepted in place of a language ID
+ */
+const RUNNER_LANGUAGE_ALIASES = {
+  js: 'javascript',
+  ts: 'typescript',
+  py: 'python',
+  rb: 'ruby',
+  sh: 'shellscript',
+  bash: 'shellscript',
+  shell: 'shellscript'
+};
 
-            // Add event listeners
-            chatForm.addEventListener('submit', (e) => {
-              debug('Form submitted');
-              e.preventDefault();
-              sendMessage();
-            });
+/**
+ * Folders inside a project where a runner's program may be installed, such as a virtual environment
+ * or node_modules/.bin. They are preferred over the program on the PATH.
+ */
+const LOCAL_PROGRAM_FOLDERS = ['node_modules/.bin', 'vendor/bin', '.venv/bin', 'venv/bin', '.venv/Scripts', 'venv/Scripts'];
 
-            sendButton.addEventListener('click', () => {
-              debug('Send button clicked');
-              sendMessage();
-            });
+/**
+ * Look up the runner for a language: the `execution.runners` setting can name a built-in runner
+ * or define one, and a definition for a language with a built-in runner only needs the fields it changes
+ * @param {string} language - A language ID, or a file extension
+ * @returns {object|null} - The runner, with its `languageId` and whether it was `configured` in the settings,
+ *   or null if the language has none
+ * @throws {Error} - If the setting's entry for the language is invalid
+ */
+function resolveRunner(language) {
+  const key = language.toLowerCase();
+  const languageId = RUNNER_LANGUAGE_ALIASES[key] || key;
+  const configured = (vscode.workspace.getConfiguration('sebguru-assistant').get('execution.runners') || {})[languageId];
+
+  let runner;
+  if (typeof configured === 'string') {
+    runner = CODE_RUNNERS[configured];
+    if (!runner) {
+      throw new Error(`Unknown runner "${configured}" for ${languageId} in the execution.runners setting. Use one of: ${Object.keys(CODE_RUNNERS).join(', ')}`);
+    }
+  } else if (configured && typeof configured === 'object') {
+    runner = { ...CODE_RUNNERS[DEFAULT_LANGUAGE_RUNNERS[languageId]], ...configured };
+    const commands = ['compile', 'run', 'test'].filter(name => runner[name] !== undefined);
+    const invalid = commands.find(name => !Array.isArray(runner[name]) || runner[name].length === 0 || runner[name].some(arg => typeof arg !== 'string'));
+    if (invalid) {
+      throw new Error(`"${invalid}" for ${languageId} in the execution.runners setting must be a list of strings, starting with the program`);
+    }
+    if (typeof runner.fileName !== 'string' || !runner.run) {
+      throw new Error(`The runner for ${languageId} in the execution.runners setting needs a "fileName" and a "run" command`);
+    }
+  } else {
+    runner = CODE_RUNNERS[DEFAULT_LANGUAGE_RUNNERS[languageId]];
+  }
 
-            messageInput.addEventListener('keydown', (e) => {
-              if (e.key === 'Enter' && !e.shiftKey) {
-                debug('Enter key pressed');
-                e.preventDefault();
-                sendMessage();
-              }
-            });
+  return runner ? { ...runner, languageId, configured: !!configured } : null;
+}
 
-            // Handle messages from extension
-            window.addEventListener('message', (event) => {
-              const message = event.data;
-
-              if (message.type === 'setLoading') {
-                if (message.value) {
-                  loading.classList.add('active');
-                } else {
-                  loading.classList.remove('active');
-                }
-                scrollToBottom();
-              }
-            });
+/**
+ * Fill the placeholders in a runner command
+ * @param {Array<string>} command - The command
+ * @param {object} variables - Values for the placeholders; unknown placeholders are left as they are
+ * @returns {Array<string>} - The filled-in command
+ */
+function fillCommand(command, variables) {
+  return command.map(arg => arg.replace(/\{(\w+)\}/g, (match, name) => variables[name] !== undefined ? variables[name] : match));
+}
 
-            debug('Event listeners set up');
-          } catch (error) {
-            debug('Error: ' + error.message);
-          }
-        </script>
-      </body>
-      </html>
-    `;
+/**
+ * Find a program in the project before falling back to the PATH: a virtual environment's python,
+ * a tool in node_modules/.bin or vendor/bin. Searches from a folder up to the workspace folder.
+ * @param {string} program - The program name
+ * @param {string} startDir - The folder to search from
+ * @param {string} [stopDir] - The last folder to search
+ * @returns {Promise<string>} - The path of the local program, or the name as it was
+ */
+async function resolveProgram(program, startDir, stopDir) {
+  if (path.isAbsolute(program) || /[\\/]/.test(program)) {
+    return program;
+  }
+
+  const fileName = process.platform === 'win32' ? `${program}.exe` : program;
+  let directory = startDir;
+  while (directory && (!stopDir || isInsideFolder(stopDir, directory))) {
+    for (const folder of LOCAL_PROGRAM_FOLDERS) {
+      const candidate = path.join(directory, folder, fileName);
+      if (await pathExists(candidate)) {
+        return candidate;
+      }
+    }
+    if (!stopDir || directory === stopDir || path.dirname(directory) === directory) {
+      break;
+    }
+    directory = path.dirname(directory);
   }
 
-  _formatMessageContent(content) {
-    if (!content) return '';
+  // The interpreter picked in the Python extension
+  if (program === 'python') {
+    const interpreter = vscode.workspace.getConfiguration('python').get('defaultInterpreterPath');
+    if (interpreter && interpreter !== 'python') {
+      return interpreter;
+    }
+  }
+  return program;
+}
 
-    // First handle code blocks to prevent interference with other formatting
-    let formattedContent = content.replace(/```([\w]*)\n([\s\S]*?)```/g, (_, language, code) => {
-      // Clean up the language identifier
-      language = language.trim();
-      // Create a properly formatted code block
-      return `<div class="code-block"><div class="code-header">${language || 'code'}</div><pre><code class="language-${language || 'text'}">${this._escapeHtml(code)}</code></pre></div>`;
-    });
+/**
+ * Test frameworks testCode can run. `args` builds the command line for a test file (and a report
+ * file, for frameworks that write one); `parse` turns the output into test results, or returns
+ * null when the output holds none, for example when the test file does not load.
+ * `testDirectories` are the folders, in order of preference, where a project keeps its tests, and
+ * `testFileName` names the test file for a source file when siblingTestFileName doesn't fit.
+ */
+const TEST_FRAMEWORKS = {
+  mocha: {
+    description: "Mocha with Node's assert module",
+    program: 'npx',
+    args: testFile => ['mocha', ...(testFile.endsWith('.ts') ? ['-r', 'ts-node/register'] : []), '--reporter', 'json', testFile],
+    parse: ({ stdout }) => parseMochaJson(stdout),
+    testDirectories: JAVASCRIPT_TEST_DIRECTORIES
+  },
+  jest: {
+    description: 'Jest',
+    program: 'npx',
+    args: testFile => ['jest', '--json', '--runTestsByPath', testFile],
+    parse: ({ stdout }) => parseJestJson(stdout),
+    testDirectories: JAVASCRIPT_TEST_DIRECTORIES
+  },
+  vitest: {
+    description: 'Vitest',
+    program: 'npx',
+    args: testFile => ['vitest', 'run', '--reporter=json', testFile],
+    // Vitest's JSON report has the same shape as Jest's
+    parse: ({ stdout }) => parseJestJson(stdout),
+    testDirectories: JAVASCRIPT_TEST_DIRECTORIES
+  },
+  pytest: {
+    description: 'unittest.TestCase classes, run with pytest',
+    program: 'python',
+    reportFile: 'results.xml',
+    args: (testFile, reportFile) => ['-m', 'pytest', testFile, `--junitxml=${reportFile}`, '-q'],
+    parse: ({ report }) => parseJunitXml(report),
+    missing: ({ stderr }) => /No module named pytest/.test(stderr),
+    testDirectories: ['tests', 'test']
+  },
+  unittest: {
+    description: 'unittest',
+    program: 'python',
+    args: testFile => ['-m', 'unittest', '-v', testFile],
+    parse: ({ stderr }) => parseUnittestOutput(stderr),
+    testDirectories: ['tests', 'test']
+  },
+  rspec: {
+    description: 'RSpec',
+    program: 'bundle',
+    args: testFile => ['exec', 'rspec', '--format', 'json', testFile],
+    parse: ({ stdout }) => parseRspecJson(stdout),
+    testDirectories: ['spec']
+  },
+  minitest: {
+    description: 'Minitest',
+    program: 'ruby',
+    args: testFile => ['-Itest', testFile],
+    parse: ({ stdout }) => parseRubyTestSummary(stdout),
+    testDirectories: ['test'],
+    testFileName: fileName => `test_${fileName}`
+  },
+  'test-unit': {
+    description: 'Test::Unit',
+    program: 'ruby',
+    args: testFile => [testFile],
+    parse: ({ stdout }) => parseRubyTestSummary(stdout),
+    testDirectories: ['test'],
+    testFileName: fileName => `test_${fileName}`
+  }
+};
+
+/**
+ * Where testCode writes the code and its tests for each language, and the framework that runs them.
+ * `fallback` is used when the framework is not installed.
+ */
+const TEST_LANGUAGES = {
+  javascript: { codeFile: 'code.js', testFile: 'test.js', framework: 'mocha' },
+  typescript: { codeFile: 'code.ts', testFile: 'test.ts', framework: 'mocha' },
+  python: { codeFile: 'code.py', testFile: 'test_code.py', framework: 'pytest', fallback: 'unittest' },
+  ruby: { codeFile: 'code.rb', testFile: 'test_code.rb', framework: 'test-unit' }
+};
+
+const TEST_LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  javascriptreact: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  typescriptreact: 'typescript',
+  py: 'python',
+  rb: 'ruby'
+};
+
+/**
+ * Look up how to test code in a language. A runner with a `test` command is used for languages
+ * TEST_LANGUAGES doesn't cover, and in place of it when the runner is set in `execution.runners`.
+ * @param {string} language - A language id or file extension
+ * @returns {object|null} - The TEST_LANGUAGES entry with its `languageKey`, or null if the language can't be tested
+ * @throws {Error} - If the `execution.runners` setting is invalid for the language
+ */
+function testSetupFor(language) {
+  const key = language.toLowerCase();
+  const languageKey = TEST_LANGUAGE_ALIASES[key] || key;
+
+  const runner = resolveRunner(languageKey);
+  if (runner && runner.test && (runner.configured || !TEST_LANGUAGES[languageKey])) {
+    const framework = `runner:${runner.languageId}`;
+    return {
+      languageKey: runner.languageId,
+      codeFile: runner.fileName,
+      testFile: testFrameworkFor(framework).testFileName(runner.fileName),
+      framework
+    };
+  }
+
+  return TEST_LANGUAGES[languageKey] ? { languageKey, ...TEST_LANGUAGES[languageKey] } : null;
+}
+
+/**
+ * Look up a test framework by name: a TEST_FRAMEWORKS key, or `runner:<language ID>` for the `test`
+ * command of that language's runner. Runner output isn't parsed, so the exit code decides the result.
+ * @param {string} name - The framework name
+ * @returns {object} - The framework, in the shape of a TEST_FRAMEWORKS entry
+ */
+function testFrameworkFor(name) {
+  if (!name.startsWith('runner:')) {
+    return TEST_FRAMEWORKS[name];
+  }
+
+  const runner = resolveRunner(name.slice('runner:'.length));
+  const toPosix = file => file.split(path.sep).join('/');
+  return {
+    description: runner.testDescription || `tests that \`${runner.test.join(' ')}\` runs`,
+    program: runner.test[0],
+    args: testFile => fillCommand(runner.test.slice(1), { testFile: toPosix(testFile), testDir: toPosix(path.dirname(testFile)) }),
+    parse: () => null,
+    testDirectories: runner.testDirectories,
+    testFileName: fileName => {
+      const ext = path.extname(fileName);
+      return fillCommand([runner.testFile || '{fileBase}_test{ext}'], { fileBase: path.basename(fileName, ext), ext })[0];
+    },
+    projectMarker: runner.project && runner.project.marker
+  };
+}
+
+/**
+ * Parse the output of mocha's JSON reporter. Anything the tests log comes before the report.
+ * @param {string} stdout - Mocha's standard output
+ * @returns {object|null} - The test results
+ */
+function parseMochaJson(stdout) {
+  const start = stdout.indexOf('{\n  "stats"');
+  const report = start === -1 ? null : parseFirstJsonObject(stdout.slice(start));
+  if (!report || !report.stats) return null;
+
+  return {
+    total: report.stats.tests,
+    passed: report.stats.passes,
+    failed: report.stats.failures,
+    skipped: report.stats.pending,
+    failures: (report.failures || []).map(test => ({
+      name: test.fullTitle,
+      message: (test.err && (test.err.stack || test.err.message)) || ''
+    }))
+  };
+}
+
+/**
+ * Parse the output of `jest --json`
+ * @param {string} stdout - Jest's standard output
+ * @returns {object|null} - The test results
+ */
+function parseJestJson(stdout) {
+  const start = stdout.indexOf('{"num');
+  const report = start === -1 ? null : parseFirstJsonObject(stdout.slice(start));
+  if (!report || report.numTotalTests === undefined) return null;
+
+  const failures = [];
+  for (const file of report.testResults || []) {
+    const failed = (file.assertionResults || []).filter(test => test.status === 'failed');
+    failures.push(...failed.map(test => ({ name: test.fullName, message: test.failureMessages.join('\n') })));
+    // A test file that fails to run has no assertion results, only a message
+    if (file.status === 'failed' && failed.length === 0 && file.message) {
+      failures.push({ name: path.basename(file.name), message: file.message });
+    }
+  }
+
+  return {
+    total: report.numTotalTests,
+    passed: report.numPassedTests,
+    failed: Math.max(report.numFailedTests, failures.length),
+    skipped: report.numPendingTests + (report.numTodoTests || 0),
+    failures
+  };
+}
+
+/**
+ * Parse a JUnit XML report, as written by pytest's `--junitxml`
+ * @param {string} xml - The report
+ * @returns {object|null} - The test results
+ */
+function parseJunitXml(xml) {
+  if (!/<testsuite\b/.test(xml)) return null;
+
+  const decode = text => text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+    .replace(/&amp;/g, '&');
+  const attributes = text => Object.fromEntries([...text.matchAll(/([\w:-]+)="([^"]*)"/g)].map(match => [match[1], decode(match[2])]));
+
+  const results = { total: 0, passed: 0, failed: 0, skipped: 0, failures: [] };
+  for (const testCase of xml.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)) {
+    const test = attributes(testCase[1]);
+    const body = testCase[2] || '';
+    const failure = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+
+    results.total++;
+    if (failure) {
+      results.failed++;
+      results.failures.push({
+        name: test.classname ? `${test.classname}.${test.name}` : test.name,
+        message: decode(failure[3] || attributes(failure[2]).message || '').trim()
+      });
+    } else if (/<skipped\b/.test(body)) {
+      results.skipped++;
+    } else {
+      results.passed++;
+    }
+  }
+  return results;
+}
+
+/**
+ * Parse the verbose output of `python -m unittest`
+ * @param {string} stderr - The output; unittest reports on standard error
+ * @returns {object|null} - The test results
+ */
+function parseUnittestOutput(stderr) {
+  const ran = stderr.match(/^Ran (\d+) tests? in/m);
+  if (!ran) return null;
+
+  const status = stderr.match(/^(?:OK|FAILED)(?: \(([^)]*)\))?\s*$/m);
+  const counts = {};
+  for (const [, name, count] of ((status && status[1]) || '').matchAll(/([\w ]+)=(\d+)/g)) {
+    counts[name.trim()] = parseInt(count, 10);
+  }
+
+  // Each failure is a block that starts with a line of '=' and has its traceback below a line of '-'
+  const failures = stderr.split(/^={70}$/m).slice(1).map(block => {
+    const [header, ...rest] = block.trim().split(/^-{70}$/m);
+    return {
+      name: header.trim().replace(/^(?:FAIL|ERROR): /, ''),
+      message: rest.join('').split(/^Ran \d+ tests? in/m)[0].trim()
+    };
+  });
+
+  const total = parseInt(ran[1], 10);
+  const failed = (counts.failures || 0) + (counts.errors || 0);
+  const skipped = counts.skipped || 0;
+  return { total, passed: total - failed - skipped, failed, skipped, failures };
+}
+
+/**
+ * Parse the summary line of Test::Unit or Minitest
+ * @param {string} stdout - The output
+ * @returns {object|null} - The test results; the failures hold the whole output
+ */
+function parseRubyTestSummary(stdout) {
+  const summary = stdout.match(/(\d+) (?:tests|runs), \d+ assertions, (\d+) failures, (\d+) errors(?:, (\d+) (?:pendings|skips))?/);
+  if (!summary) return null;
+
+  const [total, failures, errors, skipped] = summary.slice(1).map(count => parseInt(count || '0', 10));
+  const failed = failures + errors;
+  return {
+    total,
+    passed: total - failed - skipped,
+    failed,
+    skipped,
+    failures: failed > 0 ? [{ name: 'Test run', message: stdout.trim() }] : []
+  };
+}
+
+/**
+ * Parse the output of `rspec --format json`
+ * @param {string} stdout - RSpec's standard output
+ * @returns {object|null} - The test results
+ */
+function parseRspecJson(stdout) {
+  const start = stdout.indexOf('{"version"');
+  const report = start === -1 ? null : parseFirstJsonObject(stdout.slice(start));
+  if (!report || !report.summary) return null;
+
+  const failures = (report.examples || [])
+    .filter(example => example.status === 'failed')
+    .map(example => ({
+      name: example.full_description,
+      message: (example.exception && example.exception.message) || ''
+    }));
+  // Errors while loading the spec file happen outside any example
+  if (report.summary.errors_outside_of_examples_count > 0) {
+    failures.push({ name: 'Loading the specs', message: (report.messages || []).join('\n') });
+  }
+
+  const total = report.summary.example_count;
+  const skipped = report.summary.pending_count;
+  return { total, passed: total - report.summary.failure_count - skipped, failed: failures.length, skipped, failures };
+}
+
+/**
+ * Describe a test run's outcome in a few words
+ * @param {object} results - Test results
+ * @returns {string} - For example "2 of 5 tests failed"
+ */
+function summarizeTestResults(results) {
+  if (results.failed > 0) {
+    return results.total > 0 ? `${results.failed} of ${results.total} tests failed` : 'The tests failed';
+  }
+  return results.total > 0 ? `All ${results.total} tests passed` : 'The tests passed';
+}
+
+/**
+ * Files that mark the root of a project, by language
+ */
+const PROJECT_MARKERS = {
+  javascript: ['package.json'],
+  typescript: ['package.json'],
+  python: ['pyproject.toml', 'setup.cfg', 'setup.py', 'pytest.ini', 'tox.ini', 'requirements.txt'],
+  ruby: ['Gemfile', '.rspec'],
+  go: ['go.mod'],
+  rust: ['Cargo.toml'],
+  php: ['composer.json'],
+  java: ['pom.xml', 'build.gradle', 'build.gradle.kts'],
+  c: ['CMakeLists.txt', 'Makefile'],
+  cpp: ['CMakeLists.txt', 'Makefile']
+};
 
-    // Handle inline code (but not inside already processed code blocks)
-    formattedContent = formattedContent.replace(/`([^`]+)`/g, '<code>$1</code>');
+/**
+ * Read a text file, if it exists
+ * @param {string} filePath - The file
+ * @returns {Promise<string|null>} - The content, or null if the file can't be read
+ */
+async function readTextFileIfExists(filePath) {
+  try {
+    return new TextDecoder().decode(await vscode.workspace.fs.readFile(vscode.Uri.file(filePath)));
+  } catch (error) {
+    return null;
+  }
+}
 
-    // Handle basic markdown formatting
-    formattedContent = formattedContent
-      // Bold
-      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-      // Italic
-      .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-      // Headers (h3 and h4 only, to avoid conflicts with message headers)
-      .replace(/^### (.*?)$/gm, '<h3>$1</h3>')
-      .replace(/^#### (.*?)$/gm, '<h4>$1</h4>')
-      // Bullet lists
-      .replace(/^- (.*?)$/gm, '<li>$1</li>')
-      // Numbered lists
-      .replace(/^\d+\. (.*?)$/gm, '<li>$1</li>')
-      // Convert line breaks to <br> (but preserve pre blocks)
-      .replace(/\n(?!<\/pre>)/g, '<br>');
+/**
+ * Check whether a path is a folder or inside it. Not a string prefix check, which would take
+ * /work/app-old to be inside /work/app.
+ * @param {string} folder - The folder
+ * @param {string} target - The path to check
+ * @returns {boolean}
+ */
+function isInsideFolder(folder, target) {
+  const relative = path.relative(folder, target);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
 
-    // Wrap lists in ul/ol tags
-    formattedContent = formattedContent
-      .replace(/(<li>.*?<\/li>)\s*<br>/g, '$1')
-      .replace(/(<li>.*?<\/li>)+/g, '<ul>$&</ul>');
+/**
+ * Check whether a file or directory exists
+ * @param {string} filePath - The path
+ * @returns {Promise<boolean>}
+ */
+async function pathExists(filePath) {
+  try {
+    await vscode.workspace.fs.stat(vscode.Uri.file(filePath));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
 
-    return formattedContent;
+/**
+ * Find the project a file belongs to: the nearest folder above it with one of the language's
+ * project files, without leaving the workspace folder
+ * @param {string} filePath - The file
+ * @param {string} workspaceRoot - The workspace folder's path
+ * @param {string} languageKey - A TEST_LANGUAGES key
+ * @returns {Promise<string>} - The project's root folder, or the workspace folder if none is found
+ */
+async function findProjectRoot(filePath, workspaceRoot, languageKey) {
+  const markers = PROJECT_MARKERS[languageKey] || [];
+  let directory = path.dirname(filePath);
+
+  while (isInsideFolder(workspaceRoot, directory)) {
+    for (const marker of markers) {
+      if (await pathExists(path.join(directory, marker))) {
+        return directory;
+      }
+    }
+    if (directory === workspaceRoot || path.dirname(directory) === directory) {
+      break;
+    }
+    directory = path.dirname(directory);
   }
+  return workspaceRoot;
+}
 
-  _escapeHtml(unsafe) {
-    return unsafe
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#039;");
+/**
+ * Work out which test framework a project uses from its package.json, Python configuration or Gemfile
+ * @param {string} projectRoot - The project's root folder
+ * @param {string} languageKey - A TEST_LANGUAGES key
+ * @returns {Promise<string|null>} - The TEST_FRAMEWORKS key, or null if the project doesn't say
+ */
+async function detectTestFramework(projectRoot, languageKey) {
+  const read = fileName => readTextFileIfExists(path.join(projectRoot, fileName));
+
+  switch (languageKey) {
+    case 'javascript':
+    case 'typescript': {
+      let manifest = {};
+      try {
+        manifest = JSON.parse(await read('package.json') || '{}');
+      } catch (error) {
+        console.log('Could not parse package.json:', error.message);
+      }
+      const dependencies = { ...manifest.dependencies, ...manifest.devDependencies };
+      const testScript = (manifest.scripts && manifest.scripts.test) || '';
+      return ['vitest', 'jest', 'mocha'].find(name => dependencies[name] || new RegExp(`\\b${name}\\b`).test(testScript)) || null;
+    }
+    case 'python': {
+      if (await pathExists(path.join(projectRoot, 'pytest.ini')) || await pathExists(path.join(projectRoot, 'conftest.py'))) {
+        return 'pytest';
+      }
+      const configs = await Promise.all(['pyproject.toml', 'setup.cfg', 'tox.ini', 'requirements.txt', 'requirements-dev.txt'].map(read));
+      return configs.some(config => config && /\bpytest\b/.test(config)) ? 'pytest' : null;
+    }
+    case 'ruby': {
+      const gemfile = await read('Gemfile') || '';
+      if (/gem\s+['"]rspec/.test(gemfile) || await pathExists(path.join(projectRoot, '.rspec'))) {
+        return 'rspec';
+      }
+      if (/gem\s+['"]minitest/.test(gemfile)) {
+        return 'minitest';
+      }
+      return /gem\s+['"]test-unit/.test(gemfile) ? 'test-unit' : null;
+    }
+    default:
+      return null;
   }
 }
 
 /**
- * Workflows view provider for the AI agentic workflows
+ * Work out where the tests for a source file go in its project and how they import it. Tests go
+ * in the project's test folder if it has one, mirroring the file's path below `src`, `lib` or
+ * `app`, and next to the source file otherwise.
+ * @param {vscode.TextDocument} document - The source file
+ * @param {object} setup - The file's testSetupFor entry
+ * @returns {Promise<object|null>} - The test layout for runTests, or null if the file isn't in a workspace folder
  */
-class AIWorkflowsViewProvider {
-  constructor(client, extensionContext) {
-    this.client = client;
-    this.extensionContext = extensionContext;
-    this._view = null;
-    this.workflows = [
-      {
-        id: 'explain-code',
-        name: 'Explain Code',
-        description: 'Get an explanation of the selected code',
-        systemPrompt: 'You are an expert programmer. Explain the following code in detail, including its purpose, how it works, and any potential issues or improvements.'
-      },
-      {
-        id: 'improve-code',
-        name: 'Improve Code',
-        description: 'Get suggestions to improve the selected code',
-        systemPrompt: 'You are an expert programmer. Analyze the following code and suggest specific improvements for performance, readability, and best practices. Provide the improved code.'
-      },
-      {
-        id: 'generate-tests',
-        name: 'Generate Tests',
-        description: 'Generate unit tests for the selected code',
-        systemPrompt: 'You are an expert in test-driven development. Generate comprehensive unit tests for the following code. Include edge cases and explain your testing strategy.'
-      },
-      {
-        id: 'document-code',
-        name: 'Document Code',
-        description: 'Generate documentation for the selected code',
-        systemPrompt: 'You are a technical documentation expert. Create detailed documentation for the following code, including function descriptions, parameter details, return values, and usage examples.'
-      },
-      {
-        id: 'refactor-code',
-        name: 'Refactor Code',
-        description: 'Refactor the selected code to improve its structure',
-        systemPrompt: 'You are an expert in code refactoring. Refactor the following code to improve its structure, maintainability, and adherence to design patterns, while preserving its functionality.'
-      }
-    ];
+async function planProjectTests(document, setup) {
+  const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+  if (document.isUntitled || document.uri.scheme !== 'file' || !workspaceFolder) {
+    return null;
   }
 
-  resolveWebviewView(webviewView) {
-    this._view = webviewView;
-    webviewView.webview.options = {
-      enableScripts: true,
-      localResourceRoots: []
-    };
-
-    this._updateWebview();
-
-    webviewView.webview.onDidReceiveMessage(async (data) => {
-      if (data.type === 'runWorkflow') {
-        const workflowId = data.workflowId;
-        const workflow = this.workflows.find(w => w.id === workflowId);
-
-        if (!workflow) {
-          vscode.window.showErrorMessage(`Workflow ${workflowId} not found`);
-          return;
-        }
-
-        try {
-          const editor = vscode.window.activeTextEditor;
-          if (!editor) {
-            vscode.window.showInformationMessage('No active editor');
-            return;
-          }
-
-          const selection = editor.selection;
-          const selectedText = editor.document.getText(selection);
-
-          if (!selectedText) {
-            vscode.window.showInformationMessage('No text selected');
-            return;
-          }
-
-          // Show progress notification
-          vscode.window.withProgress({
-            location: vscode.ProgressLocation.Notification,
-            title: `Running ${workflow.name}...`,
-            cancellable: false
-          }, async (progress) => {
-            progress.report({ increment: 0 });
+  const sourcePath = document.uri.fsPath;
+  const projectRoot = await findProjectRoot(sourcePath, workspaceFolder.uri.fsPath, setup.languageKey);
+  // A runner set in the settings is used even if the project has another test framework
+  const runnerTests = setup.framework.startsWith('runner:');
+  const detected = runnerTests ? null : await detectTestFramework(projectRoot, setup.languageKey);
+  const frameworkName = detected || setup.framework;
+  const framework = testFrameworkFor(frameworkName);
+  if (framework.projectMarker && !await pathExists(path.join(projectRoot, framework.projectMarker))) {
+    return null;
+  }
 
-            const fileName = editor.document.fileName.split('/').pop();
-            // Get file extension to potentially use for language-specific prompts
-            const fileExtension = fileName.split('.').pop();
+  const sourceName = path.basename(sourcePath);
+  const testName = framework.testFileName ? framework.testFileName(sourceName) : siblingTestFileName(sourceName, setup.languageKey);
 
-            // Use file extension to enhance the system prompt if needed
-            const enhancedPrompt = workflow.systemPrompt +
-              (fileExtension ? ` Focus on ${fileExtension} language best practices.` : '');
+  let testDirectory = null;
+  for (const name of framework.testDirectories || []) {
+    if (await pathExists(path.join(projectRoot, name))) {
+      testDirectory = path.join(projectRoot, name);
+      break;
+    }
+  }
 
-            const response = await this.client.makeRequestWithFileContext(
-              `Apply the "${workflow.name}" workflow to this code:`,
-              selectedText,
-              fileName,
-              {
-                systemPrompt: enhancedPrompt,
-                maxTokens: 4096
-              }
-            );
+  // Tests run by the project's own tool, such as Cargo's integration tests, go where the tool looks for them
+  if (!testDirectory && framework.projectMarker && framework.testDirectories) {
+    testDirectory = path.join(projectRoot, framework.testDirectories[0]);
+  }
 
-            progress.report({ increment: 100 });
+  let testPath = path.join(path.dirname(sourcePath), testName);
+  if (testDirectory && !sourcePath.startsWith(testDirectory + path.sep)) {
+    const folders = framework.projectMarker ? [] : path.relative(projectRoot, path.dirname(sourcePath)).split(path.sep).filter(Boolean);
+    if (['src', 'lib', 'app'].includes(folders[0])) {
+      folders.shift();
+    }
+    testPath = path.join(testDirectory, ...folders, testName);
+  }
 
-            // Show results in a new editor
-            const document = await vscode.workspace.openTextDocument({
-              content: response,
-              language: 'markdown'
-            });
+  const layout = {
+    framework: frameworkName,
+    fallback: detected ? undefined : setup.fallback,
+    cwd: projectRoot,
+    testUri: vscode.Uri.file(testPath),
+    testFile: path.relative(projectRoot, testPath),
+    codeUri: document.uri,
+    language: setup.languageKey,
+    inProject: true
+  };
 
-            await vscode.window.showTextDocument(document, { viewColumn: vscode.ViewColumn.Beside });
+  // Point the imports at the real module
+  const sourceWithoutExtension = sourcePath.slice(0, -path.extname(sourcePath).length);
+  let relativeImport = path.relative(path.dirname(testPath), sourceWithoutExtension).split(path.sep).join('/');
+  if (!relativeImport.startsWith('.')) {
+    relativeImport = `./${relativeImport}`;
+  }
 
-            return response;
-          });
-        } catch (error) {
-          vscode.window.showErrorMessage(`Error running workflow: ${error.message}`);
-        }
+  switch (setup.languageKey) {
+    case 'python': {
+      const modulePath = path.relative(projectRoot, sourceWithoutExtension).split(path.sep);
+      const sourceRoots = [projectRoot];
+      if (modulePath[0] === 'src') {
+        modulePath.shift();
+        sourceRoots.push(path.join(projectRoot, 'src'));
       }
-    });
+      layout.env = { PYTHONPATH: [...sourceRoots, process.env.PYTHONPATH].filter(Boolean).join(path.delimiter) };
+      layout.importHint = `Import the code under test with \`from ${modulePath.join('.')} import ...\`.`;
+      break;
+    }
+    case 'ruby':
+      layout.importHint = `Load the code under test with \`require_relative '${relativeImport}'\`.`;
+      break;
+    case 'go':
+      layout.importHint = 'The test file is in the same package as the code under test, so it needs no import for it.';
+      break;
+    case 'rust':
+      layout.importHint = "Use the code under test through the crate's public API.";
+      break;
+    case 'php':
+      layout.importHint = `Load the code under test with \`require_once __DIR__ . '/${relativeImport}${path.extname(sourcePath)}';\`.`;
+      break;
+    default:
+      // Deno and Bun resolve imports by their full file name
+      layout.importHint = runnerTests
+        ? `Import the code under test from '${relativeImport}${path.extname(sourcePath)}'.`
+        : `Import the code under test from '${relativeImport}', using the same module syntax as the source file.`;
   }
 
-  _updateWebview() {
-    if (!this._view) {
-      return;
-    }
+  return layout;
+}
 
-    this._view.webview.html = this._getHtmlForWebview();
-  }
+const TEST_FIX_SYSTEM_PROMPT = `You are an expert in test-driven development. Some tests fail. Decide for each failure whether
+the code has a bug or the test expects the wrong thing, and fix whichever is wrong. Only change the code to fix a real bug.
+Reply with only a JSON object:
+{"explanation": "what was wrong", "code": "the whole fixed code", "tests": "the whole fixed test file"}
+Leave out "code" or "tests" if it does not need to change.`;
 
-  _getHtmlForWebview() {
-    const workflowsHtml = this.workflows.map(workflow => {
-      return `
-        <div class="workflow-item" data-workflow-id="${workflow.id}">
-          <div class="workflow-header">
-            <h3>${workflow.name}</h3>
-          </div>
-          <div class="workflow-description">
-            ${workflow.description}
-          </div>
-          <div class="workflow-actions">
-            <button class="run-workflow-button" data-workflow-id="${workflow.id}">Run</button>
-          </div>
-        </div>
-      `;
-    }).join('');
+/**
+ * Ask the model to fix failing tests, or the code they test
+ * @param {LLMClient} client - The LLM client
+ * @param {object} run - `code`, `tests`, `fileName`, `testFile` and `results` of the failing run
+ * @param {object} [options] - `signal` (an AbortSignal)
+ * @returns {Promise<{explanation: string, code: string|undefined, tests: string|undefined}>} - The fix
+ */
+async function requestTestFix(client, run, options = {}) {
+  const failures = run.results.failures
+    .map(failure => `### ${failure.name}\n${failure.message}`)
+    .join('\n\n');
+
+  const reply = await client.makeRequest(
+    `Code (${run.fileName}):\n\`\`\`\n${run.code}\n\`\`\`\n\nTests (${run.testFile}):\n\`\`\`\n${run.tests}\n\`\`\`\n\n` +
+    `${summarizeTestResults(run.results)}:\n\n${truncateToolOutput(failures || run.output)}`,
+    { systemPrompt: TEST_FIX_SYSTEM_PROMPT, temperature: 0.2, signal: options.signal }
+  );
 
-    return `
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>AI Workflows</title>
-        <style>
-          body {
-            font-family: var(--vscode-font-family);
-            font-size: var(--vscode-font-size);
-            color: var(--vscode-foreground);
-            padding: 10px;
-            margin: 0;
-          }
-          .workflows-container {
-            display: flex;
-            flex-direction: column;
-            gap: 10px;
-          }
-          .workflow-item {
-            border: 1px solid var(--vscode-panel-border);
-            border-radius: 4px;
-            padding: 10px;
-            background-color: var(--vscode-editor-background);
-          }
-          .workflow-header {
-            margin-bottom: 5px;
-          }
-          .workflow-header h3 {
-            margin: 0;
-            font-size: 14px;
-          }
-          .workflow-description {
-            font-size: 12px;
-            margin-bottom: 10px;
-            color: var(--vscode-descriptionForeground);
-          }
-          .workflow-actions {
-            display: flex;
-            justify-content: flex-end;
-          }
-          .run-workflow-button {
-            background-color: var(--vscode-button-background);
-            color: var(--vscode-button-foreground);
-            border: none;
-            padding: 4px 8px;
-            border-radius: 2px;
-            cursor: pointer;
-            font-size: 12px;
-          }
-          .run-workflow-button:hover {
-            background-color: var(--vscode-button-hoverBackground);
-          }
-          .section-title {
-            font-size: 14px;
-            font-weight: bold;
-            margin-bottom: 10px;
-            border-bottom: 1px solid var(--vscode-panel-border);
-            padding-bottom: 5px;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="section-title">Available Workflows</div>
-        <div class="workflows-container">
-          ${workflowsHtml}
-        </div>
+  const fix = parseJsonReply(reply);
+  if (!fix || typeof fix !== 'object' || (typeof fix.code !== 'string' && typeof fix.tests !== 'string')) {
+    throw new Error('The AI did not return fixed code or tests');
+  }
+  return {
+    explanation: typeof fix.explanation === 'string' ? fix.explanation : '',
+    code: typeof fix.code === 'string' ? fix.code : undefined,
+    tests: typeof fix.tests === 'string' ? fix.tests : undefined
+  };
+}
 
-        <script>
-          const vscode = acquireVsCodeApi();
+/**
+ * Set the `provider` setting for settings saved before it existed, when the request format was
+ * guessed from `localLLMPath`: `/api/generate` and `/api/chat` were Ollama and any other path an
+ * OpenAI-compatible server. Only scopes with a `localLLMPath` and no `provider` are changed, so
+ * this runs once.
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyProvider() {
+  const config = vscode.workspace.getConfiguration('sebguru-assistant');
+  const pathSetting = config.inspect('localLLMPath');
+  const providerSetting = config.inspect('provider');
+  if (!pathSetting || !providerSetting) {
+    return;
+  }
 
-          // Add event listeners to run workflow buttons
-          document.querySelectorAll('.run-workflow-button').forEach(button => {
-            button.addEventListener('click', () => {
-              const workflowId = button.getAttribute('data-workflow-id');
-              vscode.postMessage({
-                type: 'runWorkflow',
-                workflowId: workflowId
-              });
-            });
-          });
-        </script>
-      </body>
-      </html>
-    `;
+  const scopes = [
+    ['globalValue', vscode.ConfigurationTarget.Global],
+    ['workspaceValue', vscode.ConfigurationTarget.Workspace]
+  ];
+  for (const [scope, target] of scopes) {
+    const legacyPath = pathSetting[scope];
+    if (!legacyPath || providerSetting[scope] !== undefined) {
+      continue;
+    }
+    const normalizedPath = legacyPath.startsWith('/') ? legacyPath : '/' + legacyPath;
+    const provider = normalizedPath === '/api/generate' ? 'ollama-generate'
+      : normalizedPath === '/api/chat' ? 'ollama-chat'
+      : 'openai';
+    console.log(`Setting provider to ${provider} to match localLLMPath ${legacyPath}`);
+    await config.update('provider', provider, target);
   }
 }
 
@@ -1038,387 +7287,241 @@ function activate(context) {
   const useLocalLLM = config.get('useLocalLLM');
   const localLLMUrl = config.get('localLLMUrl');
   const localLLMPath = config.get('localLLMPath');
+  const provider = config.get('provider');
   const apiHostname = config.get('apiHostname');
   const apiVersion = config.get('apiVersion');
   const apiKey = config.get('apiKey');
   const model = config.get('model');
   const maxTokens = config.get('maxTokens');
+  const contextWindow = config.get('contextWindow');
+  const streamResponses = config.get('streamResponses');
 
   // Create LLM client with configuration
   const client = new LLMClient({
     useLocalLLM,
     localLLMUrl,
     localLLMPath,
+    provider,
     apiHostname,
     apiVersion,
     apiKey,
     model,
-    maxTokens
+    maxTokens,
+    contextWindow,
+    streamResponses
   });
 
-  // Create webview providers
-  const chatViewProvider = new AIChatViewProvider(client);
-  const workflowsViewProvider = new AIWorkflowsViewProvider(client, context);
-
-  // Register webview providers
-  context.subscriptions.push(
-    vscode.window.registerWebviewViewProvider('aiChat', chatViewProvider),
-    vscode.window.registerWebviewViewProvider('aiWorkflows', workflowsViewProvider)
-  );
-
-  // Create a status bar item for quick access to the chat panel
-  const chatStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
-  chatStatusBarItem.text = "$(comment) AI Chat";
-  chatStatusBarItem.tooltip = "Open AI Chat Panel";
-  chatStatusBarItem.command = 'sebguru-assistant.openChatPanel';
-  chatStatusBarItem.show();
-
-  // Add the status bar item to subscriptions
-  context.subscriptions.push(chatStatusBarItem);
+  // The client picks up the provider through the configuration listener below
+  migrateLegacyProvider().catch(error => console.error('Could not set the provider from localLLMPath:', error));
 
-  // Show a welcome message with instructions on first activation
-  const showWelcomeMessage = () => {
-    const message = "SebGuru Assistant is active! Click the AI Chat button in the status bar or use Cmd+Shift+C to open the chat panel.";
-    vscode.window.showInformationMessage(message, "Open Chat Panel").then(selection => {
-      if (selection === "Open Chat Panel") {
-        vscode.commands.executeCommand('sebguru-assistant.openChatPanel');
-      }
-    });
+  // Describe the local server for status messages, e.g. "Ollama at http://127.0.0.1:11434/api/chat"
+  const describeLocalServer = () => {
+    const adapter = PROVIDER_ADAPTERS[client.provider];
+    if (!adapter) {
+      return `unknown provider "${client.provider}"`;
+    }
+    return `${adapter.label} at ${client.localUrl(client.localLLMPath || adapter.defaultPath)}`;
   };
 
-  // Show welcome message after a short delay
-  setTimeout(showWelcomeMessage, 1500);
-
-  // Add a command to open the chat in a panel instead of the sidebar
-  context.subscriptions.push(
-    vscode.commands.registerCommand('sebguru-assistant.openChatPanel', async () => {
-      // Create a webview panel for the chat
-      const panel = vscode.window.createWebviewPanel(
-        'chatPanel',
-        'SebGuru Chat',
-        vscode.ViewColumn.One,
-        {
-          enableScripts: true,
-          retainContextWhenHidden: true
-        }
-      );
-
-      // Initialize chat history
-      let chatHistory = [];
-
-      // Set the HTML content
-      function updatePanelContent() {
-        // Create chat history HTML with markdown formatting
-        const chatHistoryHtml = chatHistory.map(message => {
-          const isUser = message.role === 'user';
-          // Format the message content with markdown
-          const formattedContent = formatMessageContent(message.content);
-          return `
-            <div class="${isUser ? 'user-message' : 'assistant-message'}">
-              <div class="message-header">${isUser ? 'You' : 'AI Assistant'}</div>
-              <div class="message-content">${formattedContent}</div>
-            </div>
-          `;
-        }).join('');
-
-        // Helper function to format message content with markdown
-        function formatMessageContent(content) {
-          if (!content) return '';
-
-          // First handle code blocks to prevent interference with other formatting
-          let formattedContent = content.replace(/```([\w]*)\n([\s\S]*?)```/g, (_, language, code) => {
-            // Clean up the language identifier
-            language = language.trim();
-            // Create a properly formatted code block
-            return `<div class="code-block"><div class="code-header">${language || 'code'}</div><pre><code class="language-${language || 'text'}">${escapeHtml(code)}</code></pre></div>`;
-          });
-
-          // Handle inline code (but not inside already processed code blocks)
-          formattedContent = formattedContent.replace(/`([^`]+)`/g, '<code>$1</code>');
-
-          // Handle basic markdown formatting
-          formattedContent = formattedContent
-            // Bold
-            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-            // Italic
-            .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-            // Headers (h3 and h4 only, to avoid conflicts with message headers)
-            .replace(/^### (.*?)$/gm, '<h3>$1</h3>')
-            .replace(/^#### (.*?)$/gm, '<h4>$1</h4>')
-            // Bullet lists
-            .replace(/^- (.*?)$/gm, '<li>$1</li>')
-            // Numbered lists
-            .replace(/^\d+\. (.*?)$/gm, '<li>$1</li>')
-            // Convert line breaks to <br> (but preserve pre blocks)
-            .replace(/\n(?!<\/pre>)/g, '<br>');
-
-          // Wrap lists in ul/ol tags
-          formattedContent = formattedContent
-            .replace(/(<li>.*?<\/li>)\s*<br>/g, '$1')
-            .replace(/(<li>.*?<\/li>)+/g, '<ul>$&</ul>');
-
-          return formattedContent;
-        }
-
-        // Helper function to escape HTML
-        function escapeHtml(unsafe) {
-          return unsafe
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;")
-            .replace(/"/g, "&quot;")
-            .replace(/'/g, "&#039;");
-        }
-
-        panel.webview.html = `
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <meta charset="UTF-8">
-            <style>
-              body {
-                margin: 0;
-                padding: 0;
-                font-family: var(--vscode-font-family);
-                font-size: var(--vscode-font-size);
-                color: var(--vscode-foreground);
-                background-color: var(--vscode-editor-background);
-                display: flex;
-                flex-direction: column;
-                height: 100vh;
-              }
-
-              #chat-container {
-                display: flex;
-                flex-direction: column;
-                height: 100vh;
-                overflow: hidden;
-              }
-
-              #messages-container {
-                flex: 1;
-                overflow-y: auto;
-                padding: 16px;
-              }
-
-              #input-container {
-                padding: 16px;
-                border-top: 1px solid var(--vscode-panel-border);
-                background-color: var(--vscode-editor-background);
-              }
-
-              #chat-form {
-                display: flex;
-              }
-
-              #message-input {
-                flex: 1;
-                padding: 8px;
-                border: 1px solid var(--vscode-input-border);
-                background-color: var(--vscode-input-background);
-                color: var(--vscode-input-foreground);
-                border-radius: 4px;
-              }
-
-              #send-button {
-                margin-left: 8px;
-                background-color: var(--vscode-button-background);
-                color: var(--vscode-button-foreground);
-                border: none;
-                padding: 8px 16px;
-                border-radius: 4px;
-                cursor: pointer;
-              }
-
-              .user-message, .assistant-message {
-                margin-bottom: 16px;
-                padding: 12px;
-                border-radius: 8px;
-                max-width: 80%;
-              }
-
-              .user-message {
-                align-self: flex-end;
-                margin-left: auto;
-                background-color: var(--vscode-button-background);
-                color: var(--vscode-button-foreground);
-              }
-
-              .assistant-message {
-                align-self: flex-start;
-                margin-right: auto;
-                background-color: var(--vscode-editor-inactiveSelectionBackground);
-              }
+  // Chat sessions are shared by the sidebar and the chat panel
+  const sessionStore = new ChatSessionStore(context.workspaceState);
 
-              .message-header {
-                font-weight: bold;
-                margin-bottom: 4px;
-              }
+  // Execute Code and Test Code keep their runs in the workspace's storage folder; old runs are cleaned up now
+  if (context.storageUri) {
+    runsFolder = path.join(context.storageUri.fsPath, 'runs');
+  }
+  pruneRunHistory();
 
-              .message-content {
-                white-space: pre-wrap;
-              }
+  // Commands run in terminals, for @terminal mentions in chat
+  context.subscriptions.push(...watchTerminalOutput());
 
-              #loading {
-                text-align: center;
-                padding: 16px;
-                display: none;
-              }
+  // Indexes the workspace in the background when semanticIndex.enabled is on
+  const workspaceIndex = new WorkspaceIndex(client, context.globalStorageUri);
+  context.subscriptions.push(workspaceIndex);
+  workspaceIndex.start();
 
-              #loading.active {
-                display: block;
-              }
-            </style>
-          </head>
-          <body>
-            <div id="chat-container">
-              <div id="messages-container">
-                ${chatHistoryHtml}
-                <div id="loading">AI Assistant is thinking...</div>
-              </div>
-              <div id="input-container">
-                <form id="chat-form">
-                  <input type="text" id="message-input" placeholder="Type your message here..." autocomplete="off">
-                  <button type="submit" id="send-button">Send</button>
-                </form>
-              </div>
-            </div>
-
-            <script>
-              const vscode = acquireVsCodeApi();
-              const messagesContainer = document.getElementById('messages-container');
-              const messageInput = document.getElementById('message-input');
-              const chatForm = document.getElementById('chat-form');
-              const loading = document.getElementById('loading');
-
-              // Scroll to bottom of messages
-              function scrollToBottom() {
-                messagesContainer.scrollTop = messagesContainer.scrollHeight;
-              }
+  // Create webview providers
+  const chatViewProvider = new AIChatViewProvider(client, sessionStore, workspaceIndex, context.workspaceState, controller => showChatPanel(controller));
+  // Built-in workflows plus those defined in workspace and user workflow files
+  const workflowRegistry = new WorkflowRegistry();
+  workflowRegistry.initialize();
+  context.subscriptions.push(workflowRegistry);
+  const workflowRunner = new WorkflowRunner(client, workspaceIndex);
+  context.subscriptions.push(workflowRunner);
+  const workflowsViewProvider = new AIWorkflowsViewProvider(client, context, workflowRegistry, workflowRunner);
+
+  // Register webview providers, inline completions and the file system that holds AI proposals under review
+  context.subscriptions.push(
+    vscode.workspace.registerFileSystemProvider(ProposalFileSystem.SCHEME, proposalFileSystem, { isCaseSensitive: true }),
+    vscode.window.registerWebviewViewProvider('aiChat', chatViewProvider),
+    vscode.window.registerWebviewViewProvider('aiWorkflows', workflowsViewProvider),
+    vscode.languages.registerInlineCompletionItemProvider({ pattern: '**' }, new AIInlineCompletionProvider(client))
+  );
 
-              // Scroll to bottom on initial load
-              scrollToBottom();
-
-              // Focus the input field
-              messageInput.focus();
-
-              // Send message function
-              function sendMessage() {
-                const message = messageInput.value.trim();
-                if (message) {
-                  vscode.postMessage({
-                    type: 'sendMessage',
-                    value: message
-                  });
-                  messageInput.value = '';
-                }
-              }
+  /**
+   * Show a conversation in a new chat panel. The panel owns the controller until it is closed
+   * or the conversation is moved to the sidebar.
+   * @param {ChatController} controller - The conversation to show
+   */
+  function showChatPanel(controller) {
+    const panelTitle = session => session.messages.length > 0 ? `SebGuru Chat: ${session.title}` : 'SebGuru Chat';
+    const panel = vscode.window.createWebviewPanel(
+      'chatPanel',
+      panelTitle(controller.session),
+      vscode.ViewColumn.One,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true
+      }
+    );
+
+    let movedToSidebar = false;
+    const listeners = [
+      controller.onDidChangeSession(session => {
+        panel.title = panelTitle(session);
+      }),
+      controller.onDidRequestMove(() => {
+        movedToSidebar = true;
+        listeners.forEach(listener => listener.dispose());
+        chatViewProvider.setController(controller);
+        panel.dispose();
+        vscode.commands.executeCommand('aiChat.focus');
+      })
+    ];
 
-              // Add event listeners
-              chatForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                sendMessage();
-              });
+    controller.attach(panel.webview, 'panel');
 
-              // Handle messages from extension
-              window.addEventListener('message', (event) => {
-                const message = event.data;
-
-                if (message.type === 'setLoading') {
-                  if (message.value) {
-                    loading.classList.add('active');
-                  } else {
-                    loading.classList.remove('active');
-                  }
-                  scrollToBottom();
-                } else if (message.type === 'updateChat') {
-                  // The extension will handle updating the entire HTML
-                  // Just scroll to bottom after update
-                  scrollToBottom();
-                }
-              });
-            </script>
-          </body>
-          </html>
-        `;
+    panel.onDidDispose(() => {
+      listeners.forEach(listener => listener.dispose());
+      if (!movedToSidebar) {
+        controller.dispose();
       }
+    });
+  }
 
-      // Initial content update
-      updatePanelContent();
+  /**
+   * Ask the AI why a run of code failed, streaming the explanation into a new editor
+   * @param {string} code - The code that was run
+   * @param {string} fileName - The file the code came from
+   * @param {object} result - The result from executeCode
+   */
+  async function explainExecutionError(code, fileName, result) {
+    try {
+      await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'AI Assistant is explaining the error...',
+        cancellable: true
+      }, async (progress, token) => {
+        const output = await openStreamingDocument('markdown');
+        const outcome = result.timedOut ? 'It timed out.' : `It exited with code ${result.exitCode}.`;
+        await client.makeRequestWithFileContext(
+          `I ran this code with \`${result.command}\`. ${outcome}\n\nstdout:\n${result.stdout || '(empty)'}\n\nstderr:\n${result.stderr || '(empty)'}\n\nExplain what went wrong and how to fix it.`,
+          code,
+          fileName,
+          {
+            systemPrompt: 'You are an expert programmer. Explain why the code failed, pointing at the lines responsible, and show the fix.',
+            signal: abortSignalFromToken(token),
+            onToken: text => output.append(text)
+          }
+        );
+      });
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        return;
+      }
+      vscode.window.showErrorMessage(`AI Assistant error: ${error.message}`);
+    }
+  }
 
-      // Handle messages from the webview
-      panel.webview.onDidReceiveMessage(async (data) => {
-        if (data.type === 'sendMessage') {
-          try {
-            const userMessage = data.value;
-            chatHistory.push({ role: 'user', content: userMessage });
-            updatePanelContent();
+  // Create a status bar item for quick access to the chat panel
+  const chatStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+  chatStatusBarItem.text = "$(comment) AI Chat";
+  chatStatusBarItem.tooltip = "Open AI Chat Panel";
+  chatStatusBarItem.command = 'sebguru-assistant.openChatPanel';
+  chatStatusBarItem.show();
 
-            // Show loading indicator
-            panel.webview.postMessage({ type: 'setLoading', value: true });
+  // Add the status bar item to subscriptions
+  context.subscriptions.push(chatStatusBarItem);
 
-            try {
-              console.log('Processing user message:', userMessage);
+  // Show the active model in the status bar; clicking it opens the model picker
+  const modelStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 99);
+  modelStatusBarItem.command = 'sebguru-assistant.selectModel';
+  const updateModelStatusBarItem = () => {
+    modelStatusBarItem.text = `$(hubot) ${client.model}`;
+    modelStatusBarItem.tooltip = `AI model: ${client.model} (click to change)`;
+  };
+  updateModelStatusBarItem();
+  modelStatusBarItem.show();
+  context.subscriptions.push(modelStatusBarItem);
 
-              // Set a timeout for the request
-              const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('Request timed out after 60 seconds')), 60000);
-              });
+  // Show a welcome message with instructions on first activation
+  const showWelcomeMessage = () => {
+    const message = "SebGuru Assistant is active! Click the AI Chat button in the status bar or use Cmd+Shift+C to open the chat panel.";
+    vscode.window.showInformationMessage(message, "Open Chat Panel").then(selection => {
+      if (selection === "Open Chat Panel") {
+        vscode.commands.executeCommand('sebguru-assistant.openChatPanel');
+      }
+    });
+  };
 
-              // Get response from LLM with timeout
-              console.log('Making request to LLM...');
-              const response = await Promise.race([
-                client.makeRequest(userMessage, {
-                  systemPrompt: `You are SebGuru, an AI coding assistant. Help the user with their coding tasks and questions.
+  // Show welcome message after a short delay
+  setTimeout(showWelcomeMessage, 1500);
 
-                  When asked to create a Python script or any other code, provide ONLY the complete code without any explanations or markdown formatting.
-                  For example, if asked to create a Python script that prints "Hello World", respond with just:
+  // Add a command to open the chat in a panel instead of the sidebar
+  context.subscriptions.push(
+    vscode.commands.registerCommand('sebguru-assistant.openChatPanel', async (sessionId) => {
+      showChatPanel(new ChatController(client, sessionStore, workspaceIndex, sessionId));
+    }),
 
-                  print("Hello World")
+    // Pick a model from the ones available on the server and save it to the configuration
+    vscode.commands.registerCommand('sebguru-assistant.selectModel', async () => {
+      const selectedModel = await pickModel(client);
+      if (!selectedModel || selectedModel === client.model) {
+        return;
+      }
 
-                  Do not include explanations like "I don't have access to your system" - you are integrated into VS Code
-                  and can provide code that the user can copy and paste into their files.
+      client.setModel(selectedModel);
+      updateModelStatusBarItem();
 
-                  Always provide complete, working solutions that directly address the user's request.`,
-                }),
-                timeoutPromise
-              ]);
+      try {
+        // Save where the current value comes from, so a workspace setting doesn't override the choice
+        const modelConfig = vscode.workspace.getConfiguration('sebguru-assistant');
+        const inspected = modelConfig.inspect('model');
+        const target = inspected && inspected.workspaceValue !== undefined
+          ? vscode.ConfigurationTarget.Workspace
+          : vscode.ConfigurationTarget.Global;
+        await modelConfig.update('model', selectedModel, target);
+        vscode.window.showInformationMessage(`AI model set to: ${selectedModel}`);
+      } catch (error) {
+        vscode.window.showErrorMessage(`Error saving model setting: ${error.message}`);
+      }
+    }),
 
-              console.log('Received response from LLM:', response ? response.substring(0, 100) + '...' : 'null or empty');
+    // Pick a saved chat session and choose which chat surface to open it in
+    vscode.commands.registerCommand('sebguru-assistant.chatSessions', async () => {
+      const picked = await pickChatSession(sessionStore);
+      if (!picked) {
+        return;
+      }
 
-              // Handle empty or invalid responses
-              if (!response || typeof response !== 'string' || response.trim() === '') {
-                throw new Error('Received empty or invalid response from LLM');
-              }
+      const target = await vscode.window.showQuickPick(
+        [
+          { label: 'Chat Panel', description: 'Open the session in a chat panel', value: 'panel' },
+          { label: 'Sidebar', description: 'Open the session in the sidebar chat', value: 'sidebar' }
+        ],
+        { placeHolder: 'Where do you want to open the chat session?' }
+      );
 
-              // Add response to chat history
-              chatHistory.push({ role: 'assistant', content: response });
-              console.log('Added response to chat history');
+      if (!target) {
+        return;
+      }
 
-              // Hide loading indicator and update webview
-              panel.webview.postMessage({ type: 'setLoading', value: false });
-              console.log('Updating panel content');
-              updatePanelContent();
-              panel.webview.postMessage({ type: 'updateChat' });
-              console.log('Panel content updated');
-            } catch (error) {
-              console.error('Error getting response from LLM:', error);
-              vscode.window.showErrorMessage(`AI Assistant error: ${error.message}`);
-              panel.webview.postMessage({ type: 'setLoading', value: false });
-
-              // Add a message to the chat history indicating the error
-              chatHistory.push({
-                role: 'assistant',
-                content: `I'm sorry, I encountered an error: ${error.message}. Please try again or check the server logs.`
-              });
-              updatePanelContent();
-            }
-          } catch (error) {
-            vscode.window.showErrorMessage(`AI Assistant error: ${error.message}`);
-            panel.webview.postMessage({ type: 'setLoading', value: false });
-          }
-        }
-      });
+      if (target.value === 'panel') {
+        await vscode.commands.executeCommand('sebguru-assistant.openChatPanel', picked.sessionId);
+      } else {
+        chatViewProvider.openSession(picked.sessionId);
+        await vscode.commands.executeCommand('aiChat.focus');
+      }
     }),
 
     // Add a test command to create a simple webview
@@ -1512,27 +7615,28 @@ function activate(context) {
 
       if (input) {
         try {
-          vscode.window.withProgress({
+          await vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
             title: 'Asking AI Assistant...',
-            cancellable: false
-          }, async (progress) => {
+            cancellable: true
+          }, async (progress, token) => {
+            const signal = abortSignalFromToken(token);
             progress.report({ increment: 0 });
 
-            const response = await client.makeRequest(input);
-            progress.report({ increment: 100 });
-
-            // Show results in a new editor
-            const document = await vscode.workspace.openTextDocument({
-              content: response,
-              language: 'markdown'
+            // Stream results into a new editor
+            const output = await openStreamingDocument('markdown');
+            const response = await client.makeRequest(input, {
+              signal,
+              onToken: text => output.append(text)
             });
-
-            await vscode.window.showTextDocument(document, { viewColumn: vscode.ViewColumn.Beside });
+            progress.report({ increment: 100 });
 
             return response;
           });
         } catch (error) {
+          if (axios.isCancel(error)) {
+            return;
+          }
           vscode.window.showErrorMessage(`AI Assistant error: ${error.message}`);
         }
       }
@@ -1554,37 +7658,37 @@ function activate(context) {
       }
 
       try {
-        vscode.window.withProgress({
+        await vscode.window.withProgress({
           location: vscode.ProgressLocation.Notification,
           title: 'AI Assistant is explaining code...',
-          cancellable: false
-        }, async (progress) => {
+          cancellable: true
+        }, async (progress, token) => {
+          const signal = abortSignalFromToken(token);
           progress.report({ increment: 0 });
 
           const fileName = editor.document.fileName.split('/').pop();
 
+          // Stream results into a new editor
+          const output = await openStreamingDocument('markdown');
           const response = await client.makeRequestWithFileContext(
             'Explain this code in detail:',
             selectedText,
             fileName,
             {
               systemPrompt: 'You are an expert programmer. Explain the following code in detail, including its purpose, how it works, and any potential issues or improvements.',
+              signal,
+              onToken: text => output.append(text)
             }
           );
 
           progress.report({ increment: 100 });
 
-          // Show results in a new editor
-          const document = await vscode.workspace.openTextDocument({
-            content: response,
-            language: 'markdown'
-          });
-
-          await vscode.window.showTextDocument(document, { viewColumn: vscode.ViewColumn.Beside });
-
           return response;
         });
       } catch (error) {
+        if (axios.isCancel(error)) {
+          return;
+        }
         vscode.window.showErrorMessage(`AI Assistant error: ${error.message}`);
       }
     }),
@@ -1605,37 +7709,37 @@ function activate(context) {
       }
 
       try {
-        vscode.window.withProgress({
+        await vscode.window.withProgress({
           location: vscode.ProgressLocation.Notification,
           title: 'AI Assistant is improving code...',
-          cancellable: false
-        }, async (progress) => {
+          cancellable: true
+        }, async (progress, token) => {
+          const signal = abortSignalFromToken(token);
           progress.report({ increment: 0 });
 
           const fileName = editor.document.fileName.split('/').pop();
 
+          // Stream results into a new editor
+          const output = await openStreamingDocument('markdown');
           const response = await client.makeRequestWithFileContext(
             'Improve this code:',
             selectedText,
             fileName,
             {
               systemPrompt: 'You are an expert programmer. Analyze the following code and suggest specific improvements for performance, readability, and best practices. Provide the improved code.',
+              signal,
+              onToken: text => output.append(text)
             }
           );
 
           progress.report({ increment: 100 });
 
-          // Show results in a new editor
-          const document = await vscode.workspace.openTextDocument({
-            content: response,
-            language: 'markdown'
-          });
-
-          await vscode.window.showTextDocument(document, { viewColumn: vscode.ViewColumn.Beside });
-
           return response;
         });
       } catch (error) {
+        if (axios.isCancel(error)) {
+          return;
+        }
         vscode.window.showErrorMessage(`AI Assistant error: ${error.message}`);
       }
     }),
@@ -1648,11 +7752,12 @@ function activate(context) {
 
       if (input) {
         try {
-          vscode.window.withProgress({
+          await vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
             title: 'AI Assistant is generating code...',
-            cancellable: false
-          }, async (progress) => {
+            cancellable: true
+          }, async (progress, token) => {
+            const signal = abortSignalFromToken(token);
             progress.report({ increment: 0 });
 
             const editor = vscode.window.activeTextEditor;
@@ -1663,26 +7768,25 @@ function activate(context) {
               language = fileName || 'javascript';
             }
 
+            // Stream results into a new editor
+            const output = await openStreamingDocument(language);
             const response = await client.makeRequest(
               `Generate the following code: ${input}`,
               {
                 systemPrompt: `You are an expert programmer. Generate high-quality ${language} code based on the user's description. Include comments explaining the code.`,
+                signal,
+                onToken: text => output.append(text)
               }
             );
 
             progress.report({ increment: 100 });
 
-            // Show results in a new editor
-            const document = await vscode.workspace.openTextDocument({
-              content: response,
-              language: language
-            });
-
-            await vscode.window.showTextDocument(document, { viewColumn: vscode.ViewColumn.Beside });
-
             return response;
           });
         } catch (error) {
+          if (axios.isCancel(error)) {
+            return;
+          }
           vscode.window.showErrorMessage(`AI Assistant error: ${error.message}`);
         }
       }
@@ -1745,8 +7849,9 @@ function activate(context) {
           await vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
             title: 'Generating file content...',
-            cancellable: false
-          }, async (progress) => {
+            cancellable: true
+          }, async (progress, token) => {
+            const signal = abortSignalFromToken(token);
             progress.report({ increment: 0 });
 
             // Generate content using AI
@@ -1757,7 +7862,8 @@ function activate(context) {
               {
                 systemPrompt: `You are an expert programmer. Generate high-quality ${fileExtension} code based on the user's description.
                                Do not include markdown code blocks or explanations, just output the raw file content.`,
-                temperature: 0.2
+                temperature: 0.2,
+                signal
               }
             );
 
@@ -1768,6 +7874,9 @@ function activate(context) {
             return content;
           });
         } catch (error) {
+          if (axios.isCancel(error)) {
+            return;
+          }
           vscode.window.showErrorMessage(`Error generating file content: ${error.message}`);
           return;
         }
@@ -1809,12 +7918,18 @@ function activate(context) {
         return;
       }
 
-      // Get project type from user
+      // Get the template from user; custom structures are designed by the AI
+      const { templates, errors: templateErrors } = await loadProjectTemplates(context.extensionUri);
+      templateErrors.forEach(message => vscode.window.showWarningMessage(`Skipped project template ${message}`));
+
       const projectType = await vscode.window.showQuickPick(
         [
-          { label: 'Node.js', description: 'Basic Node.js project', value: 'nodejs' },
-          { label: 'React', description: 'React application', value: 'react' },
-          { label: 'Python', description: 'Python project', value: 'python' },
+          ...templates.map(template => ({
+            label: template.name,
+            description: template.description,
+            detail: template.source === 'built-in' ? undefined : `${template.source} template: ${template.uri.fsPath}`,
+            template
+          })),
           { label: 'Custom', description: 'Define custom structure with AI', value: 'custom' }
         ],
         { placeHolder: 'Select project type' }
@@ -1825,6 +7940,7 @@ function activate(context) {
       }
 
       let structure = [];
+      let preview = false;
 
       if (projectType.value === 'custom') {
         // Get structure description from user
@@ -1842,86 +7958,119 @@ function activate(context) {
           await vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
             title: 'Generating project structure...',
-            cancellable: false
-          }, async (progress) => {
+            cancellable: true
+          }, async (progress, token) => {
+            const signal = abortSignalFromToken(token);
             progress.report({ increment: 0 });
 
-            // Generate structure using AI
-            const response = await client.makeRequest(
-              `Generate a project structure based on this description: ${description}.
-               Format the response as a valid JSON array that can be parsed directly.
-               Each item should have: "name" (string), "type" ("file" or "directory"), and optionally "content" (for files) or "children" (array, for directories).
-               Example: [{"name": "src", "type": "directory", "children": [{"name": "index.js", "type": "file", "content": "console.log('Hello')"}]}]`,
-              {
-                systemPrompt: `You are an expert in software architecture. Generate a valid JSON structure for a project based on the user's description.
-                               The JSON must be parseable and follow the specified format exactly. Do not include any explanations or markdown, just the JSON array.`,
-                temperature: 0.2
-              }
-            );
-
-            // Parse the response
-            try {
-              // Clean up the response (remove markdown code blocks if present)
-              const cleanedResponse = response.replace(/```json\n/g, '').replace(/```$/g, '').trim();
-              structure = JSON.parse(cleanedResponse);
-            } catch (parseError) {
-              throw new Error(`Failed to parse structure: ${parseError.message}`);
-            }
+            // Generate the structure with AI, sending malformed answers back to be fixed
+            structure = await requestProjectStructure(client, description, {
+              signal,
+              onRetry: (attempt, error) => progress.report({
+                message: `Fixing an invalid structure (attempt ${attempt} of ${PROJECT_STRUCTURE_ATTEMPTS}): ${error.message}`
+              })
+            });
 
             progress.report({ increment: 100 });
           });
         } catch (error) {
+          if (axios.isCancel(error)) {
+            return;
+          }
           vscode.window.showErrorMessage(`Error generating project structure: ${error.message}`);
           return;
         }
-      } else if (projectType.value === 'nodejs') {
-        structure = [
-          { name: "src", type: "directory", children: [
-            { name: "index.js", type: "file", content: "console.log('Hello, Node.js!');" }
-          ]},
-          { name: "package.json", type: "file", content: '{\n  "name": "nodejs-project",\n  "version": "1.0.0",\n  "description": "A Node.js project",\n  "main": "src/index.js",\n  "scripts": {\n    "start": "node src/index.js",\n    "test": "echo \\"Error: no test specified\\" && exit 1"\n  },\n  "keywords": [],\n  "author": "",\n  "license": "ISC"\n}' },
-          { name: ".gitignore", type: "file", content: "node_modules/\n.env\n.DS_Store" },
-          { name: "README.md", type: "file", content: "# Node.js Project\n\nA simple Node.js project.\n\n## Installation\n\n```bash\nnpm install\n```\n\n## Usage\n\n```bash\nnpm start\n```" }
-        ];
-      } else if (projectType.value === 'react') {
-        structure = [
-          { name: "public", type: "directory", children: [
-            { name: "index.html", type: "file", content: '<!DOCTYPE html>\n<html lang="en">\n<head>\n  <meta charset="utf-8" />\n  <meta name="viewport" content="width=device-width, initial-scale=1" />\n  <title>React App</title>\n</head>\n<body>\n  <div id="root"></div>\n</body>\n</html>' }
-          ]},
-          { name: "src", type: "directory", children: [
-            { name: "App.js", type: "file", content: "import React from 'react';\n\nfunction App() {\n  return (\n    <div className=\"App\">\n      <header className=\"App-header\">\n        <h1>Welcome to React</h1>\n        <p>Edit <code>src/App.js</code> and save to reload.</p>\n      </header>\n    </div>\n  );\n}\n\nexport default App;" },
-            { name: "index.js", type: "file", content: "import React from 'react';\nimport ReactDOM from 'react-dom/client';\nimport App from './App';\n\nconst root = ReactDOM.createRoot(document.getElementById('root'));\nroot.render(\n  <React.StrictMode>\n    <App />\n  </React.StrictMode>\n);" },
-            { name: "components", type: "directory", children: [] },
-            { name: "styles", type: "directory", children: [
-              { name: "App.css", type: "file", content: ".App {\n  text-align: center;\n}\n\n.App-header {\n  background-color: #282c34;\n  min-height: 100vh;\n  display: flex;\n  flex-direction: column;\n  align-items: center;\n  justify-content: center;\n  font-size: calc(10px + 2vmin);\n  color: white;\n}" }
-            ]}
-          ]},
-          { name: "package.json", type: "file", content: '{\n  "name": "react-app",\n  "version": "0.1.0",\n  "private": true,\n  "dependencies": {\n    "react": "^18.2.0",\n    "react-dom": "^18.2.0"\n  },\n  "scripts": {\n    "start": "react-scripts start",\n    "build": "react-scripts build",\n    "test": "react-scripts test",\n    "eject": "react-scripts eject"\n  },\n  "eslintConfig": {\n    "extends": [\n      "react-app",\n      "react-app/jest"\n    ]\n  },\n  "browserslist": {\n    "production": [\n      ">0.2%",\n      "not dead",\n      "not op_mini all"\n    ],\n    "development": [\n      "last 1 chrome version",\n      "last 1 firefox version",\n      "last 1 safari version"\n    ]\n  }\n}' },
-          { name: ".gitignore", type: "file", content: "# dependencies\nnode_modules\n/.pnp\n.pnp.js\n\n# testing\n/coverage\n\n# production\n/build\n\n# misc\n.DS_Store\n.env.local\n.env.development.local\n.env.test.local\n.env.production.local\n\nnpm-debug.log*\nyarn-debug.log*\nyarn-error.log*" },
-          { name: "README.md", type: "file", content: "# React App\n\nThis project was bootstrapped with Create React App.\n\n## Available Scripts\n\nIn the project directory, you can run:\n\n### `npm start`\n\nRuns the app in the development mode.\nOpen [http://localhost:3000](http://localhost:3000) to view it in your browser." }
-        ];
-      } else if (projectType.value === 'python') {
-        structure = [
-          { name: "src", type: "directory", children: [
-            { name: "__init__.py", type: "file", content: "" },
-            { name: "main.py", type: "file", content: "def main():\n    print('Hello, Python!')\n\nif __name__ == '__main__':\n    main()" }
-          ]},
-          { name: "tests", type: "directory", children: [
-            { name: "__init__.py", type: "file", content: "" },
-            { name: "test_main.py", type: "file", content: "import unittest\nfrom src.main import main\n\nclass TestMain(unittest.TestCase):\n    def test_main(self):\n        # Add your test here\n        pass\n\nif __name__ == '__main__':\n    unittest.main()" }
-          ]},
-          { name: "requirements.txt", type: "file", content: "# Add your dependencies here" },
-          { name: "setup.py", type: "file", content: "from setuptools import setup, find_packages\n\nsetup(\n    name='python-project',\n    version='0.1.0',\n    packages=find_packages(),\n    install_requires=[\n        # Add your dependencies here\n    ],\n)" },
-          { name: ".gitignore", type: "file", content: "__pycache__/\n*.py[cod]\n*$py.class\n*.so\n.Python\nenv/\nbuild/\ndevelop-eggs/\ndist/\ndownloads/\neggs/\n.eggs/\nlib/\nlib64/\nparts/\nsdist/\nvar/\n*.egg-info/\n.installed.cfg\n*.egg" },
-          { name: "README.md", type: "file", content: "# Python Project\n\nA simple Python project.\n\n## Installation\n\n```bash\npip install -e .\n```\n\n## Usage\n\n```bash\npython -m src.main\n```" }
-        ];
-      }
-
-      // Create the project structure
-      const success = await createStructure(structure, basePath);
+        preview = true;
+      } else {
+        const template = projectType.template;
+        try {
+          structure = await readTemplateStructure(template.uri);
+        } catch (error) {
+          vscode.window.showErrorMessage(`Error reading template ${template.name}: ${error.message}`);
+          return;
+        }
+
+        // Ask for the placeholder values
+        const variables = {};
+        for (const name of templatePlaceholders(template, structure)) {
+          const variable = template.variables[name] || {};
+          const value = await vscode.window.showInputBox({
+            prompt: variable.prompt || `Value for {{${name}}}`,
+            value: variable.default !== undefined ? String(variable.default) : (name === 'projectName' ? path.basename(basePath) : '')
+          });
+          if (value === undefined) {
+            return;
+          }
+          variables[name] = value;
+        }
+        structure = renderTemplateStructure(structure, variables);
+
+        // Sections marked {{ai: ...}} are written by the AI, or left empty
+        let hasAiSections = false;
+        walkStructure(structure, node => {
+          hasAiSections = hasAiSections || (!!node.content && new RegExp(TEMPLATE_AI_MARKER.source).test(node.content));
+        });
+        if (hasAiSections) {
+          const fill = await vscode.window.showQuickPick(
+            [
+              { label: 'Fill with AI', description: 'Let the AI write the marked sections', value: true },
+              { label: 'Leave Empty', description: 'Remove the markers', value: false }
+            ],
+            { placeHolder: `${template.name} has sections for the AI to write` }
+          );
+          if (!fill) {
+            return;
+          }
+
+          try {
+            await vscode.window.withProgress({
+              location: vscode.ProgressLocation.Notification,
+              title: 'Filling template sections with AI...',
+              cancellable: true
+            }, async (progress, token) => {
+              await fillTemplateSections(structure, fill.value ? client : null, {
+                projectName: variables.projectName,
+                signal: abortSignalFromToken(token),
+                onSection: filePath => progress.report({ message: filePath })
+              });
+            });
+          } catch (error) {
+            if (axios.isCancel(error)) {
+              return;
+            }
+            vscode.window.showErrorMessage(`Error filling template sections: ${error.message}`);
+            return;
+          }
+          // Let the user check what the AI wrote before it is created
+          preview = fill.value;
+        }
+      }
+
+      // Create the project structure; AI-written files are previewed before anything is written
+      const success = await createStructure(structure, basePath, { preview });
       if (success) {
         vscode.window.showInformationMessage(`Project structure created at: ${basePath}`);
       }
+
+      if (success && projectType.template && projectType.template.postCreate.length > 0) {
+        const commands = projectType.template.postCreate;
+        if (!vscode.workspace.isTrusted) {
+          vscode.window.showWarningMessage(`Skipped the ${projectType.template.name} setup commands because the workspace is not trusted`);
+          return;
+        }
+
+        const choice = await vscode.window.showWarningMessage(
+          `Run the ${projectType.template.name} setup commands in ${basePath}?\n\n${commands.join('\n')}`,
+          { modal: true },
+          'Run'
+        );
+        if (choice === 'Run') {
+          // A terminal shows the progress of installs and keeps the output around
+          const terminal = vscode.window.createTerminal({ name: `Setup ${path.basename(basePath)}`, cwd: basePath });
+          terminal.show();
+          commands.forEach(command => terminal.sendText(command));
+        }
+      }
     }),
 
     vscode.commands.registerCommand('sebguru-assistant.suggestFeatures', async () => {
@@ -1950,8 +8099,8 @@ function activate(context) {
           await vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
             title: 'Analyzing project structure...',
-            cancellable: false
-          }, async (progress) => {
+            cancellable: true
+          }, async (progress, token) => {
             progress.report({ increment: 0 });
 
             // Get workspace folders
@@ -1976,7 +8125,7 @@ function activate(context) {
             // Get file list (limit to 50 files to avoid overwhelming the AI)
             const fileList = [];
             const filePattern = new vscode.RelativePattern(rootFolder, '**/*');
-            const fileUris = await vscode.workspace.findFiles(filePattern, '**/node_modules/**', 50);
+            const fileUris = await vscode.workspace.findFiles(filePattern, '**/node_modules/**', 50, token);
 
             for (const uri of fileUris) {
               fileList.push(uri.fsPath.replace(rootFolder, ''));
@@ -1988,6 +8137,15 @@ function activate(context) {
               context += `package.json:\n${JSON.stringify(packageJson, null, 2)}\n\n`;
             }
 
+            // With the semantic index, add the code and docs that say most about what the project does
+            const excerpts = await workspaceIndex.retrieve(
+              'What this project is for, its main features, entry points and architecture',
+              { signal: abortSignalFromToken(token) }
+            );
+            if (excerpts.length > 0) {
+              context += `${formatWorkspaceContext(excerpts)}\n\n`;
+            }
+
             progress.report({ increment: 100 });
           });
 
@@ -1999,6 +8157,9 @@ function activate(context) {
                           3. Why it would be valuable
                           4. A basic implementation approach`;
         } catch (error) {
+          if (axios.isCancel(error)) {
+            return;
+          }
           vscode.window.showErrorMessage(`Error analyzing project: ${error.message}`);
           return;
         }
@@ -2069,15 +8230,17 @@ function activate(context) {
         await vscode.window.withProgress({
           location: vscode.ProgressLocation.Notification,
           title: 'Generating feature suggestions...',
-          cancellable: false
-        }, async (progress) => {
+          cancellable: true
+        }, async (progress, token) => {
+          const signal = abortSignalFromToken(token);
           progress.report({ increment: 0 });
 
           // Get suggestions from AI
           const response = await client.makeRequest(prompt, {
             systemPrompt: systemPrompt,
             temperature: 0.7,
-            maxTokens: 4096
+            maxTokens: 4096,
+            signal
           });
 
           progress.report({ increment: 100 });
@@ -2093,10 +8256,28 @@ function activate(context) {
           return response;
         });
       } catch (error) {
+        if (axios.isCancel(error)) {
+          return;
+        }
         vscode.window.showErrorMessage(`Error generating feature suggestions: ${error.message}`);
       }
     }),
 
+    // Accept or reject the AI proposal shown in the active diff editor
+    vscode.commands.registerCommand('sebguru-assistant.acceptProposedChange', (uri) => {
+      const proposalUri = uri || (vscode.window.activeTextEditor && vscode.window.activeTextEditor.document.uri);
+      if (proposalUri) {
+        settleReview(proposalUri, true);
+      }
+    }),
+
+    vscode.commands.registerCommand('sebguru-assistant.rejectProposedChange', (uri) => {
+      const proposalUri = uri || (vscode.window.activeTextEditor && vscode.window.activeTextEditor.document.uri);
+      if (proposalUri) {
+        settleReview(proposalUri, false);
+      }
+    }),
+
     vscode.commands.registerCommand('sebguru-assistant.modifyFile', async () => {
       // Get file path from user
       const editor = vscode.window.activeTextEditor;
@@ -2164,8 +8345,9 @@ function activate(context) {
           await vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
             title: 'Modifying file with AI...',
-            cancellable: false
-          }, async (progress) => {
+            cancellable: true
+          }, async (progress, token) => {
+            const signal = abortSignalFromToken(token);
             progress.report({ increment: 0 });
 
             // Get file extension
@@ -2180,7 +8362,8 @@ function activate(context) {
                 systemPrompt: `You are an expert programmer. Modify the provided ${fileExtension} file according to the user's instructions.
                                Return the complete modified file content, not just the changes.
                                Do not include markdown code blocks or explanations, just output the raw file content.`,
-                temperature: 0.2
+                temperature: 0.2,
+                signal
               }
             );
 
@@ -2189,6 +8372,13 @@ function activate(context) {
 
             progress.report({ increment: 100 });
           });
+
+          // Let the user review, edit or reject the proposal before anything is written
+          newContent = await reviewProposedChange(fileUri, newContent, `${filePath.split('/').pop()} ↔ AI proposal: ${instructions}`);
+          if (newContent === undefined) {
+            vscode.window.showInformationMessage('AI changes rejected');
+            return;
+          }
         }
 
         // Modify the file
@@ -2197,10 +8387,76 @@ function activate(context) {
           vscode.window.showInformationMessage(`File modified: ${filePath}`);
         }
       } catch (error) {
+        if (axios.isCancel(error)) {
+          return;
+        }
         vscode.window.showErrorMessage(`Error modifying file: ${error.message}`);
       }
     }),
 
+    vscode.commands.registerCommand('sebguru-assistant.planChanges', async () => {
+      const editor = vscode.window.activeTextEditor;
+      const workspaceFolder = (editor && vscode.workspace.getWorkspaceFolder(editor.document.uri)) ||
+        (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0]);
+      if (!workspaceFolder) {
+        vscode.window.showInformationMessage('Open a folder to plan changes across files');
+        return;
+      }
+
+      const request = await vscode.window.showInputBox({
+        placeHolder: 'e.g. Move the date helpers into src/utils/date.js and update the imports',
+        prompt: 'Describe the change you want across the workspace'
+      });
+
+      if (!request) {
+        return;
+      }
+
+      let plan;
+      try {
+        await vscode.window.withProgress({
+          location: vscode.ProgressLocation.Notification,
+          title: 'Planning changes...',
+          cancellable: true
+        }, async (progress, token) => {
+          const signal = abortSignalFromToken(token);
+          const context = await gatherChangePlanContext(workspaceFolder);
+
+          const response = await client.makeRequest(`${context}\n\nChange request: ${request}`, {
+            systemPrompt: CHANGE_PLAN_SYSTEM_PROMPT,
+            temperature: 0.2,
+            signal
+          });
+
+          const parsed = parseFirstJsonObject(response);
+          if (!parsed) {
+            throw new Error('The AI did not return a change plan');
+          }
+          plan = await normalizeChangePlan(parsed, workspaceFolder.uri);
+        });
+      } catch (error) {
+        if (axios.isCancel(error)) {
+          return;
+        }
+        vscode.window.showErrorMessage(`Error planning changes: ${error.message}`);
+        return;
+      }
+
+      if (plan.changes.length === 0) {
+        vscode.window.showInformationMessage('The AI proposed no changes');
+        return;
+      }
+
+      // The refactor preview lets the user review each file's diff and uncheck changes
+      try {
+        if (await applyChangePlan(plan.changes, { confirm: true })) {
+          vscode.window.showInformationMessage(`${plan.summary || 'Changes applied'}. Use Undo to revert them.`);
+        }
+      } catch (error) {
+        vscode.window.showErrorMessage(`Error applying changes: ${error.message}`);
+      }
+    }),
+
     vscode.commands.registerCommand('sebguru-assistant.insertCode', async () => {
       const editor = vscode.window.activeTextEditor;
       if (!editor) {
@@ -2250,37 +8506,47 @@ function activate(context) {
         }
 
         // Show progress indicator
-        await vscode.window.withProgress({
-          location: vscode.ProgressLocation.Notification,
-          title: 'Generating code to insert...',
-          cancellable: false
-        }, async (progress) => {
-          progress.report({ increment: 0 });
+        try {
+          await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'Generating code to insert...',
+            cancellable: true
+          }, async (progress, token) => {
+            const signal = abortSignalFromToken(token);
+            progress.report({ increment: 0 });
 
-          // Get file context
-          const fileContent = editor.document.getText();
-          const fileName = filePath.split('/').pop();
-          const fileExtension = fileName.split('.').pop() || '';
+            // Get file context
+            const fileContent = editor.document.getText();
+            const fileName = filePath.split('/').pop();
+            const fileExtension = fileName.split('.').pop() || '';
 
-          // Generate code using AI
-          code = await client.makeRequestWithFileContext(
-            `Generate code to insert at the current cursor position based on this description: ${description}
-             The code should be compatible with the existing file and should be ready to insert without any modifications.`,
-            fileContent,
-            fileName,
-            {
-              systemPrompt: `You are an expert programmer. Generate ${fileExtension} code that can be inserted at the specified position in the file.
-                             The code should be compatible with the existing file and follow the same style and conventions.
-                             Do not include markdown code blocks or explanations, just output the raw code to insert.`,
-              temperature: 0.2
-            }
-          );
+            // Generate code using AI
+            code = await client.makeRequestWithFileContext(
+              `Generate code to insert at the current cursor position based on this description: ${description}
+               The code should be compatible with the existing file and should be ready to insert without any modifications.`,
+              fileContent,
+              fileName,
+              {
+                systemPrompt: `You are an expert programmer. Generate ${fileExtension} code that can be inserted at the specified position in the file.
+                               The code should be compatible with the existing file and follow the same style and conventions.
+                               Do not include markdown code blocks or explanations, just output the raw code to insert.`,
+                temperature: 0.2,
+                signal
+              }
+            );
 
-          // Clean up the content (remove markdown code blocks if present)
-          code = code.replace(/```[\w]*\n/g, '').replace(/```$/g, '').trim();
+            // Clean up the content (remove markdown code blocks if present)
+            code = code.replace(/```[\w]*\n/g, '').replace(/```$/g, '').trim();
 
-          progress.report({ increment: 100 });
-        });
+            progress.report({ increment: 100 });
+          });
+        } catch (error) {
+          if (axios.isCancel(error)) {
+            return;
+          }
+          vscode.window.showErrorMessage(`Error generating code: ${error.message}`);
+          return;
+        }
       }
 
       // Insert the code
@@ -2298,9 +8564,10 @@ function activate(context) {
       }
 
       // Get the code to test
+      const document = editor.document;
       const selection = editor.selection;
-      const selectedText = editor.document.getText(selection);
-      const code = selectedText || editor.document.getText();
+      const selectedText = document.getText(selection);
+      let code = selectedText || document.getText();
 
       if (!code) {
         vscode.window.showInformationMessage('No code to test');
@@ -2308,59 +8575,210 @@ function activate(context) {
       }
 
       // Get file information
-      const filePath = editor.document.uri.fsPath;
+      const filePath = document.uri.fsPath;
       const fileName = filePath.split('/').pop();
       const fileExtension = fileName.split('.').pop() || '';
 
-      // Show progress indicator
-      await vscode.window.withProgress({
-        location: vscode.ProgressLocation.Notification,
-        title: 'Generating tests...',
-        cancellable: false
-      }, async (progress) => {
-        progress.report({ increment: 0 });
+      let setup;
+      let layout;
+      try {
+        setup = testSetupFor(document.languageId) || testSetupFor(fileExtension);
+        if (!setup) {
+          vscode.window.showInformationMessage(`Testing .${fileExtension} files is not supported`);
+          return;
+        }
+
+        // Tests for a file in the workspace go into its project and import the file itself;
+        // anything else is tested from a copy in a run directory
+        layout = await planProjectTests(document, setup) || await temporaryTestLayout(setup);
+      } catch (error) {
+        vscode.window.showErrorMessage(`Failed to test code: ${error.message}`);
+        return;
+      }
+      let prompt = 'Generate comprehensive unit tests for this code:';
+      if (layout.inProject) {
+        if (document.isDirty) {
+          await document.save();
+        }
+        code = document.getText();
+        if (selectedText) {
+          prompt = `Generate comprehensive unit tests for this part of the file:\n\`\`\`\n${selectedText}\n\`\`\``;
+        }
+      }
+
+      // "Run All" in the approval dialog covers the reruns while fixing the tests
+      const approval = {};
+
+      const range = selectedText && !layout.inProject
+        ? selection
+        : new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length));
+      const version = document.version;
+
+      const showTests = async (tests) => {
+        const testDocument = layout.inProject
+          ? await vscode.workspace.openTextDocument(layout.testUri)
+          : await vscode.workspace.openTextDocument({ content: tests, language: document.languageId });
+        await vscode.window.showTextDocument(testDocument, { viewColumn: vscode.ViewColumn.Beside });
+      };
+
+      try {
+        let tests = await vscode.window.withProgress({
+          location: vscode.ProgressLocation.Notification,
+          title: 'Generating tests...',
+          cancellable: true
+        }, async (progress, token) => {
+          progress.report({ increment: 0 });
 
-        try {
           // Generate test code using AI
-          const testCode = await client.makeRequestWithFileContext(
-            'Generate comprehensive unit tests for this code:',
+          const reply = await client.makeRequestWithFileContext(
+            prompt,
             code,
             fileName,
             {
               systemPrompt: `You are an expert in test-driven development. Generate comprehensive unit tests for the provided ${fileExtension} code.
                              Include tests for edge cases and error conditions. The tests should be ready to run without any modifications.
-                             Use the appropriate testing framework for the language (e.g., Jest for JavaScript, pytest for Python).
-                             Do not include markdown code blocks or explanations, just output the raw test code.`,
-              temperature: 0.2
+                             Use ${testFrameworkFor(layout.framework).description}. The tests are saved as ${layout.testFile}. ${layout.importHint}
+                             Reply with only the test code in a single code block.`,
+              temperature: 0.2,
+              signal: abortSignalFromToken(token)
             }
           );
+          return extractCodeBlock(reply, document.languageId);
+        });
+
+        // Don't replace an existing test file without the user seeing the difference
+        if (layout.inProject && await pathExists(layout.testUri.fsPath)) {
+          tests = await reviewProposedChange(layout.testUri, tests, `${path.basename(layout.testUri.fsPath)} ↔ generated tests`);
+          if (tests === undefined) {
+            return;
+          }
+        }
+
+        let run = await vscode.window.withProgress({
+          location: vscode.ProgressLocation.Notification,
+          title: `Running ${layout.testFile}...`,
+          cancellable: true
+        }, (progress, token) => runTests(layout, tests, {
+          code: layout.inProject ? undefined : code,
+          approval,
+          signal: abortSignalFromToken(token)
+        }));
+
+        if (run.results.failed === 0 && !run.timedOut) {
+          await showTests(tests);
+          vscode.window.showInformationMessage(summarizeTestResults(run.results));
+          return run;
+        }
 
-          // Clean up the test code (remove markdown code blocks if present)
-          const cleanTestCode = testCode.replace(/```[\w]*\n/g, '').replace(/```$/g, '').trim();
+        // Offer to send the failures back to the model until the tests pass
+        const maxRounds = vscode.workspace.getConfiguration('sebguru-assistant').get('testing.maxFixRounds') ?? 3;
+        const problem = run.timedOut ? 'The tests timed out' : summarizeTestResults(run.results);
+        const choice = await vscode.window.showWarningMessage(problem, ...(maxRounds > 0 ? ['Fix with AI'] : []), 'Show Output');
+        if (choice !== 'Fix with AI') {
+          if (choice === 'Show Output') {
+            getExecutionOutputChannel().show();
+          }
+          await showTests(tests);
+          return run;
+        }
+
+        let fixedCode = code;
+        let rounds = 0;
+        // What the file held when the fixes were done, if the user typed in it meanwhile
+        let editedText;
+        let fixesDone = false;
+        try {
+          await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'Fixing failing tests',
+            cancellable: true
+          }, async (progress, token) => {
+            const signal = abortSignalFromToken(token);
+            const channel = getExecutionOutputChannel();
+
+            while (rounds < maxRounds && (run.results.failed > 0 || run.timedOut)) {
+              rounds++;
+              progress.report({ message: `round ${rounds} of ${maxRounds}...` });
+
+              const fix = await requestTestFix(client, {
+                code: fixedCode,
+                tests,
+                fileName,
+                testFile: layout.testFile,
+                results: run.results,
+                output: run.output
+              }, { signal });
+              fixedCode = fix.code !== undefined ? fix.code : fixedCode;
+              tests = fix.tests !== undefined ? fix.tests : tests;
+              if (fix.explanation) {
+                channel.appendLine(`\nFix ${rounds}: ${fix.explanation}\n`);
+              }
 
-          progress.report({ increment: 50 });
+              // Fixes to project code are written to the file only while the tests run
+              run = await runTests(layout, tests, { code: fix.code, approval, signal });
+            }
+          });
+          fixesDone = true;
+        } finally {
+          // The fixes are only proposed below, so the file always gets its original code back
+          if (layout.inProject && fixedCode !== code) {
+            if (document.getText() !== fixedCode) {
+              editedText = document.getText();
+            }
+            await replaceDocumentContent(document.uri, code);
+
+            // Without a review to put them in, keep the user's edits in a new editor
+            if (editedText !== undefined && !fixesDone) {
+              await vscode.window.showTextDocument(
+                await vscode.workspace.openTextDocument({ content: editedText, language: document.languageId }),
+                { viewColumn: vscode.ViewColumn.Beside }
+              );
+            }
+          }
+        }
 
-          // Run the tests
-          const success = await testCode(code, cleanTestCode, fileExtension);
+        await showTests(tests);
 
-          if (success) {
-            // Show the test code in a new editor
-            const document = await vscode.workspace.openTextDocument({
-              content: cleanTestCode,
-              language: fileExtension
-            });
+        const outcome = run.timedOut ? 'The tests timed out' : summarizeTestResults(run.results);
+        vscode.window.showInformationMessage(`${outcome} after ${rounds} ${rounds === 1 ? 'round' : 'rounds'} of fixes`);
 
-            await vscode.window.showTextDocument(document, { viewColumn: vscode.ViewColumn.Beside });
+        // Show the fixed code as a diff against the file, so the user decides whether to keep it
+        if (fixedCode !== code) {
+          if (layout.inProject) {
+            // Edits made in the file during the fixes are part of the proposal, so they aren't lost
+            if (editedText !== undefined) {
+              vscode.window.showWarningMessage(`${fileName} changed while the tests were fixed, so your changes are included in the fixed code to review`);
+            }
+            const accepted = await reviewProposedChange(document.uri, editedText ?? fixedCode, `${fileName} ↔ fixed code`);
+            if (accepted !== undefined) {
+              await replaceDocumentContent(document.uri, accepted);
+            }
+          } else if (document.isUntitled || document.isClosed || document.version !== version) {
+            vscode.window.showWarningMessage(`${fileName} changed while the tests were fixed, so the fixed code opens in a new editor`);
+            await vscode.window.showTextDocument(
+              await vscode.workspace.openTextDocument({ content: fixedCode, language: document.languageId }),
+              { viewColumn: vscode.ViewColumn.Beside }
+            );
+          } else {
+            const text = document.getText();
+            const proposal = text.slice(0, document.offsetAt(range.start)) + fixedCode + text.slice(document.offsetAt(range.end));
+            const accepted = await reviewProposedChange(document.uri, proposal, `${fileName} ↔ fixed code`);
+            if (accepted !== undefined) {
+              await replaceDocumentContent(document.uri, accepted);
+            }
           }
+        }
 
-          progress.report({ increment: 100 });
-        } catch (error) {
-          vscode.window.showErrorMessage(`Error testing code: ${error.message}`);
+        return run;
+      } catch (error) {
+        if (axios.isCancel(error)) {
+          return;
         }
-      });
+        vscode.window.showErrorMessage(`Error testing code: ${error.message}`);
+      }
     }),
 
-    vscode.commands.registerCommand('sebguru-assistant.executeCode', async () => {
+    vscode.commands.registerCommand('sebguru-assistant.executeCode', async (options = {}) => {
       const editor = vscode.window.activeTextEditor;
       if (!editor) {
         vscode.window.showInformationMessage('No active editor');
@@ -2383,87 +8801,117 @@ function activate(context) {
       const fileExtension = fileName.split('.').pop() || '';
 
       try {
-        // Execute the code
-        const success = await executeCode(code, fileExtension);
-        if (success) {
-          vscode.window.showInformationMessage('Code execution started in terminal');
+        // Execute the code; other commands can pass `args` and `cwd` and get the result back
+        const result = await vscode.window.withProgress({
+          location: vscode.ProgressLocation.Notification,
+          title: `Running ${fileName}...`,
+          cancellable: true
+        }, (progress, token) => executeCode(code, resolveRunner(editor.document.languageId) ? editor.document.languageId : fileExtension, {
+          args: options.args,
+          cwd: options.cwd,
+          // A whole saved file can be run where it is, for example with `cargo run` in its crate
+          sourcePath: !selectedText && editor.document.uri.scheme === 'file' ? filePath : undefined,
+          signal: abortSignalFromToken(token)
+        }));
+
+        if (!result) {
+          return;
         }
+
+        if (result.exitCode === 0 && !result.timedOut) {
+          vscode.window.showInformationMessage(`${fileName} ran successfully in ${result.durationMs} ms`);
+          return result;
+        }
+
+        const problem = result.timedOut ? 'timed out' : `exited with code ${result.exitCode}`;
+        vscode.window.showErrorMessage(`${fileName} ${problem}`, 'Explain Error', 'Show Output').then(async choice => {
+          if (choice === 'Show Output') {
+            getExecutionOutputChannel().show();
+          } else if (choice === 'Explain Error') {
+            await explainExecutionError(code, fileName, result);
+          }
+        });
+        return result;
       } catch (error) {
+        if (axios.isCancel(error)) {
+          return;
+        }
         vscode.window.showErrorMessage(`Error executing code: ${error.message}`);
       }
     }),
 
-    vscode.commands.registerCommand('sebguru-assistant.runWorkflow', async () => {
-      const workflows = [
-        { label: 'Explain Code', id: 'explain-code' },
-        { label: 'Improve Code', id: 'improve-code' },
-        { label: 'Generate Tests', id: 'generate-tests' },
-        { label: 'Document Code', id: 'document-code' },
-        { label: 'Refactor Code', id: 'refactor-code' }
-      ];
+    vscode.commands.registerCommand('sebguru-assistant.showRunHistory', async () => {
+      const runs = await listRuns();
+      if (runs.length === 0) {
+        vscode.window.showInformationMessage('No runs of Execute Code or Test Code are kept');
+        return;
+      }
 
-      const selectedWorkflow = await vscode.window.showQuickPick(workflows, {
-        placeHolder: 'Select a workflow to run'
+      const picked = await vscode.window.showQuickPick(runs.map(run => ({
+        label: run.title,
+        description: run.timedOut ? 'timed out' : `exit code ${run.exitCode}`,
+        detail: `${new Date(run.finishedAt).toLocaleString()}: ${run.command}`,
+        run
+      })), {
+        placeHolder: 'Select a run to open its files',
+        matchOnDetail: true
       });
+      if (!picked) {
+        return;
+      }
 
-      if (selectedWorkflow) {
-        const workflowId = selectedWorkflow.id;
-        const workflow = workflowsViewProvider.workflows.find(w => w.id === workflowId);
+      // The code, the tests and the output of the run
+      const entries = await vscode.workspace.fs.readDirectory(vscode.Uri.file(picked.run.directory));
+      const files = entries
+        .filter(([name, type]) => type === vscode.FileType.File && name !== RUN_DETAILS_FILE)
+        .map(([name]) => name);
+      const file = files.length === 1
+        ? files[0]
+        : await vscode.window.showQuickPick(files, { placeHolder: `Files of ${picked.run.title}` });
+      if (file) {
+        const document = await vscode.workspace.openTextDocument(vscode.Uri.file(path.join(picked.run.directory, file)));
+        await vscode.window.showTextDocument(document, { preview: true });
+      }
+    }),
 
-        if (!workflow) {
-          vscode.window.showErrorMessage(`Workflow ${workflowId} not found`);
-          return;
+    vscode.commands.registerCommand('sebguru-assistant.rebuildIndex', async () => {
+      if (!vscode.workspace.getConfiguration('sebguru-assistant').get('semanticIndex.enabled')) {
+        const choice = await vscode.window.showInformationMessage('The semantic index is turned off.', 'Turn On');
+        if (choice === 'Turn On') {
+          // Starts indexing through the configuration listener
+          await vscode.workspace.getConfiguration('sebguru-assistant').update('semanticIndex.enabled', true, vscode.ConfigurationTarget.Workspace);
         }
+        return;
+      }
+      await workspaceIndex.rebuild();
+      // A failure has already been reported
+      if (workspaceIndex.status === 'ready') {
+        vscode.window.showInformationMessage(`Workspace index rebuilt: ${workspaceIndex.size} chunks from ${workspaceIndex.files.size} files`);
+      }
+    }),
 
-        const editor = vscode.window.activeTextEditor;
-        if (!editor) {
-          vscode.window.showInformationMessage('No active editor');
-          return;
-        }
+    vscode.commands.registerCommand('sebguru-assistant.runWorkflow', async () => {
+      const workflows = workflowRegistry.list().map(workflow => ({
+        label: workflow.name,
+        description: workflow.source === 'built-in' ? '' : workflow.source,
+        detail: workflow.description,
+        id: workflow.id
+      }));
 
-        const selection = editor.selection;
-        const selectedText = editor.document.getText(selection);
+      const selectedWorkflow = await vscode.window.showQuickPick(workflows, {
+        placeHolder: 'Select a workflow to run',
+        matchOnDetail: true
+      });
 
-        if (!selectedText) {
-          vscode.window.showInformationMessage('No text selected');
+      if (selectedWorkflow) {
+        const workflow = workflowRegistry.get(selectedWorkflow.id);
+
+        if (!workflow) {
+          vscode.window.showErrorMessage(`Workflow ${selectedWorkflow.id} not found`);
           return;
         }
 
-        try {
-          vscode.window.withProgress({
-            location: vscode.ProgressLocation.Notification,
-            title: `Running ${workflow.name}...`,
-            cancellable: false
-          }, async (progress) => {
-            progress.report({ increment: 0 });
-
-            const fileName = editor.document.fileName.split('/').pop();
-
-            const response = await client.makeRequestWithFileContext(
-              `Apply the "${workflow.name}" workflow to this code:`,
-              selectedText,
-              fileName,
-              {
-                systemPrompt: workflow.systemPrompt,
-                maxTokens: 4096
-              }
-            );
-
-            progress.report({ increment: 100 });
-
-            // Show results in a new editor
-            const document = await vscode.workspace.openTextDocument({
-              content: response,
-              language: 'markdown'
-            });
-
-            await vscode.window.showTextDocument(document, { viewColumn: vscode.ViewColumn.Beside });
-
-            return response;
-          });
-        } catch (error) {
-          vscode.window.showErrorMessage(`Error running workflow: ${error.message}`);
-        }
+        await workflowRunner.run(workflow);
       }
     })
   );
@@ -2476,27 +8924,44 @@ function activate(context) {
         const newUseLocalLLM = newConfig.get('useLocalLLM');
         const newLocalLLMUrl = newConfig.get('localLLMUrl');
         const newLocalLLMPath = newConfig.get('localLLMPath');
+        const newProvider = newConfig.get('provider');
         const newApiHostname = newConfig.get('apiHostname');
         const newApiVersion = newConfig.get('apiVersion');
         const newApiKey = newConfig.get('apiKey');
         const newModel = newConfig.get('model');
         const newMaxTokens = newConfig.get('maxTokens');
+        const newContextWindow = newConfig.get('contextWindow');
+        const newStreamResponses = newConfig.get('streamResponses');
 
         // Update client configuration
         client.updateConfig({
           useLocalLLM: newUseLocalLLM,
           localLLMUrl: newLocalLLMUrl,
           localLLMPath: newLocalLLMPath,
+          provider: newProvider,
           apiHostname: newApiHostname,
           apiVersion: newApiVersion,
           apiKey: newApiKey,
           model: newModel,
-          maxTokens: newMaxTokens
+          maxTokens: newMaxTokens,
+          contextWindow: newContextWindow,
+          streamResponses: newStreamResponses
         });
+        updateModelStatusBarItem();
+
+        // Only announce changes to the connection settings
+        const connectionChanged = ['useLocalLLM', 'localLLMUrl', 'localLLMPath', 'provider', 'apiHostname', 'apiVersion', 'apiKey']
+          .some(setting => e.affectsConfiguration(`sebguru-assistant.${setting}`));
+        if (!connectionChanged) {
+          return;
+        }
+
+        // Files that failed to index may work with the new server
+        workspaceIndex.start();
 
         // Show appropriate message based on configuration
         if (newUseLocalLLM) {
-          vscode.window.showInformationMessage(`Local LLM server set to: ${newLocalLLMUrl}${newLocalLLMPath}`);
+          vscode.window.showInformationMessage(`Local LLM server set to: ${describeLocalServer()}`);
         } else if (!newApiKey) {
           vscode.window.showWarningMessage('SebGuru API key not set. Please set your API key in the extension settings or switch to using a local LLM.');
         }
@@ -2506,7 +8971,7 @@ function activate(context) {
 
   // Check configuration and show appropriate message
   if (useLocalLLM) {
-    vscode.window.showInformationMessage(`Using local LLM server at: ${localLLMUrl}${localLLMPath}`);
+    vscode.window.showInformationMessage(`Using local LLM server: ${describeLocalServer()}`);
   } else if (!apiKey) {
     vscode.window.showWarningMessage('SebGuru API key not set. Please set your API key in the extension settings or switch to using a local LLM.');
   }
@@ -2517,6 +8982,10 @@ function activate(context) {
  */
 function deactivate() {
   console.log('SebGuru Assistant extension is now deactivated');
+  if (executionOutputChannel) {
+    executionOutputChannel.dispose();
+    executionOutputChannel = null;
+  }
 }
 
 /**
@@ -2569,29 +9038,64 @@ async function createDirectory(dirPath) {
  * Create a project structure based on a specification
  * @param {object} structure - The structure specification
  * @param {string} basePath - The base path for the structure
+ * @param {object} [options] - `preview` to show the files in the refactor preview before anything is written
  * @returns {Promise<boolean>} - Whether the structure was created successfully
  */
-async function createStructure(structure, basePath) {
+async function createStructure(structure, basePath, options = {}) {
   try {
-    // Create the base directory if it doesn't exist
-    await createDirectory(basePath);
-
-    // Process each item in the structure
-    for (const item of structure) {
-      const itemPath = `${basePath}/${item.name}`;
+    // Collect the files as one change plan, so they are created in a single undoable edit
+    const changes = [];
+    const collect = (items, dirPath) => {
+      for (const item of items) {
+        const itemPath = `${dirPath}/${item.name}`;
+
+        if (item.type === 'directory') {
+          // WorkspaceEdit can't create empty directories, so create them up front
+          if (!item.children || item.children.length === 0) {
+            changes.push({ action: 'mkdir', uri: vscode.Uri.file(itemPath) });
+          } else {
+            collect(item.children, itemPath);
+          }
+        } else if (item.type === 'file') {
+          changes.push({ action: 'create', uri: vscode.Uri.file(itemPath), content: item.content || '' });
+        }
+      }
+    };
+    collect(structure, basePath);
 
-      if (item.type === 'directory') {
-        // Create directory
-        await createDirectory(itemPath);
+    // Files that already exist are replaced, never without a review
+    const files = changes.filter(change => change.action === 'create');
+    for (const change of files) {
+      if (await pathExists(change.uri.fsPath)) {
+        change.action = 'modify';
+      }
+    }
+    const existing = files.filter(change => change.action === 'modify');
+    let preview = options.preview;
+    if (existing.length > 0 && !preview) {
+      const choice = await vscode.window.showWarningMessage(
+        `${existing.length === 1 ? `${vscode.workspace.asRelativePath(existing[0].uri)} already exists` : `${existing.length} files already exist`} in ${basePath}.`,
+        { modal: true, detail: 'Review the changes to choose which files to replace.' },
+        'Review Changes'
+      );
+      if (!choice) {
+        return false;
+      }
+      preview = true;
+    }
 
-        // Process children recursively
-        if (item.children && item.children.length > 0) {
-          await createStructure(item.children, itemPath);
-        }
-      } else if (item.type === 'file') {
-        // Create file with content
-        await createFile(itemPath, item.content || '');
+    if (!await applyChangePlan(files, { confirm: preview })) {
+      if (preview) {
+        // The user discarded the preview
+        return false;
       }
+      throw new Error('The files could not be created');
+    }
+
+    // Create the base directory if it doesn't exist
+    await createDirectory(basePath);
+    for (const change of changes.filter(change => change.action === 'mkdir')) {
+      await createDirectory(change.uri.fsPath);
     }
 
     return true;
@@ -2618,13 +9122,11 @@ async function modifyFile(filePath, newContent) {
       throw new Error(`File not found: ${filePath}`);
     }
 
-    // Write the new content to the file
-    const encoder = new TextEncoder();
-    await vscode.workspace.fs.writeFile(fileUri, encoder.encode(newContent));
-
-    // Open the file in the editor
-    const document = await vscode.workspace.openTextDocument(fileUri);
-    await vscode.window.showTextDocument(document);
+    // Apply the new content as an edit so it can be undone, then open the file in the editor
+    if (!await applyChangePlan([{ action: 'modify', uri: fileUri, content: newContent }])) {
+      throw new Error(`Could not apply the changes to ${filePath}`);
+    }
+    await vscode.window.showTextDocument(fileUri);
 
     return true;
   } catch (error) {
@@ -2669,130 +9171,485 @@ async function insertCode(filePath, position, code) {
 }
 
 /**
- * Execute code in a terminal
+ * Output channel that shows what executeCode ran and its output
+ */
+let executionOutputChannel = null;
+
+/**
+ * The output channel for code execution, created when first used
+ * @returns {vscode.OutputChannel}
+ */
+function getExecutionOutputChannel() {
+  if (!executionOutputChannel) {
+    executionOutputChannel = vscode.window.createOutputChannel('SebGuru Code Execution');
+  }
+  return executionOutputChannel;
+}
+
+/**
+ * Folder that holds one directory per Execute Code and Test Code run: the workspace's storage folder
+ * when there is one, set on activation, and the OS temp folder otherwise
+ */
+let runsFolder = null;
+
+/**
+ * Files recordRun writes in a run directory, next to the code
+ */
+const RUN_DETAILS_FILE = 'run.json';
+const RUN_OUTPUT_FILE = 'output.log';
+
+/**
+ * The folder holding the run directories
+ * @returns {string}
+ */
+function getRunsFolder() {
+  return runsFolder || path.join(os.tmpdir(), 'sebguru-runs');
+}
+
+/**
+ * Environment that lets code copied to a run directory load packages from the workspace's node_modules
+ * @param {string} [workspaceRoot] - The workspace folder
+ * @returns {object|undefined} - Variables for runProcess, or undefined without a workspace folder
+ */
+function workspaceModulesEnvironment(workspaceRoot) {
+  if (!workspaceRoot) {
+    return undefined;
+  }
+  return { NODE_PATH: [path.join(workspaceRoot, 'node_modules'), process.env.NODE_PATH].filter(Boolean).join(path.delimiter) };
+}
+
+/**
+ * Create a new, empty directory for a run's code and test files. Directory names start with the
+ * time, so they sort from oldest to newest.
+ * @param {string} kind - `executeCode` or `testCode`
+ * @returns {Promise<string>} - Its path
+ */
+async function createRunDirectory(kind) {
+  const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${kind}-${Math.random().toString(36).slice(2, 8)}`;
+  const runDir = path.join(getRunsFolder(), name);
+  await vscode.workspace.fs.createDirectory(vscode.Uri.file(runDir));
+  return runDir;
+}
+
+/**
+ * Save what a run did in its directory, for the run history, then clean up old runs
+ * @param {string} runDir - The run's directory
+ * @param {object} run - `kind`, `title`, `language`, `command`, `exitCode`, `timedOut`, `durationMs` and `output`
+ * @returns {Promise<void>}
+ */
+async function recordRun(runDir, run) {
+  const { output, ...details } = run;
+  const encoder = new TextEncoder();
+  try {
+    await vscode.workspace.fs.writeFile(vscode.Uri.file(path.join(runDir, RUN_OUTPUT_FILE)), encoder.encode(output || ''));
+    await vscode.workspace.fs.writeFile(
+      vscode.Uri.file(path.join(runDir, RUN_DETAILS_FILE)),
+      encoder.encode(JSON.stringify({ ...details, finishedAt: new Date().toISOString() }, null, 2))
+    );
+  } catch (error) {
+    console.error('Could not record the run:', error);
+  }
+  await pruneRunHistory(runDir);
+}
+
+/**
+ * List the recorded runs, newest first
+ * @returns {Promise<Array<object>>} - The details saved by recordRun, with the run's `directory`
+ */
+async function listRuns() {
+  let entries;
+  try {
+    entries = await vscode.workspace.fs.readDirectory(vscode.Uri.file(getRunsFolder()));
+  } catch (error) {
+    return [];
+  }
+
+  const runs = [];
+  for (const [name, type] of entries) {
+    if (type !== vscode.FileType.Directory) continue;
+    const directory = path.join(getRunsFolder(), name);
+    const details = await readTextFileIfExists(path.join(directory, RUN_DETAILS_FILE));
+    if (!details) continue;
+    try {
+      runs.push({ ...JSON.parse(details), directory });
+    } catch (error) {
+      console.log(`Could not parse ${RUN_DETAILS_FILE} in ${directory}:`, error.message);
+    }
+  }
+  return runs.sort((a, b) => path.basename(b.directory).localeCompare(path.basename(a.directory)));
+}
+
+/**
+ * Delete run directories beyond the newest `execution.keepRuns`, and those older than
+ * `execution.keepRunsDays` days
+ * @param {string} [current] - A run directory that is still in use and is kept
+ * @returns {Promise<void>}
+ */
+async function pruneRunHistory(current) {
+  const config = vscode.workspace.getConfiguration('sebguru-assistant');
+  const keepRuns = config.get('execution.keepRuns') ?? 20;
+  const keepDays = config.get('execution.keepRunsDays') ?? 7;
+  // 0 days keeps runs until there are more than keepRuns
+  const cutoff = keepDays > 0 ? Date.now() - keepDays * 24 * 60 * 60 * 1000 : 0;
+
+  let entries;
+  try {
+    entries = await vscode.workspace.fs.readDirectory(vscode.Uri.file(getRunsFolder()));
+  } catch (error) {
+    return;
+  }
+
+  const names = entries
+    .filter(([, type]) => type === vscode.FileType.Directory)
+    .map(([name]) => name)
+    .sort()
+    .reverse();
+  for (const [index, name] of names.entries()) {
+    const uri = vscode.Uri.file(path.join(getRunsFolder(), name));
+    if (uri.fsPath === current) continue;
+    try {
+      const { mtime } = await vscode.workspace.fs.stat(uri);
+      if (index >= keepRuns || mtime < cutoff) {
+        await vscode.workspace.fs.delete(uri, { recursive: true, useTrash: false });
+      }
+    } catch (error) {
+      console.error(`Could not delete the run directory ${uri.fsPath}:`, error);
+    }
+  }
+}
+
+/**
+ * Execute code in a child process and capture its output, in the sandbox if one is configured and after
+ * the user approves it if the settings ask for that. The command and its output are also written to
+ * the "SebGuru Code Execution" output channel.
  * @param {string} code - The code to execute
- * @param {string} language - The programming language of the code
- * @returns {Promise<boolean>} - Whether the code was executed successfully
+ * @param {string} language - The language ID of the code, or its file extension; resolveRunner picks the runner
+ * @param {object} [options] - `args` for the program, `cwd` (default: the workspace folder), `sourcePath` (the file
+ *   the code is, when it is a whole saved file), `timeoutMs`, `maxOutput` (characters kept of stdout and of stderr)
+ *   and `signal`. Timeout and output limit default to the `execution.*` settings.
+ * @returns {Promise<{command: string, sandbox: string|null, exitCode: number|null, stdout: string, stderr: string, timedOut: boolean, truncated: boolean, durationMs: number, runDir: string}|null>}
+ *   - The result, with the run directory the code was saved in, or null if the code could not be run
+ * @throws {axios.CanceledError} - If the run is cancelled or not approved
  */
-async function executeCode(code, language) {
+async function executeCode(code, language, options = {}) {
   try {
-    // Create a temporary file for the code
-    const tempDir = vscode.workspace.workspaceFolders[0].uri.fsPath + '/.sebguru-temp';
-    await createDirectory(tempDir);
-
-    let tempFilePath;
-    let command;
-
-    // Determine file extension and execution command based on language
-    switch (language.toLowerCase()) {
-      case 'javascript':
-      case 'js':
-        tempFilePath = `${tempDir}/temp.js`;
-        command = `node "${tempFilePath}"`;
-        break;
-      case 'typescript':
-      case 'ts':
-        tempFilePath = `${tempDir}/temp.ts`;
-        command = `npx ts-node "${tempFilePath}"`;
-        break;
-      case 'python':
-      case 'py':
-        tempFilePath = `${tempDir}/temp.py`;
-        command = `python "${tempFilePath}"`;
-        break;
-      case 'ruby':
-      case 'rb':
-        tempFilePath = `${tempDir}/temp.rb`;
-        command = `ruby "${tempFilePath}"`;
-        break;
-      case 'shell':
-      case 'sh':
-      case 'bash':
-        tempFilePath = `${tempDir}/temp.sh`;
-        command = `bash "${tempFilePath}"`;
-        break;
-      default:
-        throw new Error(`Unsupported language: ${language}`);
+    const runner = resolveRunner(language);
+    if (!runner) {
+      throw new Error(`Unsupported language: ${language}`);
     }
 
-    // Write the code to the temporary file
-    await createFile(tempFilePath, code);
+    // Code can run without a folder open; it then runs in its run directory
+    const workspaceFolder = (options.sourcePath && vscode.workspace.getWorkspaceFolder(vscode.Uri.file(options.sourcePath))) ||
+      (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0]);
+    const workspaceRoot = workspaceFolder ? workspaceFolder.uri.fsPath : undefined;
+    const config = vscode.workspace.getConfiguration('sebguru-assistant');
+    const timeoutMs = options.timeoutMs || (config.get('execution.timeoutSeconds') || 30) * 1000;
+    const channel = getExecutionOutputChannel();
+
+    // A whole file inside a project the runner knows, such as a Cargo crate, is run the project's way
+    let projectRoot = null;
+    if (runner.project && runner.project.run && options.sourcePath && workspaceRoot) {
+      const root = await findProjectRoot(options.sourcePath, workspaceRoot, runner.languageId);
+      projectRoot = await pathExists(path.join(root, runner.project.marker)) ? root : null;
+    }
 
-    // Create a terminal and run the command
-    const terminal = vscode.window.createTerminal('Code Execution');
-    terminal.show();
-    terminal.sendText(command);
+    const runDir = await createRunDirectory('executeCode');
+    const scratchDir = await createScratchDirectory();
 
-    return true;
+    let codeFile;
+    let commands;
+    if (projectRoot) {
+      const sourceDocument = vscode.workspace.textDocuments.find(document => document.uri.fsPath === options.sourcePath);
+      if (sourceDocument && sourceDocument.isDirty) {
+        await sourceDocument.save();
+      }
+      codeFile = options.sourcePath;
+      commands = [runner.project.run];
+    } else {
+      // The code is written to the run directory without opening it in an editor
+      codeFile = path.join(runDir, runner.fileName);
+      await vscode.workspace.fs.writeFile(vscode.Uri.file(codeFile), new TextEncoder().encode(code));
+      commands = [runner.compile, runner.run].filter(Boolean);
+    }
+
+    const cwd = projectRoot || options.cwd || workspaceRoot || runDir;
+    const variables = {
+      file: codeFile,
+      fileBase: path.basename(codeFile, path.extname(codeFile)),
+      ext: path.extname(codeFile),
+      dir: scratchDir,
+      exe: process.platform === 'win32' ? '.exe' : ''
+    };
+    const searchFrom = options.sourcePath ? path.dirname(options.sourcePath) : cwd;
+    const resolved = [];
+    for (const command of commands) {
+      const [program, ...args] = fillCommand(command, variables);
+      resolved.push({ program: await resolveProgram(program, searchFrom, workspaceRoot), args });
+    }
+    resolved[resolved.length - 1].args.push(...(options.args || []));
+
+    const startTime = Date.now();
+    let result;
+    try {
+      result = await runApprovedProcess('executeCode', resolved, {
+        title: `Run ${path.basename(codeFile)}`,
+        language: runner.languageId,
+        files: projectRoot ? [] : [{ name: path.basename(codeFile), content: code }],
+        scratchDir,
+        runDir,
+        cwd,
+        env: workspaceModulesEnvironment(workspaceRoot),
+        timeoutMs,
+        maxOutput: options.maxOutput || config.get('execution.maxOutputSize') || 100000,
+        signal: options.signal,
+        onOutput: text => channel.append(text)
+      });
+    } catch (error) {
+      // Nothing ran, so there is nothing to keep in the run history
+      await vscode.workspace.fs.delete(vscode.Uri.file(runDir), { recursive: true });
+      throw error;
+    } finally {
+      await vscode.workspace.fs.delete(vscode.Uri.file(scratchDir), { recursive: true });
+    }
+    const durationMs = Date.now() - startTime;
+
+    if (result.timedOut) {
+      channel.appendLine(`\nStopped after ${timeoutMs / 1000} seconds`);
+    } else {
+      channel.appendLine(`\nExited with code ${result.exitCode} in ${durationMs} ms`);
+    }
+    if (result.truncated) {
+      channel.appendLine('The output was longer than the output limit; the result only has its start');
+    }
+
+    await recordRun(runDir, {
+      kind: 'executeCode',
+      title: `Run ${path.basename(codeFile)}`,
+      language: runner.languageId,
+      command: result.command,
+      exitCode: result.exitCode,
+      timedOut: result.timedOut,
+      durationMs,
+      output: [result.stdout, result.stderr].filter(Boolean).join('\n')
+    });
+
+    return { ...result, durationMs, runDir };
   } catch (error) {
+    if (axios.isCancel(error)) {
+      throw error;
+    }
     console.error(`Error executing code:`, error);
     vscode.window.showErrorMessage(`Failed to execute code: ${error.message}`);
-    return false;
+    return null;
   }
 }
 
 /**
- * Run tests for code
+ * Run tests for code and parse the results. The code and tests are written to a new run directory
+ * and the run is shown in the "SebGuru Code Execution" output channel.
  * @param {string} code - The code to test
- * @param {string} testCode - The test code
+ * @param {string} testSource - The test code
  * @param {string} language - The programming language of the code
- * @returns {Promise<boolean>} - Whether the tests were run successfully
+ * @param {object} [options] - `signal` (an AbortSignal that stops the run)
+ * @returns {Promise<{framework: string, command: string, exitCode: number|null, timedOut: boolean, output: string, results: object, durationMs: number}|null>}
+ *   - The run, with `results` holding `total`, `passed`, `failed`, `skipped` and `failures` (`name` and `message`),
+ *   or null if the tests could not be run
  */
-async function testCode(code, testCode, language) {
+async function testCode(code, testSource, language, options = {}) {
   try {
-    // Create a temporary directory for the code and tests
-    const tempDir = vscode.workspace.workspaceFolders[0].uri.fsPath + '/.sebguru-temp';
-    await createDirectory(tempDir);
-
-    let codeFilePath;
-    let testFilePath;
-    let command;
-
-    // Determine file extensions and test command based on language
-    switch (language.toLowerCase()) {
-      case 'javascript':
-      case 'js':
-        codeFilePath = `${tempDir}/code.js`;
-        testFilePath = `${tempDir}/test.js`;
-        command = `cd "${tempDir}" && npx mocha test.js`;
-        break;
-      case 'typescript':
-      case 'ts':
-        codeFilePath = `${tempDir}/code.ts`;
-        testFilePath = `${tempDir}/test.ts`;
-        command = `cd "${tempDir}" && npx mocha -r ts-node/register test.ts`;
-        break;
-      case 'python':
-      case 'py':
-        codeFilePath = `${tempDir}/code.py`;
-        testFilePath = `${tempDir}/test_code.py`;
-        command = `cd "${tempDir}" && python -m unittest test_code.py`;
-        break;
-      case 'ruby':
-      case 'rb':
-        codeFilePath = `${tempDir}/code.rb`;
-        testFilePath = `${tempDir}/test_code.rb`;
-        command = `cd "${tempDir}" && ruby test_code.rb`;
-        break;
-      default:
-        throw new Error(`Unsupported language for testing: ${language}`);
+    const setup = testSetupFor(language);
+    if (!setup) {
+      throw new Error(`Unsupported language for testing: ${language}`);
     }
 
-    // Write the code and test code to temporary files
-    await createFile(codeFilePath, code);
-    await createFile(testFilePath, testCode);
-
-    // Create a terminal and run the test command
-    const terminal = vscode.window.createTerminal('Code Testing');
-    terminal.show();
-    terminal.sendText(command);
-
-    return true;
+    return await runTests(await temporaryTestLayout(setup), testSource, { ...options, code });
   } catch (error) {
+    if (axios.isCancel(error)) {
+      throw error;
+    }
     console.error(`Error testing code:`, error);
     vscode.window.showErrorMessage(`Failed to test code: ${error.message}`);
-    return false;
+    return null;
+  }
+}
+
+/**
+ * The test layout for code that isn't part of a project: the code and its tests are copied
+ * to a new run directory and the tests import the copy. The workspace's programs and node_modules
+ * are still used.
+ * @param {object} setup - The code's testSetupFor entry
+ * @returns {Promise<object>} - The test layout for runTests
+ * @throws {Error} - If the language's tests can only run inside a project
+ */
+async function temporaryTestLayout(setup) {
+  const { projectMarker } = testFrameworkFor(setup.framework);
+  if (projectMarker) {
+    throw new Error(`Tests for ${setup.languageKey} code run inside a project; open a file from a folder with ${projectMarker}`);
+  }
+
+  const runDir = await createRunDirectory('testCode');
+  const workspaceFolder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+  const workspaceRoot = workspaceFolder ? workspaceFolder.uri.fsPath : undefined;
+
+  return {
+    framework: setup.framework,
+    fallback: setup.fallback,
+    cwd: runDir,
+    runDir,
+    programDir: workspaceRoot,
+    env: workspaceModulesEnvironment(workspaceRoot),
+    testUri: vscode.Uri.file(path.join(runDir, setup.testFile)),
+    testFile: setup.testFile,
+    codeUri: vscode.Uri.file(path.join(runDir, setup.codeFile)),
+    language: setup.languageKey,
+    inProject: false,
+    importHint: `The code is saved as ${setup.codeFile} next to the test file ${setup.testFile}; import it from there.`
+  };
+}
+
+/**
+ * Write the tests, and the code if given, where a test layout says and run them
+ * @param {object} layout - From planProjectTests or temporaryTestLayout
+ * @param {string} testSource - The test code
+ * @param {object} [options] - `code` to write to the layout's code file first, `approval` (shared between runs, see
+ *   runApprovedProcess) and `signal` (an AbortSignal that stops the run)
+ * @returns {Promise<object>} - The run, as returned by testCode
+ */
+async function runTests(layout, testSource, options = {}) {
+  const encoder = new TextEncoder();
+
+  if (options.code !== undefined) {
+    // Code in the project is changed through its document, so an open editor stays in step
+    if (layout.inProject) {
+      await replaceDocumentContent(layout.codeUri, options.code);
+    } else {
+      await vscode.workspace.fs.writeFile(layout.codeUri, encoder.encode(options.code));
+    }
+  }
+  await vscode.workspace.fs.createDirectory(vscode.Uri.file(path.dirname(layout.testUri.fsPath)));
+  await vscode.workspace.fs.writeFile(layout.testUri, encoder.encode(testSource));
+
+  const files = [{ name: layout.testFile, content: testSource }];
+  if (options.code !== undefined) {
+    files.push({ name: path.basename(layout.codeUri.fsPath), content: options.code });
+  }
+  const runOptions = {
+    signal: options.signal,
+    env: layout.env,
+    language: layout.language,
+    files,
+    approval: options.approval,
+    runDir: layout.runDir,
+    programDir: layout.programDir
+  };
+  let run = await runTestFramework(layout.framework, layout.testFile, layout.cwd, runOptions);
+  if (run.missing && layout.fallback) {
+    getExecutionOutputChannel().appendLine(`${layout.framework} is not installed, running the tests with ${layout.fallback}`);
+    run = await runTestFramework(layout.fallback, layout.testFile, layout.cwd, runOptions);
+  }
+
+  if (layout.runDir) {
+    await recordRun(layout.runDir, {
+      kind: 'testCode',
+      title: `Test ${path.basename(layout.codeUri.fsPath)}`,
+      language: layout.language,
+      command: run.command,
+      exitCode: run.exitCode,
+      timedOut: run.timedOut,
+      durationMs: run.durationMs,
+      output: run.output
+    });
+  }
+  return { ...run, runDir: layout.runDir };
+}
+
+/**
+ * Run a test file with one of the TEST_FRAMEWORKS, or a runner's test command, and parse its results. When the output can't be
+ * parsed, the exit code decides whether the run passed.
+ * @param {string} frameworkName - The framework name, see testFrameworkFor
+ * @param {string} testFile - The test file, relative to `cwd`
+ * @param {string} cwd - The directory to run the tests in
+ * @param {object} [options] - `env` (variables added to the environment), `signal` (an AbortSignal that stops the run),
+ *   `programDir` (where to look for the project's copy of the framework, default `cwd`), and `language`, `files`,
+ *   `runDir` and `approval` for runApprovedProcess
+ * @returns {Promise<object>} - The run, as returned by testCode, with `missing` set if the framework is not installed
+ */
+async function runTestFramework(frameworkName, testFile, cwd, options = {}) {
+  const framework = testFrameworkFor(frameworkName);
+  const programDir = options.programDir || cwd;
+  const workspaceFolder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(programDir));
+  const config = vscode.workspace.getConfiguration('sebguru-assistant');
+
+  const channel = getExecutionOutputChannel();
+
+  // Reports go in the run's scratch directory, outside the project and writable in the sandbox
+  const scratchDir = await createScratchDirectory();
+  const reportUri = framework.reportFile ? vscode.Uri.file(path.join(scratchDir, framework.reportFile)) : null;
+
+  const startTime = Date.now();
+  let result;
+  let report = '';
+  try {
+    const stopDir = workspaceFolder && workspaceFolder.uri.fsPath;
+    let program = await resolveProgram(framework.program, programDir, stopDir);
+    let args = framework.args(testFile, reportUri && reportUri.fsPath);
+    // npx only finds a tool installed in the folder it runs in, so the project's copy is run directly
+    if (program === 'npx') {
+      const tool = await resolveProgram(args[0], programDir, stopDir);
+      if (tool !== args[0]) {
+        program = tool;
+        args = args.slice(1);
+      }
+    }
+    result = await runApprovedProcess('testCode', [{ program, args }], {
+      title: `Run ${testFile} with ${frameworkName}`,
+      language: options.language,
+      files: options.files,
+      approval: options.approval,
+      scratchDir,
+      runDir: options.runDir,
+      cwd,
+      env: options.env,
+      timeoutMs: (config.get('testing.timeoutSeconds') || 120) * 1000,
+      maxOutput: config.get('execution.maxOutputSize') || 100000,
+      signal: options.signal,
+      onOutput: text => channel.append(text)
+    });
+
+    if (reportUri) {
+      try {
+        report = new TextDecoder().decode(await vscode.workspace.fs.readFile(reportUri));
+      } catch (error) {
+        // The framework didn't get far enough to write a report
+      }
+    }
+  } finally {
+    await vscode.workspace.fs.delete(vscode.Uri.file(scratchDir), { recursive: true });
   }
+  const durationMs = Date.now() - startTime;
+
+  const output = [result.stdout, result.stderr].filter(Boolean).join('\n');
+  const results = framework.parse({ stdout: result.stdout, stderr: result.stderr, report }) || {
+    total: 0,
+    passed: 0,
+    failed: result.exitCode === 0 && !result.timedOut ? 0 : 1,
+    skipped: 0,
+    failures: []
+  };
+
+  channel.appendLine(`\n${result.timedOut ? 'The tests timed out' : summarizeTestResults(results)} (${durationMs} ms)`);
+
+  return {
+    framework: frameworkName,
+    command: result.command,
+    sandbox: result.sandbox,
+    exitCode: result.exitCode,
+    timedOut: result.timedOut,
+    output,
+    results,
+    durationMs,
+    missing: !!(framework.missing && framework.missing(result))
+  };
 }
 
 module.exports = {
@@ -2804,5 +9661,9 @@ module.exports = {
   modifyFile,
   insertCode,
   executeCode,
-  testCode
+  testCode,
+  ChatController,
+  ChatSessionStore,
+  LLMClient,
+  splitReasoning
 };
@@ -0,0 +1,10 @@
+from setuptools import setup, find_packages
+
+setup(
+    name='{{projectName}}',
+    version='0.1.0',
+    packages=find_packages(),
+    install_requires=[
+        # Add your dependencies here
+    ],
+)
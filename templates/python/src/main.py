@@ -0,0 +1,5 @@
+def main():
+    print('Hello, Python!')
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,10 @@
+import unittest
+from src.main import main
+
+class TestMain(unittest.TestCase):
+    def test_main(self):
+        # Add your test here
+        pass
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,19 @@
+const path = require('path');
+const { runTests } = require('@vscode/test-electron');
+
+async function main() {
+  try {
+    // The folder containing the extension manifest package.json
+    const extensionDevelopmentPath = path.resolve(__dirname, '..');
+    // The test runner script
+    const extensionTestsPath = path.resolve(__dirname, './suite/index');
+
+    // Download VS Code, unzip it and run the tests
+    await runTests({ extensionDevelopmentPath, extensionTestsPath });
+  } catch (err) {
+    console.error('Failed to run tests', err);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const axios = require('axios');
+const { ChatController, ChatSessionStore } = require('../../extension');
+
+/**
+ * In-memory stand-in for context.workspaceState
+ */
+class MemoryMemento {
+  constructor() {
+    this.values = new Map();
+  }
+
+  get(key, defaultValue) {
+    return this.values.has(key) ? this.values.get(key) : defaultValue;
+  }
+
+  async update(key, value) {
+    this.values.set(key, value);
+  }
+}
+
+/**
+ * An LLM client whose chat requests stay pending until they are aborted or answered
+ */
+function pendingClient() {
+  const client = {
+    model: 'test-model',
+    answer: null,
+    started: null
+  };
+  client.started = new Promise(resolveStarted => {
+    client.makeChatRequest = (messages, options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(new axios.CanceledError()));
+      client.answer = resolve;
+      resolveStarted();
+    });
+  });
+  return client;
+}
+
+const noWorkspaceIndex = { retrieve: async () => [] };
+
+suite('ChatController', () => {
+  test('saves the answer to the session', async () => {
+    const store = new ChatSessionStore(new MemoryMemento());
+    const client = pendingClient();
+    const controller = new ChatController(client, store, noWorkspaceIndex);
+
+    const sending = controller.sendMessage('Hello');
+    await client.started;
+    client.answer('Hi there');
+    await sending;
+
+    const saved = store.get(controller.session.id);
+    assert.deepStrictEqual(saved.messages.map(message => message.content), ['Hello', 'Hi there']);
+    controller.dispose();
+  });
+
+  test('does not bring back a session deleted while the response is pending', async () => {
+    const store = new ChatSessionStore(new MemoryMemento());
+    const client = pendingClient();
+    const controller = new ChatController(client, store, noWorkspaceIndex);
+    const sessionId = controller.session.id;
+
+    const sending = controller.sendMessage('Hello');
+    await client.started;
+    assert.ok(store.get(sessionId), 'the session is saved once the message is sent');
+
+    await store.delete(sessionId);
+    await sending;
+
+    assert.strictEqual(store.get(sessionId), null);
+    assert.strictEqual(store.list().length, 0);
+    assert.notStrictEqual(controller.session.id, sessionId);
+    controller.dispose();
+  });
+});
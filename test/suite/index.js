@@ -0,0 +1,25 @@
+const path = require('path');
+const Mocha = require('mocha');
+const { glob } = require('glob');
+
+/**
+ * Run every *.test.js file in this folder with mocha inside the extension host
+ * @returns {Promise<void>}
+ */
+async function run() {
+  const mocha = new Mocha({ ui: 'tdd', color: true });
+  const files = await glob('**/*.test.js', { cwd: __dirname });
+  files.forEach(file => mocha.addFile(path.resolve(__dirname, file)));
+
+  return new Promise((resolve, reject) => {
+    mocha.run(failures => {
+      if (failures > 0) {
+        reject(new Error(`${failures} tests failed.`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+module.exports = { run };
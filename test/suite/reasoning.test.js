@@ -0,0 +1,69 @@
+const assert = require('assert');
+const { LLMClient, splitReasoning } = require('../../extension');
+
+/**
+ * An LLM client whose local requests answer with the given chunks, streamed when asked to
+ * @param {string[]} chunks - The response, in the pieces the server sends it in
+ * @param {boolean} streamResponses - Whether the client streams responses
+ */
+function clientResponding(chunks, streamResponses) {
+  const client = new LLMClient({ useLocalLLM: true, localLLMUrl: 'http://localhost:11434', model: 'test-model', streamResponses });
+  client.makeLocalRequest = async (messages, options) => {
+    if (options.onToken) {
+      chunks.forEach(chunk => options.onToken(chunk));
+    }
+    return chunks.join('');
+  };
+  return client;
+}
+
+/**
+ * Send a request and collect what reaches each callback
+ */
+async function collect(client) {
+  let streamed = '';
+  let reasoning = '';
+  const answer = await client.makeRequest('Question', {
+    onToken: text => { streamed += text; },
+    onReasoning: text => { reasoning += text; }
+  });
+  return { answer, streamed, reasoning: reasoning.trim() };
+}
+
+suite('Reasoning', () => {
+  test('splitReasoning separates tagged reasoning from the answer', () => {
+    assert.deepStrictEqual(splitReasoning('<think>Let me see.</think>\n\nThe answer.'), {
+      reasoning: 'Let me see.',
+      answer: 'The answer.'
+    });
+  });
+
+  test('splitReasoning handles a response with only the closing tag', () => {
+    assert.deepStrictEqual(splitReasoning('Let me see.\n</think>\n\nThe answer.'), {
+      reasoning: 'Let me see.',
+      answer: 'The answer.'
+    });
+  });
+
+  for (const streamResponses of [false, true]) {
+    const mode = streamResponses ? 'streaming' : 'without streaming';
+
+    test(`keeps reasoning with only the closing tag out of the answer ${mode}`, async () => {
+      const client = clientResponding(['Let me ', 'see.\n</th', 'ink>\n\nThe ', 'answer.'], streamResponses);
+      assert.deepStrictEqual(await collect(client), {
+        answer: 'The answer.',
+        streamed: 'The answer.',
+        reasoning: 'Let me see.'
+      });
+    });
+
+    test(`passes a response without reasoning through ${mode}`, async () => {
+      const client = clientResponding(['No ', 'reasoning ', 'here.'], streamResponses);
+      assert.deepStrictEqual(await collect(client), {
+        answer: 'No reasoning here.',
+        streamed: 'No reasoning here.',
+        reasoning: ''
+      });
+    });
+  }
+});